@@ -5,6 +5,29 @@
 window.loadedData = [];
 let loadedData = window.loadedData;
 
+// Lambda PERT global (se aplica a los items sin columna LAMBDA)
+window.pertLambda = LAMBDA_PERT_DEFAULT;
+
+// Matriz de correlación de rangos entre items (ids en el mismo orden que la matriz)
+window.correlationData = { ids: [], matrix: [] };
+
+// Registro de riesgos discretos (filas con los campos del editor)
+window.riskRegister = [];
+
+// Factores de riesgo comunes (filas con los campos del editor)
+window.driverRegister = [];
+
+// Series de datos históricos por nombre (columnas de la hoja HISTORICO o del CSV)
+window.historicalSeries = {};
+
+// Códigos de los capítulos contraídos en la tabla de datos
+const gruposEDTContraidos = new Set();
+
+// Proyecto abierto: id en IndexedDB (null hasta el primer guardado) y nombre
+// del último archivo de datos, que pasa a ser el nombre de un proyecto nuevo
+let idProyectoActual = null;
+let nombreArchivoDatos = '';
+
 // Referencias a elementos del DOM
 const fileInput = document.getElementById('fileInput');
 const uploadArea = document.getElementById('uploadArea');
@@ -12,27 +35,100 @@ const fileInfo = document.getElementById('fileInfo');
 const dataSection = document.getElementById('dataSection');
 const dataTableBody = document.getElementById('dataTableBody');
 const statsInfo = document.getElementById('statsInfo');
+const lambdaInput = document.getElementById('lambdaInput');
+const correlationTable = document.getElementById('correlationTable');
+const correlationStatus = document.getElementById('correlationStatus');
+const correlationItemSelect = document.getElementById('correlationItemSelect');
+const correlationFileInput = document.getElementById('correlationFileInput');
+const riskTable = document.getElementById('riskTable');
+const riskHeatmaps = document.getElementById('riskHeatmaps');
+const riskFileInput = document.getElementById('riskFileInput');
+const driverTable = document.getElementById('driverTable');
+const driverFileInput = document.getElementById('driverFileInput');
+const fitItemSelect = document.getElementById('fitItemSelect');
+const fitCriterionSelect = document.getElementById('fitCriterionSelect');
+const fitTable = document.getElementById('fitTable');
+const historicalFileInput = document.getElementById('historicalFileInput');
+const projectArea = document.getElementById('projectArea');
+const projectNameInput = document.getElementById('projectNameInput');
+const projectFileInput = document.getElementById('projectFileInput');
+const projectList = document.getElementById('projectList');
+const autosaveStatus = document.getElementById('autosaveStatus');
 
 // Event listeners
 fileInput.addEventListener('change', handleFileSelect);
 uploadArea.addEventListener('dragover', handleDragOver);
 uploadArea.addEventListener('drop', handleDrop);
 uploadArea.addEventListener('dragleave', handleDragLeave);
+dataTableBody.addEventListener('click', alternarGrupoEDT);
+
+if (lambdaInput) {
+    lambdaInput.addEventListener('change', actualizarLambdaGlobal);
+}
+
+if (correlationFileInput) {
+    correlationFileInput.addEventListener('change', handleCorrelationFileSelect);
+}
+
+const addCorrelationItemBtn = document.getElementById('addCorrelationItemBtn');
+const repairCorrelationBtn = document.getElementById('repairCorrelationBtn');
+const clearCorrelationBtn = document.getElementById('clearCorrelationBtn');
+if (addCorrelationItemBtn) addCorrelationItemBtn.addEventListener('click', agregarItemCorrelacion);
+if (repairCorrelationBtn) repairCorrelationBtn.addEventListener('click', repararCorrelaciones);
+if (clearCorrelationBtn) clearCorrelationBtn.addEventListener('click', limpiarCorrelaciones);
+
+const addRiskBtn = document.getElementById('addRiskBtn');
+const clearRisksBtn = document.getElementById('clearRisksBtn');
+if (addRiskBtn) addRiskBtn.addEventListener('click', agregarRiesgo);
+if (clearRisksBtn) clearRisksBtn.addEventListener('click', limpiarRiesgos);
+if (riskFileInput) riskFileInput.addEventListener('change', handleRiskFileSelect);
+
+const addDriverBtn = document.getElementById('addDriverBtn');
+const clearDriversBtn = document.getElementById('clearDriversBtn');
+if (addDriverBtn) addDriverBtn.addEventListener('click', agregarImpulsor);
+if (clearDriversBtn) clearDriversBtn.addEventListener('click', limpiarImpulsores);
+if (driverFileInput) driverFileInput.addEventListener('change', handleDriverFileSelect);
+
+if (fitItemSelect) fitItemSelect.addEventListener('change', mostrarAjustes);
+if (fitCriterionSelect) fitCriterionSelect.addEventListener('change', mostrarAjustes);
+if (historicalFileInput) historicalFileInput.addEventListener('change', handleHistoricalFileSelect);
+
+const saveProjectCopyBtn = document.getElementById('saveProjectCopyBtn');
+const exportProjectBtn = document.getElementById('exportProjectBtn');
+if (saveProjectCopyBtn) saveProjectCopyBtn.addEventListener('click', guardarCopiaProyecto);
+if (exportProjectBtn) exportProjectBtn.addEventListener('click', exportarProyecto);
+if (projectFileInput) projectFileInput.addEventListener('change', handleProjectFileSelect);
+if (projectNameInput) projectNameInput.addEventListener('change', programarAutoguardado);
+
+// Autoguardado: cualquier cambio de un control o botón fuera del panel de proyecto
+document.addEventListener('change', event => {
+    if (!projectArea || !projectArea.contains(event.target)) programarAutoguardado();
+});
+document.addEventListener('click', event => {
+    const boton = event.target.closest ? event.target.closest('button') : null;
+    if (boton && (!projectArea || !projectArea.contains(boton))) programarAutoguardado();
+});
+
+// Recuperación: ofrecer el último proyecto guardado (p.ej. tras recargar o cerrar la pestaña)
+document.addEventListener('DOMContentLoaded', ofrecerRecuperacionProyecto);
 
 /**
- * Calcula la distribución PERT usando la fórmula: (a + 4m + b) / 6
+ * Calcula la distribución PERT usando la fórmula: (a + λm + b) / (λ + 2)
+ * Con λ = 4 es la fórmula clásica (a + 4m + b) / 6
  * @param {number} minimo - Valor mínimo (a)
  * @param {number} probable - Valor probable (m)
  * @param {number} maximo - Valor máximo (b)
+ * @param {number} lambda - Peso del valor probable (default 4)
  * @returns {number} Valor de la distribución PERT
  */
-function calcularPERT(minimo, probable, maximo) {
+function calcularPERT(minimo, probable, maximo, lambda = LAMBDA_PERT_DEFAULT) {
     // Validar que los valores sean números válidos
     const a = parseFloat(minimo);
     const m = parseFloat(probable);
     const b = parseFloat(maximo);
+    const l = parseFloat(lambda);
 
-    if (isNaN(a) || isNaN(m) || isNaN(b)) {
+    if (isNaN(a) || isNaN(m) || isNaN(b) || isNaN(l) || l < 0) {
         return null;
     }
 
@@ -41,11 +137,24 @@ function calcularPERT(minimo, probable, maximo) {
         console.warn('Advertencia: Los valores no cumplen la condición mínimo <= probable <= máximo');
     }
 
-    // Calcular PERT: (a + 4m + b) / 6
-    const pert = (a + 4 * m + b) / 6;
+    // Calcular PERT: (a + λm + b) / (λ + 2)
+    const pert = (a + l * m + b) / (l + 2);
     return pert;
 }
 
+/**
+ * Obtiene el lambda PERT de una fila: el de la columna LAMBDA o, si está vacía, el global
+ * @param {Object} fila - Fila de loadedData
+ * @returns {number} Lambda a usar
+ */
+function obtenerLambda(fila) {
+    const lambdaItem = parseFloat(fila.lambda);
+    if (!isNaN(lambdaItem)) {
+        return lambdaItem;
+    }
+    return window.pertLambda;
+}
+
 /**
  * Normaliza los nombres de columnas para hacer la búsqueda case-insensitive
  * @param {string} columnName - Nombre de la columna original
@@ -76,46 +185,381 @@ function mapearColumnas(row) {
             columnas.descripcion = row[key];
         } else if (normalized === 'MINIMO' || normalized === 'MÍNIMO') {
             columnas.minimo = row[key];
-        } else if (normalized === 'PROBABLE') {
+        } else if (normalized === 'PROBABLE' || normalized === 'MODA' || normalized === 'MODE') {
             columnas.probable = row[key];
         } else if (normalized === 'MAXIMO' || normalized === 'MÁXIMO') {
             columnas.maximo = row[key];
+        } else if (normalized === 'LAMBDA') {
+            columnas.lambda = row[key];
+        } else if (normalized === 'DISTRIBUCION') {
+            columnas.distribucion = row[key];
+        } else if (normalized === 'MEDIA') {
+            columnas.media = row[key];
+        } else if (normalized === 'DESVIACION' || normalized === 'DESV' || normalized === 'DESVIACION ESTANDAR') {
+            columnas.desviacion = row[key];
+        } else if (normalized === 'VALORES') {
+            columnas.valores = row[key];
+        } else if (normalized === 'PROBABILIDADES') {
+            columnas.probabilidades = row[key];
+        } else if (normalized === 'PREDECESORAS' || normalized === 'PREDECESORES') {
+            columnas.predecesoras = row[key];
+        } else if (normalized === 'TIPO') {
+            columnas.tipoItem = row[key];
+        } else if (normalized === 'VINCULO') {
+            columnas.vinculo = row[key];
+        } else if (normalized === 'BASE' || normalized === 'PORCENTAJE DE' || normalized === 'SOBRE') {
+            columnas.porcentajeSobre = row[key];
+        } else if (normalized === 'CATEGORIA' || normalized === 'GRUPO') {
+            columnas.categoria = row[key];
+        } else if (normalized === 'HISTORICO' || normalized === 'HISTORICOS' || normalized === 'OBSERVACIONES') {
+            columnas.historico = row[key];
+        } else if (normalized === 'AJUSTE') {
+            columnas.ajuste = row[key];
+        } else if (normalized === 'ALFA' || normalized === 'ALPHA') {
+            columnas.alfa = row[key];
+        } else if (normalized === 'BETA') {
+            columnas.beta = row[key];
+        } else if (PATRON_COLUMNA_PERCENTIL.test(normalized)) {
+            const percentil = parseFloat(normalized.match(PATRON_COLUMNA_PERCENTIL)[1].replace(',', '.'));
+            columnas.percentiles = (columnas.percentiles || []).concat({ percentil, valor: row[key] });
+        } else {
+            const columnaFactor = reconocerColumnaFactor(normalized);
+            if (columnaFactor) {
+                columnas[columnaFactor.factor] = columnas[columnaFactor.factor] || {};
+                columnas[columnaFactor.factor][columnaFactor.campo] = row[key];
+            }
         }
     }
     
     return columnas;
 }
 
+// Columnas de percentiles de juicio experto: P10, P90, "P 5", "PERCENTIL 95"...
+const PATRON_COLUMNA_PERCENTIL = /^(?:P|PERCENTIL)\s*(\d+(?:[.,]\d+)?)$/;
+
+/**
+ * Elige los dos percentiles de juicio experto de una fila: los que tienen
+ * valor; si hay más de dos, el menor y el mayor
+ * @param {Array<{percentil:number, valor:*}>} percentiles - Columnas P.. de la fila (opcional)
+ * @param {string} item - Código del item (para los avisos)
+ * @returns {Array<{percentil:number, valor:number}>|null} null si no hay dos percentiles con valor
+ */
+function leerPercentiles(percentiles, item) {
+    const conValor = (percentiles || [])
+        .map(({ percentil, valor }) => ({ percentil, valor: parseFloat(valor) }))
+        .filter(({ valor }) => !isNaN(valor))
+        .sort((x, y) => x.percentil - y.percentil);
+    
+    if (conValor.length === 0) return null;
+    if (conValor.length === 1) {
+        console.warn(`Item ${item}: se necesitan dos percentiles (p.ej. P10 y P90); se ignora P${conValor[0].percentil}`);
+        return null;
+    }
+    if (conValor.length > 2) {
+        console.warn(`Item ${item}: se usan P${conValor[0].percentil} y P${conValor[conValor.length - 1].percentil}`);
+    }
+    
+    return [conValor[0], conValor[conValor.length - 1]];
+}
+
+/**
+ * Completa MÍNIMO y MÁXIMO de una fila con percentiles con los extremos
+ * ajustados (dependen del lambda de la PERT, por eso se recalculan al cambiarlo)
+ * @param {Object} fila - Fila de loadedData con percentiles
+ */
+function ajustarExtremosFila(fila) {
+    try {
+        const dist = prepararDistribucion(convertirFilaAItem(fila));
+        fila.minimo = dist.a;
+        fila.maximo = dist.b;
+    } catch (error) {
+        // El error se reporta al calcular el valor esperado
+        fila.minimo = '';
+        fila.maximo = '';
+    }
+}
+
+// Prefijos de las columnas de metrado y precio unitario (ya normalizados, sin puntos)
+const PREFIJOS_FACTOR = {
+    METRADO: 'cantidad',
+    CANTIDAD: 'cantidad',
+    PU: 'precio',
+    'P U': 'precio',
+    'PRECIO UNITARIO': 'precio',
+    PRECIO: 'precio'
+};
+
+// Sufijos de rango de esas columnas; sin sufijo es el valor probable
+const SUFIJOS_FACTOR = {
+    MINIMO: 'minimo',
+    MIN: 'minimo',
+    PROBABLE: 'probable',
+    PROB: 'probable',
+    MAXIMO: 'maximo',
+    MAX: 'maximo'
+};
+
+/**
+ * Reconoce las columnas de metrado y precio unitario, p.ej. "METRADO MÍNIMO",
+ * "CANTIDAD_MAX", "P.U. PROBABLE" o "PRECIO UNITARIO"
+ * @param {string} normalized - Nombre de la columna ya normalizado
+ * @returns {{factor:string, campo:string}|null} factor: 'cantidad' o 'precio'; campo: 'minimo', 'probable' o 'maximo'
+ */
+function reconocerColumnaFactor(normalized) {
+    const nombre = normalized.replace(/[._-]/g, ' ').replace(/\s+/g, ' ').trim();
+    
+    for (const prefijo in PREFIJOS_FACTOR) {
+        if (nombre === prefijo) {
+            return { factor: PREFIJOS_FACTOR[prefijo], campo: 'probable' };
+        }
+        if (nombre.startsWith(prefijo + ' ')) {
+            const campo = SUFIJOS_FACTOR[nombre.slice(prefijo.length + 1)];
+            if (campo) return { factor: PREFIJOS_FACTOR[prefijo], campo };
+        }
+    }
+    
+    return null;
+}
+
+/**
+ * Lee el rango de un factor (metrado o precio unitario) de una fila. Sin
+ * mínimo ni máximo el factor es fijo en su valor probable
+ * @param {Object} valores - {minimo, probable, maximo} tal como vienen del archivo (opcional)
+ * @returns {{minimo:number, probable:number, maximo:number}|null} null si no hay valor probable
+ */
+function leerRangoFactor(valores) {
+    if (!valores) return null;
+    
+    const probable = parseFloat(valores.probable);
+    if (isNaN(probable)) return null;
+    
+    const minimo = parseFloat(valores.minimo);
+    const maximo = parseFloat(valores.maximo);
+    return {
+        minimo: isNaN(minimo) ? probable : minimo,
+        probable,
+        maximo: isNaN(maximo) ? probable : maximo
+    };
+}
+
+/**
+ * Convierte una lista de números separados por ";" o "|" (columnas VALORES y PROBABILIDADES)
+ * @param {string} texto - Texto de la celda (p.ej. "100;200;300")
+ * @returns {string[]} Lista de valores sin espacios
+ */
+function parsearListaNumeros(texto) {
+    if (texto === null || texto === undefined) return [];
+    return String(texto)
+        .split(/[;|]/)
+        .map(valor => valor.trim())
+        .filter(valor => valor !== '');
+}
+
+/**
+ * Calcula el valor esperado de una fila según su distribución
+ * Para PERT usa la fórmula clásica; para el resto, la media teórica
+ * @param {Object} fila - Fila procesada con minimo, probable, maximo y parámetros de la distribución
+ * @returns {number|null} Valor esperado o null si los datos no son válidos
+ */
+function calcularValorEsperado(fila) {
+    if (fila.distribucion === null) {
+        return null;
+    }
+    
+    if (fila.distribucion === TIPOS_DISTRIBUCION.PERT && !fila.cantidad && !fila.percentiles && !fila.historico) {
+        return calcularPERT(fila.minimo, fila.probable, fila.maximo, obtenerLambda(fila));
+    }
+    
+    try {
+        return mediaDistribucion(prepararDistribucion(convertirFilaAItem(fila)));
+    } catch (error) {
+        console.warn(`Item ${fila.item}: ${error.message}`);
+        return null;
+    }
+}
+
+/**
+ * Convierte una fila cargada al formato de item que espera runMonteCarlo
+ * @param {Object} fila - Fila de loadedData
+ * @returns {Object} Item con {a, m, b, id, descripcion, distribucion, ...parámetros}
+ */
+function convertirFilaAItem(fila) {
+    return {
+        a: parseFloat(fila.minimo),
+        m: parseFloat(fila.probable),
+        b: parseFloat(fila.maximo),
+        id: fila.item,
+        descripcion: fila.descripcion,
+        distribucion: fila.distribucion,
+        lambda: obtenerLambda(fila),
+        media: fila.media,
+        desviacion: fila.desviacion,
+        valores: fila.valores,
+        probabilidades: fila.probabilidades,
+        predecesoras: fila.predecesoras,
+        tipoItem: fila.tipoItem,
+        vinculo: fila.vinculo,
+        porcentajeSobre: fila.porcentajeSobre,
+        categoria: fila.categoria,
+        percentiles: fila.percentiles || undefined,
+        historico: fila.historico || undefined,
+        ajuste: fila.historico ? fila.ajuste : undefined,
+        alfa: fila.alfa,
+        beta: fila.beta,
+        cantidad: fila.cantidad ? { a: fila.cantidad.minimo, m: fila.cantidad.probable, b: fila.cantidad.maximo } : undefined,
+        precio: fila.precio ? { a: fila.precio.minimo, m: fila.precio.probable, b: fila.precio.maximo } : undefined
+    };
+}
+
 /**
  * Procesa los datos cargados y calcula la distribución PERT
  * @param {Array} datos - Array de objetos con los datos del archivo
  */
 function procesarDatos(datos) {
-    loadedData = datos.map((row, index) => {
-        const columnas = mapearColumnas(row);
-        
-        const minimo = columnas.minimo;
-        const probable = columnas.probable;
-        const maximo = columnas.maximo;
-        
-        // Calcular PERT
-        const pert = calcularPERT(minimo, probable, maximo);
+    const columnasFilas = datos.map(mapearColumnas);
+    
+    // Códigos de todas las filas, para no confundir un código con guion
+    // (p.ej. "A-1") con un desfase al leer las predecesoras
+    const idsConocidos = new Set(columnasFilas.map((columnas, index) => String(columnas.item || `Item ${index + 1}`).trim()));
+    
+    // Capítulos y subcapítulos: niveles superiores de algún código ITEM
+    const codigosGrupo = new Set();
+    idsConocidos.forEach(id => ancestrosCodigo(id).forEach(codigo => codigosGrupo.add(codigo)));
+    gruposEDTContraidos.clear();
+    
+    loadedData = columnasFilas.map((columnas, index) => {
+        const distribucion = normalizarTipoDistribucion(columnas.distribucion);
+        if (distribucion === null) {
+            console.warn(`Item ${columnas.item || index + 1}: distribución "${columnas.distribucion}" no reconocida`);
+        }
         
-        return {
+        const fila = {
             item: columnas.item || `Item ${index + 1}`,
             descripcion: columnas.descripcion || '',
-            minimo: minimo,
-            probable: probable,
-            maximo: maximo,
-            pert: pert
+            distribucion: distribucion,
+            lambda: columnas.lambda,
+            minimo: columnas.minimo,
+            probable: columnas.probable,
+            maximo: columnas.maximo,
+            media: columnas.media,
+            desviacion: columnas.desviacion,
+            valores: parsearListaNumeros(columnas.valores),
+            probabilidades: parsearListaNumeros(columnas.probabilidades),
+            alfa: columnas.alfa,
+            beta: columnas.beta
         };
+        
+        // Predecesoras del cronograma (columna PREDECESORAS, opcional)
+        const { predecesoras, errores } = parsearPredecesoras(columnas.predecesoras, idsConocidos);
+        if (errores.length > 0) {
+            console.warn(`Item ${fila.item}: predecesoras no reconocidas: ${errores.join(', ')}`);
+        }
+        fila.predecesoras = predecesoras;
+        
+        // Modelo integrado costo-plazo: costos fijos o tasas vinculadas a una duración
+        fila.tipoItem = normalizarTipoItem(columnas.tipoItem);
+        fila.vinculo = columnas.vinculo !== undefined && String(columnas.vinculo).trim() !== ''
+            ? String(columnas.vinculo).trim()
+            : null;
+        
+        // Item porcentual (GG, utilidad, IGV...): sus valores son porcentajes de la base
+        fila.porcentajeSobre = columnas.porcentajeSobre !== undefined && String(columnas.porcentajeSobre).trim() !== ''
+            ? String(columnas.porcentajeSobre).trim()
+            : null;
+        
+        // Categoría para los factores de riesgo comunes (mano de obra, acero...)
+        fila.categoria = columnas.categoria !== undefined && String(columnas.categoria).trim() !== ''
+            ? String(columnas.categoria).trim()
+            : null;
+        
+        // Metrado × precio unitario: cada factor con su rango; MÍNIMO, PROBABLE
+        // y MÁXIMO de la fila pasan a ser los productos de los rangos
+        const cantidad = leerRangoFactor(columnas.cantidad);
+        const precio = leerRangoFactor(columnas.precio);
+        if (cantidad && precio) {
+            fila.cantidad = cantidad;
+            fila.precio = precio;
+            fila.minimo = cantidad.minimo * precio.minimo;
+            fila.probable = cantidad.probable * precio.probable;
+            fila.maximo = cantidad.maximo * precio.maximo;
+        } else if (cantidad || precio) {
+            console.warn(`Item ${fila.item}: se necesitan metrado y precio unitario para descomponer la partida`);
+        }
+        
+        // Juicio experto: MÍNIMO y MÁXIMO se ajustan a dos percentiles (P10/P90...)
+        fila.percentiles = fila.cantidad ? null : leerPercentiles(columnas.percentiles, fila.item);
+        if (fila.percentiles) {
+            if ([columnas.minimo, columnas.maximo].some(valor => valor !== undefined && String(valor).trim() !== '')) {
+                console.warn(`Item ${fila.item}: MÍNIMO y MÁXIMO se reemplazan por los ajustados a los percentiles`);
+            }
+            ajustarExtremosFila(fila);
+        }
+        
+        // Fila de título de un capítulo: código de un nivel superior sin valores
+        fila.esTitulo = codigosGrupo.has(String(fila.item).trim()) && !tieneValoresNumericos(columnas);
+        if (fila.esTitulo) {
+            fila.pert = null;
+            return fila;
+        }
+        
+        // Datos históricos: la distribución se ajusta a las observaciones
+        // (columna HISTORICO, o la serie del mismo código ITEM)
+        fila.fuenteHistorico = columnas.historico !== undefined && String(columnas.historico).trim() !== ''
+            ? String(columnas.historico).trim()
+            : null;
+        fila.ajuste = columnas.ajuste !== undefined && String(columnas.ajuste).trim() !== ''
+            ? String(columnas.ajuste).trim()
+            : null;
+        if (fila.cantidad) {
+            if (fila.fuenteHistorico) {
+                console.warn(`Item ${fila.item}: los datos históricos no se aplican a una partida metrado × precio unitario`);
+            }
+        } else {
+            resolverHistoricoFila(fila);
+        }
+        
+        // Sin PROBABLE (p.ej. Normal o Discreta): usar la moda de la distribución
+        // para que la Suma Probable siga siendo comparable
+        if ((fila.probable === undefined || fila.probable === '') &&
+            distribucion !== null && distribucion !== TIPOS_DISTRIBUCION.PERT) {
+            try {
+                fila.probable = modaDistribucion(prepararDistribucion(convertirFilaAItem(fila)));
+            } catch (error) {
+                // El error se reporta al calcular el valor esperado
+            }
+        }
+        
+        // Calcular valor esperado (PERT u otra distribución)
+        fila.pert = calcularValorEsperado(fila);
+        
+        return fila;
     });
     
     // Sincronizar con variable global
     window.loadedData = loadedData;
     
+    // Un archivo de datos nuevo empieza un proyecto nuevo, sin los resultados,
+    // corridas ni casos de estrés de los datos anteriores
+    iniciarProyecto(nombreArchivoDatos);
+    reiniciarResultadosSimulacion(true);
+    
+    // Los datos nuevos invalidan la matriz de correlación anterior
+    window.correlationData = { ids: [], matrix: [] };
+    
+    // Con predecesoras o costos vinculados los items forman un cronograma: proponer ese modo
+    const simulationModeSelect = document.getElementById('simulationModeSelect');
+    if (simulationModeSelect) {
+        simulationModeSelect.value = loadedData.some(tieneDatosCronograma)
+            ? MODOS_SIMULACION.CRONOGRAMA
+            : MODOS_SIMULACION.COSTO;
+    }
+    
     mostrarDatos();
     mostrarEstadisticas();
+    mostrarMatrizCorrelacion();
+    mostrarRegistroRiesgos();
+    mostrarImpulsores();
+    mostrarAjustes();
     
     // Mostrar sección de simulación si hay datos válidos
     const itemsValidos = loadedData.filter(item => item.pert !== null);
@@ -124,7 +568,79 @@ function procesarDatos(datos) {
         if (simulationSection) {
             simulationSection.style.display = 'block';
         }
+        actualizarEstimacionMemoria();
+    }
+    
+    programarAutoguardado();
+}
+
+/**
+ * Indica si una fila del archivo trae algún valor de su distribución
+ * @param {Object} columnas - Columnas de la fila (resultado de mapearColumnas)
+ * @returns {boolean}
+ */
+function tieneValoresNumericos(columnas) {
+    const factores = [columnas.cantidad, columnas.precio]
+        .filter(Boolean)
+        .flatMap(factor => [factor.minimo, factor.probable, factor.maximo]);
+    const percentiles = (columnas.percentiles || []).map(percentil => percentil.valor);
+    return [columnas.minimo, columnas.probable, columnas.maximo, columnas.media, columnas.valores, columnas.historico].concat(factores, percentiles)
+        .some(valor => valor !== undefined && valor !== null && String(valor).trim() !== '');
+}
+
+/**
+ * Indica si una fila trae datos del modelo de cronograma (columnas PREDECESORAS, TIPO o VINCULO)
+ * @param {Object} fila - Fila de loadedData
+ * @returns {boolean}
+ */
+function tieneDatosCronograma(fila) {
+    return (fila.predecesoras && fila.predecesoras.length > 0) || Boolean(fila.tipoItem) || Boolean(fila.vinculo);
+}
+
+/**
+ * Describe el papel de una fila en el cronograma para la tabla de datos
+ * @param {Object} fila - Fila de loadedData
+ * @returns {string} Predecesoras de la actividad, o el tipo de costo
+ */
+function describirFilaCronograma(fila) {
+    if (fila.vinculo) {
+        return String(fila.vinculo).toUpperCase() === VINCULO_PROYECTO
+            ? 'Tasa × duración del proyecto'
+            : `Tasa × duración de ${fila.vinculo}`;
+    }
+    if (fila.tipoItem === TIPOS_ITEM.COSTO) {
+        return 'Costo fijo';
+    }
+    return formatearPredecesoras(fila.predecesoras) || '-';
+}
+
+/**
+ * Recalcula la columna PERT cuando el usuario cambia el lambda global
+ */
+function actualizarLambdaGlobal() {
+    const lambda = parseFloat(lambdaInput.value);
+    
+    if (isNaN(lambda) || lambda < 0) {
+        alert('Lambda debe ser un número mayor o igual a 0');
+        lambdaInput.value = window.pertLambda;
+        return;
     }
+    
+    window.pertLambda = lambda;
+    
+    if (loadedData.length === 0) return;
+    
+    loadedData.forEach(fila => {
+        if (fila.percentiles && !fila.esTitulo) ajustarExtremosFila(fila);
+        fila.pert = fila.esTitulo ? null : calcularValorEsperado(fila);
+    });
+    
+    mostrarDatos();
+    mostrarEstadisticas();
+    
+    // El lambda global también se aplica al impacto PERT de los riesgos
+    mostrarValoresEsperadosRiesgos();
+    mostrarMapaCalorRiesgos();
 }
 
 /**
@@ -153,6 +669,46 @@ function calcularSumas(dataRows) {
     return { sumMin, sumProbable, sumMax, sumPert };
 }
 
+/**
+ * Calcula los totales aplicando los items porcentuales sobre su base en cada
+ * escenario (todos los mínimos, todos los probables, todos los máximos y los
+ * valores esperados)
+ * @param {Array} dataRows - Array de filas de datos
+ * @returns {Object} {sumMin, sumProbable, sumMax, sumPert, directo, montos}: directo con las sumas de
+ *          los items no porcentuales; montos con el monto de cada fila porcentual en cada escenario
+ */
+function calcularTotales(dataRows) {
+    const directo = calcularSumas(dataRows.filter(fila => !fila.porcentajeSobre));
+    const totales = { ...directo, directo, montos: new Map() };
+    
+    let porcentajes;
+    try {
+        porcentajes = prepararPorcentajes(dataRows.map(fila => ({ id: fila.item, porcentajeSobre: fila.porcentajeSobre })));
+    } catch (error) {
+        console.warn(error.message);
+        return totales;
+    }
+    if (!porcentajes) return totales;
+    
+    porcentajes.orden.forEach(j => totales.montos.set(dataRows[j], {}));
+    
+    const escenarios = { sumMin: 'minimo', sumProbable: 'probable', sumMax: 'maximo', sumPert: 'pert' };
+    Object.entries(escenarios).forEach(([suma, campo]) => {
+        const valores = dataRows.map(fila => {
+            const valor = parseFloat(fila[campo]);
+            return isNaN(valor) ? 0 : valor;
+        });
+        const montos = evaluarPorcentajes(porcentajes, valores);
+        
+        totales[suma] = montos.reduce((acc, monto) => acc + monto, 0);
+        porcentajes.orden.forEach(j => {
+            totales.montos.get(dataRows[j])[campo] = montos[j];
+        });
+    });
+    
+    return totales;
+}
+
 /**
  * Muestra los datos en la tabla
  */
@@ -170,63 +726,239 @@ function mostrarDatos() {
     };
     
     // Filtrar filas que no sean totales (por si el CSV tiene una fila TOTAL)
+    // ni títulos de capítulo, que se muestran como subtotales
     const dataRows = loadedData.filter(fila => {
         const itemStr = String(fila.item || '').toUpperCase().trim();
-        return itemStr !== 'TOTAL' && itemStr !== 'TOTALS' && itemStr !== '';
+        return !fila.esTitulo && itemStr !== 'TOTAL' && itemStr !== 'TOTALS' && itemStr !== '';
     });
     
-    // Mostrar filas de datos
-    dataRows.forEach((fila, index) => {
+    // Los items porcentuales se muestran aparte, después del costo directo
+    const filasDirectas = dataRows.filter(fila => !fila.porcentajeSobre);
+    const filasPorcentuales = dataRows.filter(fila => fila.porcentajeSobre);
+    
+    // Capítulos y subcapítulos según los códigos ITEM (vacío si no son jerárquicos)
+    const grupos = construirEDT(filasDirectas.map(fila => ({ id: fila.item })), obtenerTitulosEDT());
+    const gruposPorItem = filasDirectas.map(() => []);
+    grupos.forEach(grupo => grupo.indices.forEach(j => gruposPorItem[j].push(grupo.codigo)));
+    
+    // La columna CRONOGRAMA solo se muestra si el archivo trae predecesoras o costos vinculados
+    const conCronograma = dataRows.some(tieneDatosCronograma);
+    const scheduleHeader = document.getElementById('scheduleHeader');
+    if (scheduleHeader) {
+        scheduleHeader.style.display = conCronograma ? '' : 'none';
+    }
+    
+    // Mostrar filas de datos, cada capítulo con su subtotal antes de su primer item
+    filasDirectas.forEach((fila, index) => {
+        grupos.filter(grupo => grupo.indices[0] === index).forEach(grupo => {
+            const sumas = calcularSumas(grupo.indices.map(j => filasDirectas[j]));
+            const trGrupo = document.createElement('tr');
+            trGrupo.className = `wbs-group-row wbs-level-${grupo.nivel}`;
+            trGrupo.dataset.grupo = grupo.codigo;
+            trGrupo.dataset.grupos = ancestrosCodigo(grupo.codigo).join(' ');
+            trGrupo.innerHTML = `
+                <td style="padding-left: ${12 + 16 * (grupo.nivel - 1)}px">
+                    <button type="button" class="wbs-toggle" data-grupo="${grupo.codigo}">▾</button>
+                    ${grupo.codigo}
+                </td>
+                <td>${grupo.descripcion || '-'}</td>
+                <td></td>
+                <td class="number">${formatoNumero(sumas.sumMin)}</td>
+                <td class="number">${formatoNumero(sumas.sumProbable)}</td>
+                <td class="number">${formatoNumero(sumas.sumMax)}</td>
+                <td class="number pert-value">${formatoNumero(sumas.sumPert)}</td>
+                ${conCronograma ? '<td></td>' : ''}
+            `;
+            dataTableBody.appendChild(trGrupo);
+        });
+        
         const tr = document.createElement('tr');
+        tr.dataset.grupos = gruposPorItem[index].join(' ');
+        
+        let nombreDistribucion = fila.distribucion
+            ? NOMBRES_DISTRIBUCION[fila.distribucion]
+            : 'No reconocida';
+        
+        // Indicar la PERT modificada
+        if (fila.distribucion === TIPOS_DISTRIBUCION.PERT && obtenerLambda(fila) !== LAMBDA_PERT_DEFAULT) {
+            nombreDistribucion += ` (λ=${obtenerLambda(fila)})`;
+        }
+        
+        // Partida metrado × precio unitario: mostrar el rango de cada factor
+        let detalleFactores = '';
+        if (fila.cantidad) {
+            const rango = (factor) => [factor.minimo, factor.probable, factor.maximo].map(formatoNumero).join(' / ');
+            nombreDistribucion += ' · metrado × P.U.';
+            detalleFactores = `<div class="factor-detail">Metrado ${rango(fila.cantidad)} × P.U. ${rango(fila.precio)}</div>`;
+        }
+        
+        // Juicio experto: percentiles del archivo; MÍNIMO y MÁXIMO son los ajustados
+        let claseExtremos = 'number';
+        if (fila.percentiles) {
+            const [bajo, alto] = fila.percentiles;
+            nombreDistribucion += ` · P${bajo.percentil}/P${alto.percentil}`;
+            detalleFactores += `<div class="factor-detail">P${bajo.percentil} ${formatoNumero(bajo.valor)} · ` +
+                `Moda ${formatoNumero(fila.probable)} · P${alto.percentil} ${formatoNumero(alto.valor)} ` +
+                '(mínimo y máximo ajustados)</div>';
+            claseExtremos += ' fitted-value';
+        }
+        
+        // Datos históricos: distribución ajustada; MÍNIMO y MÁXIMO son los observados
+        if (fila.historico) {
+            const media = fila.historico.reduce((suma, x) => suma + x, 0) / fila.historico.length;
+            nombreDistribucion = `${NOMBRES_AJUSTE[fila.ajuste] || 'Sin ajuste'} · ajuste a ${fila.historico.length} datos`;
+            detalleFactores += `<div class="factor-detail">Histórico: ${fila.historico.length} datos, media ` +
+                `${formatoNumero(media)} (mínimo y máximo observados)</div>`;
+        }
         
+        const sangria = grupos.length > 0 ? ` style="padding-left: ${12 + 16 * gruposPorItem[index].length}px"` : '';
         tr.innerHTML = `
-            <td>${fila.item || '-'}</td>
-            <td>${fila.descripcion || '-'}</td>
-            <td class="number">${formatoNumero(fila.minimo)}</td>
+            <td${sangria}>${fila.item || '-'}</td>
+            <td>${fila.descripcion || '-'}${detalleFactores}</td>
+            <td class="distribution-type">${nombreDistribucion}</td>
+            <td class="${claseExtremos}">${formatoNumero(fila.minimo)}</td>
             <td class="number">${formatoNumero(fila.probable)}</td>
-            <td class="number">${formatoNumero(fila.maximo)}</td>
+            <td class="${claseExtremos}">${formatoNumero(fila.maximo)}</td>
             <td class="number pert-value">${fila.pert !== null ? formatoNumero(fila.pert) : 'Error'}</td>
+            ${conCronograma ? `<td class="predecessors">${describirFilaCronograma(fila)}</td>` : ''}
         `;
         
         dataTableBody.appendChild(tr);
     });
     
     // Calcular y mostrar fila de totales
-    const totals = calcularSumas(dataRows);
+    const totals = calcularTotales(dataRows);
     window.totalsData = totals; // Guardar globalmente para uso en simulación
     
+    // Costo directo y, debajo, cada item porcentual con su monto sobre la base
+    if (filasPorcentuales.length > 0) {
+        const directRow = document.createElement('tr');
+        directRow.className = 'direct-cost-row';
+        directRow.innerHTML = `
+            <td><strong>${ALIAS_COSTO_DIRECTO[0]}</strong></td>
+            <td><strong>COSTO DIRECTO</strong></td>
+            <td></td>
+            <td class="number"><strong>${formatoNumero(totals.directo.sumMin)}</strong></td>
+            <td class="number"><strong>${formatoNumero(totals.directo.sumProbable)}</strong></td>
+            <td class="number"><strong>${formatoNumero(totals.directo.sumMax)}</strong></td>
+            <td class="number pert-value"><strong>${formatoNumero(totals.directo.sumPert)}</strong></td>
+            ${conCronograma ? '<td></td>' : ''}
+        `;
+        dataTableBody.appendChild(directRow);
+        
+        const formatoPorcentaje = (valor) => {
+            const texto = formatoNumero(valor);
+            return texto === '-' ? texto : `${texto}%`;
+        };
+        
+        filasPorcentuales.forEach(fila => {
+            const monto = totals.montos.get(fila);
+            const nombreDistribucion = fila.distribucion
+                ? NOMBRES_DISTRIBUCION[fila.distribucion]
+                : 'No reconocida';
+            
+            const tr = document.createElement('tr');
+            tr.className = 'percentage-row';
+            tr.innerHTML = `
+                <td>${fila.item}</td>
+                <td>${fila.descripcion || '-'}</td>
+                <td class="distribution-type">${nombreDistribucion} · % de ${fila.porcentajeSobre}</td>
+                <td class="number">${formatoPorcentaje(fila.minimo)}</td>
+                <td class="number">${formatoPorcentaje(fila.probable)}</td>
+                <td class="number">${formatoPorcentaje(fila.maximo)}</td>
+                <td class="number pert-value">${monto && fila.pert !== null ? formatoNumero(monto.pert) : 'Error'}</td>
+                ${conCronograma ? '<td></td>' : ''}
+            `;
+            dataTableBody.appendChild(tr);
+        });
+    }
+    
     const totalsRow = document.createElement('tr');
     totalsRow.className = 'totals-row';
     totalsRow.innerHTML = `
         <td><strong>TOTAL</strong></td>
-        <td><strong>SUMA DE TODOS LOS ITEMS</strong></td>
+        <td><strong>${filasPorcentuales.length > 0 ? 'COSTO DIRECTO MÁS PORCENTAJES' : 'SUMA DE TODOS LOS ITEMS'}</strong></td>
+        <td></td>
         <td class="number"><strong>${formatoNumero(totals.sumMin)}</strong></td>
         <td class="number"><strong>${formatoNumero(totals.sumProbable)}</strong></td>
         <td class="number"><strong>${formatoNumero(totals.sumMax)}</strong></td>
         <td class="number pert-value"><strong>${formatoNumero(totals.sumPert)}</strong></td>
+        ${conCronograma ? '<td></td>' : ''}
     `;
     
     dataTableBody.appendChild(totalsRow);
     
+    aplicarGruposContraidos();
+    
     dataSection.style.display = 'block';
 }
 
+/**
+ * Descripción de cada capítulo según sus filas de título
+ * @returns {Map<string, string>} Descripción por código
+ */
+function obtenerTitulosEDT() {
+    const titulos = new Map();
+    loadedData.filter(fila => fila.esTitulo).forEach(fila => {
+        titulos.set(String(fila.item).trim(), fila.descripcion);
+    });
+    return titulos;
+}
+
+/**
+ * Oculta las filas de los capítulos contraídos en la tabla de datos
+ */
+function aplicarGruposContraidos() {
+    dataTableBody.querySelectorAll('tr[data-grupos]').forEach(tr => {
+        const grupos = tr.dataset.grupos ? tr.dataset.grupos.split(' ') : [];
+        tr.style.display = grupos.some(codigo => gruposEDTContraidos.has(codigo)) ? 'none' : '';
+    });
+    
+    dataTableBody.querySelectorAll('.wbs-toggle').forEach(boton => {
+        boton.textContent = gruposEDTContraidos.has(boton.dataset.grupo) ? '▸' : '▾';
+    });
+}
+
+/**
+ * Contrae o expande un capítulo al hacer clic en su botón
+ * @param {Event} event - Clic dentro de la tabla de datos
+ */
+function alternarGrupoEDT(event) {
+    const boton = event.target.closest('.wbs-toggle');
+    if (!boton) return;
+    
+    const codigo = boton.dataset.grupo;
+    if (gruposEDTContraidos.has(codigo)) {
+        gruposEDTContraidos.delete(codigo);
+    } else {
+        gruposEDTContraidos.add(codigo);
+    }
+    
+    aplicarGruposContraidos();
+}
+
 /**
  * Muestra estadísticas básicas de los datos
  */
 function mostrarEstadisticas() {
-    const totalItems = loadedData.length;
-    const itemsConPERT = loadedData.filter(fila => fila.pert !== null).length;
+    // Los títulos de capítulo no son items
+    const filasItems = loadedData.filter(fila => !fila.esTitulo);
+    const totalItems = filasItems.length;
+    const itemsConPERT = filasItems.filter(fila => fila.pert !== null).length;
     const itemsSinPERT = totalItems - itemsConPERT;
     
-    const valoresPERT = loadedData
+    // El valor esperado de un item porcentual es un porcentaje, no un monto
+    const itemsPorcentuales = filasItems.filter(fila => fila.porcentajeSobre).length;
+    const valoresPERT = filasItems
+        .filter(fila => !fila.porcentajeSobre)
         .map(fila => fila.pert)
         .filter(valor => valor !== null);
     
     let estadisticas = {
         total: totalItems,
         validos: itemsConPERT,
-        invalidos: itemsSinPERT
+        invalidos: itemsSinPERT,
+        porcentuales: itemsPorcentuales
     };
     
     if (valoresPERT.length > 0) {
@@ -252,6 +984,10 @@ function mostrarEstadisticas() {
     html += `<div class="stat-item"><span class="stat-label">Total de items:</span><span class="stat-value">${estadisticas.total}</span></div>`;
     html += `<div class="stat-item"><span class="stat-label">Items válidos:</span><span class="stat-value">${estadisticas.validos}</span></div>`;
     
+    if (estadisticas.porcentuales > 0) {
+        html += `<div class="stat-item"><span class="stat-label">Items porcentuales:</span><span class="stat-value">${estadisticas.porcentuales}</span></div>`;
+    }
+    
     if (estadisticas.invalidos > 0) {
         html += `<div class="stat-item warning"><span class="stat-label">Items con error:</span><span class="stat-value">${estadisticas.invalidos}</span></div>`;
     }
@@ -313,6 +1049,7 @@ function handleDragLeave(event) {
 function cargarArchivo(file) {
     const fileName = file.name;
     const fileExtension = fileName.split('.').pop().toLowerCase();
+    nombreArchivoDatos = fileName.replace(/\.[^.]+$/, '');
     
     // Mostrar información del archivo
     fileInfo.innerHTML = `
@@ -380,6 +1117,16 @@ function cargarExcel(file) {
             const firstSheetName = workbook.SheetNames[0];
             const worksheet = workbook.Sheets[firstSheetName];
             
+            // Series históricas (hoja HISTORICO): se leen antes que los items que las usan
+            const historicalSheetName = workbook.SheetNames.find(name =>
+                normalizarNombreColumna(name).startsWith('HISTORIC'));
+            if (historicalSheetName) {
+                importarSeriesHistoricas(XLSX.utils.sheet_to_json(workbook.Sheets[historicalSheetName], {
+                    defval: '',
+                    raw: false
+                }));
+            }
+            
             // Convertir a JSON
             const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
                 defval: '',
@@ -390,6 +1137,38 @@ function cargarExcel(file) {
             
             if (jsonData && jsonData.length > 0) {
                 procesarDatos(jsonData);
+                
+                // Importar matriz de correlación si el libro tiene una hoja CORRELACION(ES)
+                const correlationSheetName = workbook.SheetNames.find(name =>
+                    normalizarNombreColumna(name).startsWith('CORRELACION'));
+                if (correlationSheetName) {
+                    const filas = XLSX.utils.sheet_to_json(workbook.Sheets[correlationSheetName], {
+                        header: 1,
+                        defval: '',
+                        raw: false
+                    });
+                    importarMatrizCorrelacion(filas);
+                }
+                
+                // Importar el registro de riesgos si el libro tiene una hoja RIESGOS
+                const riskSheetName = workbook.SheetNames.find(name =>
+                    normalizarNombreColumna(name).startsWith('RIESGO'));
+                if (riskSheetName) {
+                    importarRiesgos(XLSX.utils.sheet_to_json(workbook.Sheets[riskSheetName], {
+                        defval: '',
+                        raw: false
+                    }));
+                }
+                
+                // Importar los factores de riesgo comunes si el libro tiene una hoja FACTORES
+                const driverSheetName = workbook.SheetNames.find(name =>
+                    normalizarNombreColumna(name).startsWith('FACTOR'));
+                if (driverSheetName) {
+                    importarImpulsores(XLSX.utils.sheet_to_json(workbook.Sheets[driverSheetName], {
+                        defval: '',
+                        raw: false
+                    }));
+                }
             } else {
                 alert('El archivo Excel está vacío o no contiene datos válidos.');
             }
@@ -408,3 +1187,1415 @@ function cargarExcel(file) {
     reader.readAsArrayBuffer(file);
 }
 
+
+/**
+ * Obtiene los items válidos que pueden participar en la matriz de correlación
+ * @returns {Array} Filas de loadedData con valor esperado válido
+ */
+function obtenerItemsCorrelacionables() {
+    return loadedData.filter(fila => {
+        const itemStr = String(fila.item || '').toUpperCase().trim();
+        return fila.pert !== null && itemStr !== 'TOTAL' && itemStr !== 'TOTALS' && itemStr !== '';
+    });
+}
+
+/**
+ * Importa una matriz de correlación desde filas de una hoja o CSV.
+ * Formato: primera fila = encabezados con los ITEM; primera columna = ITEM de cada fila.
+ * Las celdas vacías se completan con su simétrica (o 0) y la diagonal es siempre 1.
+ * @param {Array<Array<string>>} filas - Filas de la hoja (incluye encabezados)
+ */
+function importarMatrizCorrelacion(filas) {
+    if (!filas || filas.length < 2) {
+        alert('La matriz de correlación está vacía.');
+        return;
+    }
+    
+    const idsValidos = new Set(obtenerItemsCorrelacionables().map(fila => String(fila.item).trim()));
+    const encabezados = filas[0].slice(1).map(valor => String(valor).trim());
+    
+    // Ids de las columnas que existen en los datos cargados
+    const ids = encabezados.filter(id => id !== '' && idsValidos.has(id));
+    const ignorados = encabezados.filter(id => id !== '' && !idsValidos.has(id));
+    
+    const matrix = ids.map(() => new Array(ids.length).fill(null));
+    
+    filas.slice(1).forEach(fila => {
+        const idFila = String(fila[0]).trim();
+        const i = ids.indexOf(idFila);
+        if (i === -1) return;
+        
+        encabezados.forEach((idColumna, c) => {
+            const j = ids.indexOf(idColumna);
+            const valor = parseFloat(String(fila[c + 1]).replace(',', '.'));
+            if (j !== -1 && !isNaN(valor)) {
+                matrix[i][j] = valor;
+            }
+        });
+    });
+    
+    // Completar con la celda simétrica, 0 si ambas están vacías, y diagonal 1
+    for (let i = 0; i < ids.length; i++) {
+        for (let j = 0; j < ids.length; j++) {
+            if (i === j) {
+                matrix[i][j] = 1;
+            } else if (matrix[i][j] === null) {
+                matrix[i][j] = matrix[j][i] !== null ? matrix[j][i] : 0;
+            }
+        }
+    }
+    
+    if (ignorados.length > 0) {
+        console.warn('Items de la matriz de correlación que no existen en los datos:', ignorados);
+    }
+    
+    window.correlationData = { ids, matrix };
+    mostrarMatrizCorrelacion();
+}
+
+/**
+ * Maneja la selección del CSV con la matriz de correlación
+ */
+function handleCorrelationFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    if (loadedData.length === 0) {
+        alert('Primero carga el archivo de datos.');
+        event.target.value = '';
+        return;
+    }
+    
+    Papa.parse(file, {
+        header: false,
+        skipEmptyLines: true,
+        encoding: 'UTF-8',
+        complete: function(results) {
+            if (results.errors.length > 0) {
+                console.warn('Errores al parsear la matriz de correlación:', results.errors);
+            }
+            importarMatrizCorrelacion(results.data);
+            event.target.value = '';
+        },
+        error: function(error) {
+            alert('Error al leer la matriz de correlación: ' + error.message);
+            console.error('Error PapaParse:', error);
+        }
+    });
+}
+
+/**
+ * Agrega el item seleccionado a la matriz de correlación (sin correlación inicial)
+ */
+function agregarItemCorrelacion() {
+    const id = correlationItemSelect ? correlationItemSelect.value : '';
+    if (!id) return;
+    
+    const { ids, matrix } = window.correlationData;
+    if (ids.includes(id)) return;
+    
+    matrix.forEach(fila => fila.push(0));
+    const nuevaFila = new Array(ids.length + 1).fill(0);
+    nuevaFila[ids.length] = 1;
+    matrix.push(nuevaFila);
+    ids.push(id);
+    
+    mostrarMatrizCorrelacion();
+}
+
+/**
+ * Quita un item de la matriz de correlación
+ * @param {number} index - Posición del item en la matriz
+ */
+function quitarItemCorrelacion(index) {
+    const { ids, matrix } = window.correlationData;
+    
+    ids.splice(index, 1);
+    matrix.splice(index, 1);
+    matrix.forEach(fila => fila.splice(index, 1));
+    
+    mostrarMatrizCorrelacion();
+}
+
+/**
+ * Reemplaza la matriz por la matriz definida positiva más cercana
+ */
+function repararCorrelaciones() {
+    const { ids, matrix } = window.correlationData;
+    if (ids.length < 2) return;
+    
+    const errores = validarMatrizCorrelacion(matrix);
+    if (errores.length > 0) {
+        alert('Corrige la matriz antes de repararla:\n' + errores.join('\n'));
+        return;
+    }
+    
+    window.correlationData.matrix = repararMatrizCorrelacion(matrix);
+    mostrarMatrizCorrelacion();
+}
+
+/**
+ * Elimina todas las correlaciones
+ */
+function limpiarCorrelaciones() {
+    window.correlationData = { ids: [], matrix: [] };
+    mostrarMatrizCorrelacion();
+}
+
+/**
+ * Actualiza un coeficiente editado en la tabla (y su simétrico)
+ * @param {HTMLInputElement} input - Celda editada con data-i y data-j
+ */
+function actualizarCoeficienteCorrelacion(input) {
+    const i = parseInt(input.dataset.i);
+    const j = parseInt(input.dataset.j);
+    const valor = parseFloat(input.value);
+    const { matrix } = window.correlationData;
+    
+    matrix[i][j] = isNaN(valor) ? NaN : valor;
+    matrix[j][i] = matrix[i][j];
+    
+    // Reflejar el valor en la celda simétrica
+    const simetrica = correlationTable.querySelector(`input[data-i="${j}"][data-j="${i}"]`);
+    if (simetrica) {
+        simetrica.value = input.value;
+    }
+    
+    mostrarEstadoCorrelacion();
+}
+
+/**
+ * Muestra si la matriz actual es válida y definida positiva
+ */
+function mostrarEstadoCorrelacion() {
+    if (!correlationStatus) return;
+    
+    const { ids, matrix } = window.correlationData;
+    
+    if (ids.length < 2) {
+        correlationStatus.className = 'correlation-status';
+        correlationStatus.textContent = 'Sin correlaciones: los items se simulan de forma independiente.';
+        return;
+    }
+    
+    const errores = validarMatrizCorrelacion(matrix);
+    if (errores.length > 0) {
+        correlationStatus.className = 'correlation-status error';
+        correlationStatus.textContent = errores.join('. ');
+    } else if (!esDefinidaPositiva(matrix)) {
+        correlationStatus.className = 'correlation-status error';
+        correlationStatus.textContent = 'La matriz no es definida positiva (correlaciones inconsistentes). Usa "Reparar matriz".';
+    } else {
+        correlationStatus.className = 'correlation-status ok';
+        correlationStatus.textContent = `Matriz válida (definida positiva) con ${ids.length} items correlacionados.`;
+    }
+}
+
+/**
+ * Dibuja el editor de la matriz de correlación
+ */
+function mostrarMatrizCorrelacion() {
+    if (!correlationTable) return;
+    
+    const { ids, matrix } = window.correlationData;
+    const items = obtenerItemsCorrelacionables();
+    
+    // Opciones del selector: items que todavía no están en la matriz
+    if (correlationItemSelect) {
+        correlationItemSelect.innerHTML = items
+            .filter(fila => !ids.includes(String(fila.item).trim()))
+            .map(fila => {
+                const id = String(fila.item).trim();
+                return `<option value="${id}">${id} - ${fila.descripcion || ''}</option>`;
+            })
+            .join('');
+    }
+    
+    if (ids.length === 0) {
+        correlationTable.innerHTML = '';
+        mostrarEstadoCorrelacion();
+        return;
+    }
+    
+    let html = '<thead><tr><th>ITEM</th>';
+    ids.forEach((id, j) => {
+        html += `<th>${id} <button type="button" class="btn-remove" data-index="${j}" title="Quitar de la matriz">×</button></th>`;
+    });
+    html += '</tr></thead><tbody>';
+    
+    ids.forEach((id, i) => {
+        html += `<tr><td><strong>${id}</strong></td>`;
+        ids.forEach((_, j) => {
+            if (i === j) {
+                html += '<td class="number">1</td>';
+            } else {
+                const valor = matrix[i][j];
+                const texto = isNaN(valor) ? '' : Number(valor.toFixed(4));
+                html += `<td><input type="number" class="correlation-input" min="-1" max="1" step="0.05" data-i="${i}" data-j="${j}" value="${texto}"></td>`;
+            }
+        });
+        html += '</tr>';
+    });
+    html += '</tbody>';
+    
+    correlationTable.innerHTML = html;
+    
+    correlationTable.querySelectorAll('.correlation-input').forEach(input => {
+        input.addEventListener('change', () => actualizarCoeficienteCorrelacion(input));
+    });
+    correlationTable.querySelectorAll('.btn-remove').forEach(button => {
+        button.addEventListener('click', () => quitarItemCorrelacion(parseInt(button.dataset.index)));
+    });
+    
+    mostrarEstadoCorrelacion();
+}
+
+// Distribuciones que los editores de riesgos y factores no ofrecen: sus
+// parámetros (valores, ALFA y BETA) no tienen columna en esas tablas
+const DISTRIBUCIONES_SIN_EDITOR = [TIPOS_DISTRIBUCION.DISCRETA, TIPOS_DISTRIBUCION.BETA];
+
+// Columnas del registro de riesgos (nombres normalizados, sin acentos y con espacios)
+const COLUMNAS_RIESGO = {
+    'ID': 'id',
+    'ITEM': 'id',
+    'CODIGO': 'id',
+    'RIESGO': 'id',
+    'DESCRIPCION': 'descripcion',
+    'PROBABILIDAD': 'probabilidad',
+    'DISTRIBUCION': 'distribucion',
+    'MINIMO': 'minimo',
+    'PROBABLE': 'probable',
+    'MAXIMO': 'maximo',
+    'MEDIA': 'media',
+    'DESVIACION': 'desviacion',
+    'LAMBDA': 'lambda',
+    'PROBABILIDAD MITIGADA': 'probabilidadMitigada',
+    'MINIMO MITIGADO': 'minimoMitigado',
+    'PROBABLE MITIGADO': 'probableMitigado',
+    'MAXIMO MITIGADO': 'maximoMitigado'
+};
+
+/**
+ * Convierte una fila del registro al formato de riesgo que espera runMonteCarlo
+ * @param {Object} fila - Fila de window.riskRegister
+ * @returns {Object} Riesgo con {id, probability, a, m, b, distribucion, ..., mitigated}
+ */
+function convertirFilaARiesgo(fila) {
+    return {
+        id: fila.id,
+        descripcion: fila.descripcion,
+        probability: fila.probabilidad,
+        a: parseFloat(fila.minimo),
+        m: parseFloat(fila.probable),
+        b: parseFloat(fila.maximo),
+        distribucion: fila.distribucion,
+        lambda: obtenerLambda(fila),
+        media: fila.media,
+        desviacion: fila.desviacion,
+        // Los campos vacíos (null) toman el valor antes de mitigación
+        mitigated: {
+            probability: fila.probabilidadMitigada,
+            a: numeroOpcional(fila.minimoMitigado),
+            m: numeroOpcional(fila.probableMitigado),
+            b: numeroOpcional(fila.maximoMitigado)
+        }
+    };
+}
+
+/**
+ * Devuelve los riesgos del registro en el formato de runMonteCarlo
+ * @returns {Array<Object>}
+ */
+function obtenerRiesgosParaSimulacion() {
+    return window.riskRegister.map(convertirFilaARiesgo);
+}
+
+/**
+ * Importa el registro de riesgos desde las filas de una hoja o CSV con encabezados
+ * @param {Array<Object>} datos - Filas con columnas ID, DESCRIPCIÓN, PROBABILIDAD, MÍNIMO, ...
+ */
+function importarRiesgos(datos) {
+    const filas = [];
+    
+    const columnasFilas = datos.map(row => {
+        const columnas = {};
+        for (const key in row) {
+            const campo = COLUMNAS_RIESGO[normalizarNombreColumna(key).replace(/[\s_]+/g, ' ')];
+            if (campo) columnas[campo] = row[key];
+        }
+        return columnas;
+    });
+    
+    // Una sola unidad para las dos columnas de probabilidad
+    let enPorcentaje;
+    try {
+        enPorcentaje = unidadProbabilidades([
+            columnasFilas.map(columnas => columnas.probabilidad),
+            columnasFilas.map(columnas => columnas.probabilidadMitigada)
+        ]);
+    } catch (error) {
+        alert('Error al importar el registro de riesgos: ' + error.message);
+        return;
+    }
+    
+    columnasFilas.forEach((columnas, index) => {
+        // Ignorar filas vacías
+        if (!columnas.id && normalizarProbabilidad(columnas.probabilidad) === null) return;
+        
+        const distribucion = normalizarTipoDistribucion(columnas.distribucion);
+        if (distribucion === null) {
+            console.warn(`Riesgo ${columnas.id || index + 1}: distribución "${columnas.distribucion}" no reconocida`);
+        }
+        
+        filas.push({
+            id: String(columnas.id || `R${index + 1}`).trim(),
+            descripcion: columnas.descripcion || '',
+            probabilidad: normalizarProbabilidad(columnas.probabilidad, enPorcentaje),
+            distribucion: distribucion,
+            minimo: columnas.minimo,
+            probable: columnas.probable,
+            maximo: columnas.maximo,
+            media: columnas.media,
+            desviacion: columnas.desviacion,
+            lambda: columnas.lambda,
+            probabilidadMitigada: normalizarProbabilidad(columnas.probabilidadMitigada, enPorcentaje),
+            minimoMitigado: columnas.minimoMitigado,
+            probableMitigado: columnas.probableMitigado,
+            maximoMitigado: columnas.maximoMitigado
+        });
+    });
+    
+    window.riskRegister = filas;
+    mostrarRegistroRiesgos();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Maneja la selección del CSV con el registro de riesgos
+ */
+function handleRiskFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        encoding: 'UTF-8',
+        complete: function(results) {
+            if (results.errors.length > 0) {
+                console.warn('Errores al parsear el registro de riesgos:', results.errors);
+            }
+            importarRiesgos(results.data);
+            event.target.value = '';
+        },
+        error: function(error) {
+            alert('Error al leer el registro de riesgos: ' + error.message);
+            console.error('Error PapaParse:', error);
+        }
+    });
+}
+
+/**
+ * Agrega un riesgo vacío al registro (PERT, sin mitigación)
+ */
+function agregarRiesgo() {
+    // Primer código R1, R2, ... que no esté en uso
+    const ids = new Set(window.riskRegister.map(fila => fila.id));
+    let numero = window.riskRegister.length + 1;
+    while (ids.has(`R${numero}`)) numero++;
+    
+    window.riskRegister.push({
+        id: `R${numero}`,
+        descripcion: '',
+        probabilidad: null,
+        distribucion: TIPOS_DISTRIBUCION.PERT,
+        minimo: '',
+        probable: '',
+        maximo: '',
+        probabilidadMitigada: null,
+        minimoMitigado: '',
+        probableMitigado: '',
+        maximoMitigado: ''
+    });
+    
+    mostrarRegistroRiesgos();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Quita un riesgo del registro
+ * @param {number} index - Posición del riesgo
+ */
+function quitarRiesgo(index) {
+    window.riskRegister.splice(index, 1);
+    mostrarRegistroRiesgos();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Elimina todos los riesgos
+ */
+function limpiarRiesgos() {
+    window.riskRegister = [];
+    mostrarRegistroRiesgos();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Actualiza un campo editado en la tabla de riesgos
+ * @param {HTMLInputElement|HTMLSelectElement} input - Control con data-index y data-campo
+ */
+function actualizarCampoRiesgo(input) {
+    const fila = window.riskRegister[parseInt(input.dataset.index)];
+    const campo = input.dataset.campo;
+    
+    // Las probabilidades se editan en porcentaje
+    if (campo === 'probabilidad' || campo === 'probabilidadMitigada') {
+        fila[campo] = input.value.trim() === '' ? null : normalizarProbabilidad(input.value + '%');
+    } else {
+        fila[campo] = input.value;
+    }
+    
+    mostrarValoresEsperadosRiesgos();
+    mostrarMapaCalorRiesgos();
+}
+
+/**
+ * Dibuja el editor del registro de riesgos y su mapa de calor
+ */
+function mostrarRegistroRiesgos() {
+    if (!riskTable) return;
+    
+    const riesgos = window.riskRegister;
+    
+    if (riesgos.length === 0) {
+        riskTable.innerHTML = '';
+        mostrarMapaCalorRiesgos();
+        return;
+    }
+    
+    const porcentaje = (p) => (p === null || p === undefined ? '' : Number((p * 100).toFixed(4)));
+    const valor = (v) => (v === null || v === undefined ? '' : v);
+    const entrada = (index, campo, texto, tipo = 'number') =>
+        `<input type="${tipo}" class="risk-input" data-index="${index}" data-campo="${campo}" value="${texto}">`;
+    
+    let html = `<thead><tr>
+        <th>ID</th><th>DESCRIPCIÓN</th><th>PROB. (%)</th><th>DISTRIBUCIÓN</th>
+        <th>MÍNIMO</th><th>PROBABLE</th><th>MÁXIMO</th>
+        <th>PROB. MITIGADA (%)</th><th>MÍN. MITIGADO</th><th>PROB. MITIGADO</th><th>MÁX. MITIGADO</th>
+        <th>VE antes</th><th>VE después</th><th></th>
+    </tr></thead><tbody>`;
+    
+    riesgos.forEach((fila, index) => {
+        // La Discreta y la Beta necesitan parámetros del archivo: solo se ofrecen si ya las tiene
+        const opciones = Object.entries(NOMBRES_DISTRIBUCION)
+            .filter(([tipo]) => !DISTRIBUCIONES_SIN_EDITOR.includes(tipo) || fila.distribucion === tipo)
+            .map(([tipo, nombre]) => `<option value="${tipo}"${fila.distribucion === tipo ? ' selected' : ''}>${nombre}</option>`)
+            .join('');
+        
+        html += `<tr>
+            <td>${entrada(index, 'id', valor(fila.id), 'text')}</td>
+            <td>${entrada(index, 'descripcion', valor(fila.descripcion), 'text')}</td>
+            <td>${entrada(index, 'probabilidad', porcentaje(fila.probabilidad))}</td>
+            <td><select class="risk-input" data-index="${index}" data-campo="distribucion">${opciones}</select></td>
+            <td>${entrada(index, 'minimo', valor(fila.minimo))}</td>
+            <td>${entrada(index, 'probable', valor(fila.probable))}</td>
+            <td>${entrada(index, 'maximo', valor(fila.maximo))}</td>
+            <td>${entrada(index, 'probabilidadMitigada', porcentaje(fila.probabilidadMitigada))}</td>
+            <td>${entrada(index, 'minimoMitigado', valor(fila.minimoMitigado))}</td>
+            <td>${entrada(index, 'probableMitigado', valor(fila.probableMitigado))}</td>
+            <td>${entrada(index, 'maximoMitigado', valor(fila.maximoMitigado))}</td>
+            <td class="number" data-valor-esperado="pre" data-index="${index}"></td>
+            <td class="number" data-valor-esperado="post" data-index="${index}"></td>
+            <td><button type="button" class="btn-remove" data-index="${index}" title="Quitar riesgo">×</button></td>
+        </tr>`;
+    });
+    
+    html += `</tbody><tfoot><tr class="totals-row">
+        <td colspan="11"><strong>TOTAL (valor esperado de los riesgos)</strong></td>
+        <td class="number" data-valor-esperado-total="pre"></td>
+        <td class="number" data-valor-esperado-total="post"></td>
+        <td></td>
+    </tr></tfoot>`;
+    
+    riskTable.innerHTML = html;
+    
+    riskTable.querySelectorAll('.risk-input').forEach(input => {
+        input.addEventListener('change', () => actualizarCampoRiesgo(input));
+    });
+    riskTable.querySelectorAll('.btn-remove').forEach(button => {
+        button.addEventListener('click', () => quitarRiesgo(parseInt(button.dataset.index)));
+    });
+    
+    mostrarValoresEsperadosRiesgos();
+    mostrarMapaCalorRiesgos();
+}
+
+/**
+ * Actualiza las columnas de valor esperado (probabilidad × impacto medio)
+ * antes y después de la mitigación, con sus totales
+ */
+function mostrarValoresEsperadosRiesgos() {
+    if (!riskTable) return;
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    Object.values(ESTADOS_MITIGACION).forEach(mitigacion => {
+        let total = 0;
+        
+        window.riskRegister.forEach((fila, index) => {
+            const celda = riskTable.querySelector(`[data-valor-esperado="${mitigacion}"][data-index="${index}"]`);
+            const valor = valorEsperadoRiesgo(convertirFilaARiesgo(fila), mitigacion);
+            if (valor) total += valor.valorEsperado;
+            if (celda) celda.textContent = valor ? formatoNumero(valor.valorEsperado) : 'Error';
+        });
+        
+        const celdaTotal = riskTable.querySelector(`[data-valor-esperado-total="${mitigacion}"]`);
+        if (celdaTotal) celdaTotal.innerHTML = `<strong>${formatoNumero(total)}</strong>`;
+    });
+}
+
+/**
+ * Dibuja los mapas de calor probabilidad × impacto antes y después de la
+ * mitigación. El impacto se mide en % de la suma de valores esperados de los items
+ */
+function mostrarMapaCalorRiesgos() {
+    if (!riskHeatmaps) return;
+    
+    if (window.riskRegister.length === 0) {
+        riskHeatmaps.innerHTML = '';
+        return;
+    }
+    
+    const base = window.totalsData ? window.totalsData.sumPert : 0;
+    const formatoPorcentaje = (p) => `${Number((p * 100).toFixed(2))}%`;
+    
+    let html = '';
+    Object.values(ESTADOS_MITIGACION).forEach(mitigacion => {
+        // Riesgos de cada celda [nivelProbabilidad][nivelImpacto]
+        const celdas = NIVELES_MAPA.map(() => NIVELES_MAPA.map(() => []));
+        
+        window.riskRegister.forEach(fila => {
+            const valor = valorEsperadoRiesgo(convertirFilaARiesgo(fila), mitigacion);
+            if (!valor) return;
+            
+            const { nivelProbabilidad, nivelImpacto } = clasificarRiesgo(valor.probabilidad, valor.impacto, base);
+            const oportunidad = valor.impacto < 0;
+            const detalle = `${fila.descripcion || fila.id}: P = ${formatoPorcentaje(valor.probabilidad)}, ` +
+                `impacto medio = ${valor.impacto.toLocaleString('es-PE', { maximumFractionDigits: 0 })}`;
+            celdas[nivelProbabilidad][nivelImpacto].push(
+                `<span class="risk-chip${oportunidad ? ' opportunity' : ''}" title="${detalle}">${fila.id}</span>`
+            );
+        });
+        
+        html += `<div class="risk-heatmap"><h4>${NOMBRES_MITIGACION[mitigacion]}</h4><table class="heatmap-table"><tbody>`;
+        for (let p = NIVELES_MAPA.length - 1; p >= 0; p--) {
+            html += `<tr><th>${NIVELES_MAPA[p]}</th>`;
+            for (let i = 0; i < NIVELES_MAPA.length; i++) {
+                html += `<td class="heatmap-cell severity-${severidadRiesgo(p, i)}">${celdas[p][i].join(' ')}</td>`;
+            }
+            html += '</tr>';
+        }
+        html += '<tr><th></th>' + NIVELES_MAPA.map(nivel => `<th>${nivel}</th>`).join('') + '</tr>';
+        html += '</tbody></table><p class="heatmap-axes">Probabilidad (filas) × Impacto en % del costo base (columnas)</p></div>';
+    });
+    
+    riskHeatmaps.innerHTML = html;
+}
+
+// Columnas de la tabla de factores comunes (nombres normalizados, sin acentos y con espacios)
+const COLUMNAS_IMPULSOR = {
+    'ID': 'id',
+    'CODIGO': 'id',
+    'FACTOR': 'id',
+    'DESCRIPCION': 'descripcion',
+    'DISTRIBUCION': 'distribucion',
+    'MINIMO': 'minimo',
+    'PROBABLE': 'probable',
+    'MAXIMO': 'maximo',
+    'MEDIA': 'media',
+    'DESVIACION': 'desviacion',
+    'LAMBDA': 'lambda',
+    'APLICA A': 'aplicaA',
+    'ITEMS': 'aplicaA',
+    'CATEGORIAS': 'aplicaA'
+};
+
+/**
+ * Convierte una fila de la tabla de factores al formato que espera runMonteCarlo
+ * @param {Object} fila - Fila de window.driverRegister
+ * @returns {Object} Factor con {id, descripcion, a, m, b, distribucion, ..., appliesTo}
+ */
+function convertirFilaAImpulsor(fila) {
+    return {
+        id: fila.id,
+        descripcion: fila.descripcion,
+        a: parseFloat(fila.minimo),
+        m: parseFloat(fila.probable),
+        b: parseFloat(fila.maximo),
+        distribucion: fila.distribucion,
+        lambda: obtenerLambda(fila),
+        media: fila.media,
+        desviacion: fila.desviacion,
+        appliesTo: parsearAplicaA(fila.aplicaA)
+    };
+}
+
+/**
+ * Devuelve los factores comunes en el formato de runMonteCarlo
+ * @returns {Array<Object>}
+ */
+function obtenerImpulsoresParaSimulacion() {
+    return window.driverRegister.map(convertirFilaAImpulsor);
+}
+
+/**
+ * Importa los factores comunes desde las filas de una hoja o CSV con encabezados
+ * @param {Array<Object>} datos - Filas con columnas ID, DESCRIPCIÓN, MÍNIMO, PROBABLE, MÁXIMO, APLICA A, ...
+ */
+function importarImpulsores(datos) {
+    const filas = [];
+    
+    datos.forEach((row, index) => {
+        const columnas = {};
+        for (const key in row) {
+            const campo = COLUMNAS_IMPULSOR[normalizarNombreColumna(key).replace(/[\s_]+/g, ' ')];
+            if (campo) columnas[campo] = row[key];
+        }
+        
+        // Ignorar filas vacías
+        if (!columnas.id && !columnas.aplicaA) return;
+        
+        const distribucion = normalizarTipoDistribucion(columnas.distribucion);
+        if (distribucion === null) {
+            console.warn(`Factor ${columnas.id || index + 1}: distribución "${columnas.distribucion}" no reconocida`);
+        }
+        
+        filas.push({
+            id: String(columnas.id || `F${index + 1}`).trim(),
+            descripcion: columnas.descripcion || '',
+            distribucion: distribucion,
+            minimo: columnas.minimo,
+            probable: columnas.probable,
+            maximo: columnas.maximo,
+            media: columnas.media,
+            desviacion: columnas.desviacion,
+            lambda: columnas.lambda,
+            aplicaA: parsearAplicaA(columnas.aplicaA).join('; ')
+        });
+    });
+    
+    window.driverRegister = filas;
+    mostrarImpulsores();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Maneja la selección del CSV con los factores comunes
+ */
+function handleDriverFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        encoding: 'UTF-8',
+        complete: function(results) {
+            if (results.errors.length > 0) {
+                console.warn('Errores al parsear los factores comunes:', results.errors);
+            }
+            importarImpulsores(results.data);
+            event.target.value = '';
+        },
+        error: function(error) {
+            alert('Error al leer los factores comunes: ' + error.message);
+            console.error('Error PapaParse:', error);
+        }
+    });
+}
+
+/**
+ * Agrega un factor común vacío (PERT, sin items asignados)
+ */
+function agregarImpulsor() {
+    // Primer código F1, F2, ... que no esté en uso
+    const ids = new Set(window.driverRegister.map(fila => fila.id));
+    let numero = window.driverRegister.length + 1;
+    while (ids.has(`F${numero}`)) numero++;
+    
+    window.driverRegister.push({
+        id: `F${numero}`,
+        descripcion: '',
+        distribucion: TIPOS_DISTRIBUCION.PERT,
+        minimo: '',
+        probable: '',
+        maximo: '',
+        aplicaA: ''
+    });
+    
+    mostrarImpulsores();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Quita un factor común
+ * @param {number} index - Posición del factor
+ */
+function quitarImpulsor(index) {
+    window.driverRegister.splice(index, 1);
+    mostrarImpulsores();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Elimina todos los factores comunes
+ */
+function limpiarImpulsores() {
+    window.driverRegister = [];
+    mostrarImpulsores();
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Actualiza un campo editado en la tabla de factores comunes
+ * @param {HTMLInputElement|HTMLSelectElement} input - Control con data-index y data-campo
+ */
+function actualizarCampoImpulsor(input) {
+    window.driverRegister[parseInt(input.dataset.index)][input.dataset.campo] = input.value;
+    mostrarItemsImpulsores();
+}
+
+/**
+ * Dibuja el editor de los factores de riesgo comunes
+ */
+function mostrarImpulsores() {
+    if (!driverTable) return;
+    
+    const impulsores = window.driverRegister;
+    
+    if (impulsores.length === 0) {
+        driverTable.innerHTML = '';
+        return;
+    }
+    
+    const valor = (v) => (v === null || v === undefined ? '' : v);
+    const entrada = (index, campo, texto, tipo = 'number') =>
+        `<input type="${tipo}" class="risk-input" data-index="${index}" data-campo="${campo}" value="${texto}">`;
+    
+    let html = `<thead><tr>
+        <th>ID</th><th>DESCRIPCIÓN</th><th>DISTRIBUCIÓN</th>
+        <th>MÍNIMO</th><th>PROBABLE</th><th>MÁXIMO</th><th>APLICA A</th><th>ITEMS</th><th></th>
+    </tr></thead><tbody>`;
+    
+    impulsores.forEach((fila, index) => {
+        const opciones = Object.entries(NOMBRES_DISTRIBUCION)
+            .filter(([tipo]) => !DISTRIBUCIONES_SIN_EDITOR.includes(tipo) || fila.distribucion === tipo)
+            .map(([tipo, nombre]) => `<option value="${tipo}"${fila.distribucion === tipo ? ' selected' : ''}>${nombre}</option>`)
+            .join('');
+        
+        html += `<tr>
+            <td>${entrada(index, 'id', valor(fila.id), 'text')}</td>
+            <td>${entrada(index, 'descripcion', valor(fila.descripcion), 'text')}</td>
+            <td><select class="risk-input" data-index="${index}" data-campo="distribucion">${opciones}</select></td>
+            <td>${entrada(index, 'minimo', valor(fila.minimo))}</td>
+            <td>${entrada(index, 'probable', valor(fila.probable))}</td>
+            <td>${entrada(index, 'maximo', valor(fila.maximo))}</td>
+            <td>${entrada(index, 'aplicaA', valor(fila.aplicaA), 'text')}</td>
+            <td class="number" data-items-impulsor="${index}"></td>
+            <td><button type="button" class="btn-remove" data-index="${index}" title="Quitar factor">×</button></td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    
+    driverTable.innerHTML = html;
+    
+    driverTable.querySelectorAll('.risk-input').forEach(input => {
+        input.addEventListener('change', () => actualizarCampoImpulsor(input));
+    });
+    driverTable.querySelectorAll('.btn-remove').forEach(button => {
+        button.addEventListener('click', () => quitarImpulsor(parseInt(button.dataset.index)));
+    });
+    
+    mostrarItemsImpulsores();
+}
+
+/**
+ * Muestra cuántos items escala cada factor común, o el error que impide simularlo
+ */
+function mostrarItemsImpulsores() {
+    if (!driverTable) return;
+    
+    const items = (window.loadedData || []).filter(fila => fila.pert !== null).map(convertirFilaAItem);
+    
+    window.driverRegister.forEach((fila, index) => {
+        const celda = driverTable.querySelector(`[data-items-impulsor="${index}"]`);
+        if (!celda) return;
+        
+        try {
+            const [impulsor] = prepararImpulsores([convertirFilaAImpulsor(fila)], items);
+            celda.textContent = impulsor.indices.length;
+            celda.title = impulsor.indices.map(j => items[j].id).join(', ');
+        } catch (error) {
+            celda.textContent = 'Error';
+            celda.title = error.message.replace(/^Factor 1 \(id: [^)]*\): /, '');
+        }
+    });
+}
+
+/**
+ * Importa series de datos históricos: cada columna es una serie, con su nombre
+ * en el encabezado (normalmente el código ITEM) y un valor por fila
+ * @param {Array<Object>} datos - Filas de una hoja o CSV con encabezados
+ * @returns {number} Número de series importadas
+ */
+function importarSeriesHistoricas(datos) {
+    const series = {};
+    
+    datos.forEach(row => {
+        for (const key in row) {
+            const nombre = String(key).trim();
+            if (!nombre) continue;
+            const [valor] = leerObservaciones(String(row[key]));
+            if (valor === undefined) continue;
+            (series[nombre] = series[nombre] || []).push(valor);
+        }
+    });
+    
+    Object.assign(window.historicalSeries, series);
+    return Object.keys(series).length;
+}
+
+/**
+ * Maneja la selección del CSV con series históricas y vuelve a ajustar los items
+ */
+function handleHistoricalFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    Papa.parse(file, {
+        header: true,
+        skipEmptyLines: true,
+        encoding: 'UTF-8',
+        complete: function(results) {
+            if (results.errors.length > 0) {
+                console.warn('Errores al parsear las series históricas:', results.errors);
+            }
+            const importadas = importarSeriesHistoricas(results.data);
+            event.target.value = '';
+            if (importadas === 0) {
+                alert('El archivo no contiene series históricas numéricas.');
+                return;
+            }
+            aplicarHistoricos();
+        },
+        error: function(error) {
+            alert('Error al leer las series históricas: ' + error.message);
+            console.error('Error PapaParse:', error);
+        }
+    });
+}
+
+/**
+ * Busca una serie histórica por nombre (sin distinguir mayúsculas ni acentos)
+ * @param {string} nombre - Nombre de la serie o código ITEM
+ * @returns {number[]|null}
+ */
+function buscarSerieHistorica(nombre) {
+    const buscado = normalizarNombreColumna(String(nombre));
+    const clave = Object.keys(window.historicalSeries).find(key => normalizarNombreColumna(key) === buscado);
+    return clave ? window.historicalSeries[clave] : null;
+}
+
+/**
+ * Asigna a una fila sus observaciones históricas y la distribución ajustada:
+ * la de su columna AJUSTE (o la elegida en el panel) si es válida para los
+ * datos y, si no, la mejor según el AIC. MÍNIMO y MÁXIMO pasan a ser los
+ * observados y PROBABLE la moda del ajuste
+ * @param {Object} fila - Fila de loadedData con fuenteHistorico (lista, nombre de serie o null) y ajuste
+ */
+function resolverHistoricoFila(fila) {
+    const nombre = fila.fuenteHistorico || String(fila.item).trim();
+    const observaciones = buscarSerieHistorica(nombre) || leerObservaciones(fila.fuenteHistorico);
+    
+    if (observaciones.length === 0) {
+        if (fila.fuenteHistorico) {
+            console.warn(`Item ${fila.item}: no hay una serie histórica "${fila.fuenteHistorico}"`);
+        }
+        fila.historico = null;
+        return;
+    }
+    
+    fila.historico = observaciones;
+    if (fila.percentiles) {
+        console.warn(`Item ${fila.item}: se usan los datos históricos en lugar de los percentiles`);
+        fila.percentiles = null;
+    }
+    
+    let candidatos;
+    try {
+        candidatos = ajustarCandidatos(observaciones);
+    } catch (error) {
+        // El error se reporta al calcular el valor esperado
+        return;
+    }
+    
+    const pedido = candidatos.find(candidato => candidato.tipo === normalizarTipoAjuste(fila.ajuste));
+    if (fila.ajuste && !pedido) {
+        console.warn(`Item ${fila.item}: el ajuste "${fila.ajuste}" no es válido para sus datos; se usa ${NOMBRES_AJUSTE[candidatos[0].tipo]}`);
+    }
+    const elegido = pedido || candidatos[0];
+    
+    fila.ajuste = elegido.tipo;
+    fila.distribucion = elegido.dist.tipo;
+    fila.minimo = Math.min(...observaciones);
+    fila.maximo = Math.max(...observaciones);
+    fila.probable = modaDistribucion(elegido.dist);
+}
+
+/**
+ * Vuelve a asignar las series históricas a todos los items (p.ej. tras importarlas)
+ */
+function aplicarHistoricos() {
+    if (loadedData.length === 0) return;
+    
+    loadedData.forEach(fila => {
+        if (fila.esTitulo || fila.cantidad) return;
+        const teniaHistorico = Boolean(fila.historico);
+        resolverHistoricoFila(fila);
+        if (fila.historico || teniaHistorico) {
+            fila.pert = calcularValorEsperado(fila);
+        }
+    });
+    
+    mostrarDatos();
+    mostrarEstadisticas();
+    mostrarAjustes();
+}
+
+/**
+ * Describe los parámetros de un ajuste para la tabla del panel
+ * @param {string} tipo - Uno de TIPOS_AJUSTE
+ * @param {Object} item - Parámetros estimados (candidato.item)
+ * @returns {string}
+ */
+function describirParametrosAjuste(tipo, item) {
+    const formato = (valor) => Number(valor).toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    switch (tipo) {
+        case TIPOS_AJUSTE.NORMAL:
+        case TIPOS_AJUSTE.LOGNORMAL:
+            return `Media ${formato(item.media)} · Desv. ${formato(item.desviacion)}`;
+        case TIPOS_AJUSTE.BETA:
+            return `${formato(item.a)} a ${formato(item.b)} · α ${item.alfa.toFixed(2)} · β ${item.beta.toFixed(2)}`;
+        case TIPOS_AJUSTE.TRIANGULAR:
+            return `${formato(item.a)} / ${formato(item.m)} / ${formato(item.b)}`;
+        default:
+            return `${item.valores.length} valores equiprobables`;
+    }
+}
+
+/**
+ * Muestra el panel de ajuste del item elegido: las distribuciones candidatas
+ * ordenadas por el criterio elegido, con sus estadísticos, y el gráfico de
+ * los datos con las densidades ajustadas
+ */
+function mostrarAjustes() {
+    if (!fitTable || !fitItemSelect) return;
+    
+    const filas = loadedData.filter(fila => fila.historico && !fila.esTitulo);
+    const seleccionado = fitItemSelect.value;
+    fitItemSelect.innerHTML = filas
+        .map(fila => `<option value="${loadedData.indexOf(fila)}">${fila.item}${fila.descripcion ? ' - ' + fila.descripcion : ''}</option>`)
+        .join('');
+    if (filas.some(fila => String(loadedData.indexOf(fila)) === seleccionado)) {
+        fitItemSelect.value = seleccionado;
+    }
+    
+    const fila = loadedData[parseInt(fitItemSelect.value)];
+    if (!fila) {
+        fitTable.innerHTML = '';
+        crearGraficoAjuste(null, [], null);
+        return;
+    }
+    
+    let candidatos;
+    try {
+        candidatos = ajustarCandidatos(fila.historico, fitCriterionSelect ? fitCriterionSelect.value : CRITERIOS_AJUSTE.AIC);
+    } catch (error) {
+        fitTable.innerHTML = `<tbody><tr><td>Item ${fila.item}: ${error.message}</td></tr></tbody>`;
+        crearGraficoAjuste(fila.historico, [], null);
+        return;
+    }
+    
+    const estadistico = (valor, decimales) => (valor === null ? '-' : valor.toFixed(decimales));
+    
+    let html = `<thead><tr>
+        <th>DISTRIBUCIÓN</th><th>PARÁMETROS</th><th>KS</th><th>AD</th><th>AIC</th><th></th>
+    </tr></thead><tbody>`;
+    candidatos.forEach(candidato => {
+        const enUso = candidato.tipo === fila.ajuste;
+        html += `<tr${enUso ? ' class="fit-table-selected"' : ''}>
+            <td>${NOMBRES_AJUSTE[candidato.tipo]}</td>
+            <td>${describirParametrosAjuste(candidato.tipo, candidato.item)}</td>
+            <td class="number">${estadistico(candidato.ks, 3)}</td>
+            <td class="number">${estadistico(candidato.ad, 3)}</td>
+            <td class="number">${estadistico(candidato.aic, 1)}</td>
+            <td>${enUso ? 'En uso' : `<button type="button" class="btn-secondary" data-ajuste="${candidato.tipo}">Usar</button>`}</td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    
+    fitTable.innerHTML = html;
+    fitTable.querySelectorAll('[data-ajuste]').forEach(button => {
+        button.addEventListener('click', () => usarAjuste(fila, button.dataset.ajuste));
+    });
+    
+    crearGraficoAjuste(fila.historico, candidatos, fila.ajuste);
+}
+
+/**
+ * Elige la distribución ajustada que usará la simulación para un item
+ * @param {Object} fila - Fila de loadedData con datos históricos
+ * @param {string} tipo - Uno de TIPOS_AJUSTE
+ */
+function usarAjuste(fila, tipo) {
+    fila.ajuste = tipo;
+    resolverHistoricoFila(fila);
+    fila.pert = calcularValorEsperado(fila);
+    
+    mostrarDatos();
+    mostrarEstadisticas();
+    mostrarAjustes();
+}
+
+// Espera tras el último cambio antes de guardar automáticamente (ms)
+const RETARDO_AUTOGUARDADO = 1500;
+let temporizadorAutoguardado = null;
+
+/**
+ * Controles de configuración que se guardan con el proyecto (clave en el
+ * archivo → id del control)
+ */
+const CONTROLES_PROYECTO = {
+    iterations: 'iterationsInput',
+    bins: 'binsInput',
+    samplingMethod: 'samplingMethodSelect',
+    generator: 'generatorSelect',
+    fixedSeed: 'fixedSeedCheckbox',
+    seed: 'seedInput',
+    simulationMode: 'simulationModeSelect',
+    riskMitigation: 'riskMitigationSelect',
+    convergence: 'convergenceCheckbox',
+    tolerance: 'toleranceInput',
+    confidence: 'confidenceSelect'
+};
+
+/**
+ * Empieza un proyecto nuevo con los datos cargados (se guarda con otro id)
+ * @param {string} nombre - Nombre del proyecto (p.ej. el del archivo de datos)
+ */
+function iniciarProyecto(nombre) {
+    idProyectoActual = generarIdProyecto();
+    if (projectNameInput) projectNameInput.value = nombre || '';
+}
+
+/**
+ * Reúne el estado de la página en un proyecto del formato actual
+ * @returns {Object} Proyecto {format, version, id, name, savedAt, inputs, settings, results}
+ */
+function recogerProyecto() {
+    const settings = { pertLambda: window.pertLambda };
+    Object.entries(CONTROLES_PROYECTO).forEach(([clave, id]) => {
+        const control = document.getElementById(id);
+        if (!control) return;
+        if (control.type === 'checkbox') {
+            settings[clave] = control.checked;
+        } else if (control.type === 'number') {
+            settings[clave] = control.value.trim() === '' ? null : Number(control.value);
+        } else {
+            settings[clave] = control.value;
+        }
+    });
+    
+    const proyecto = {
+        format: FORMATO_PROYECTO,
+        version: VERSION_PROYECTO,
+        id: idProyectoActual,
+        name: (projectNameInput && projectNameInput.value.trim()) || 'Proyecto sin nombre',
+        savedAt: new Date().toISOString(),
+        inputs: {
+            rows: loadedData,
+            historicalSeries: window.historicalSeries,
+            correlation: window.correlationData,
+            risks: window.riskRegister,
+            drivers: window.driverRegister,
+            stressCases: window.stressCases || []
+        },
+        settings,
+        results: {
+            runs: resumirCorridasGuardadas()
+        }
+    };
+    
+    // Copia en JSON: lo mismo que se guarda en IndexedDB se exporta al archivo
+    return JSON.parse(JSON.stringify(proyecto));
+}
+
+/**
+ * Carga un proyecto en la página: datos, configuración y corridas guardadas
+ * (sin sus muestras; la semilla permite repetirlas)
+ * @param {Object} proyecto - Proyecto en la versión actual (ver migrarProyecto)
+ */
+function restaurarProyecto(proyecto) {
+    const inputs = proyecto.inputs;
+    const settings = proyecto.settings || {};
+    const results = proyecto.results || {};
+    
+    idProyectoActual = proyecto.id || generarIdProyecto();
+    if (projectNameInput) projectNameInput.value = proyecto.name || '';
+    
+    window.pertLambda = Number.isFinite(settings.pertLambda) ? settings.pertLambda : LAMBDA_PERT_DEFAULT;
+    if (lambdaInput) lambdaInput.value = window.pertLambda;
+    
+    // Los resultados en pantalla son de los datos anteriores
+    reiniciarResultadosSimulacion();
+    
+    gruposEDTContraidos.clear();
+    loadedData = inputs.rows;
+    window.loadedData = loadedData;
+    window.historicalSeries = inputs.historicalSeries || {};
+    window.correlationData = inputs.correlation || { ids: [], matrix: [] };
+    window.riskRegister = inputs.risks || [];
+    window.driverRegister = inputs.drivers || [];
+    window.stressCases = inputs.stressCases || [];
+    
+    // Valores esperados con el lambda del proyecto (el JSON no guarda NaN)
+    loadedData.forEach(fila => {
+        fila.pert = fila.esTitulo ? null : calcularValorEsperado(fila);
+    });
+    
+    Object.entries(CONTROLES_PROYECTO).forEach(([clave, id]) => {
+        const control = document.getElementById(id);
+        if (!control || settings[clave] === undefined) return;
+        if (control.type === 'checkbox') {
+            control.checked = Boolean(settings[clave]);
+            // Habilitar o deshabilitar los campos que dependen de la casilla
+            control.dispatchEvent(new Event('change', { bubbles: true }));
+        } else {
+            control.value = settings[clave] === null ? '' : settings[clave];
+        }
+    });
+    
+    mostrarDatos();
+    mostrarEstadisticas();
+    mostrarMatrizCorrelacion();
+    mostrarRegistroRiesgos();
+    mostrarImpulsores();
+    mostrarAjustes();
+    
+    const simulationSection = document.getElementById('simulationSection');
+    if (simulationSection) {
+        simulationSection.style.display = loadedData.some(fila => fila.pert !== null) ? 'block' : 'none';
+    }
+    restaurarCorridas(Array.isArray(results.runs) ? results.runs : []);
+    actualizarEstimacionMemoria();
+}
+
+/**
+ * Programa el guardado automático del proyecto tras unos instantes sin cambios
+ */
+function programarAutoguardado() {
+    clearTimeout(temporizadorAutoguardado);
+    temporizadorAutoguardado = setTimeout(autoguardarProyecto, RETARDO_AUTOGUARDADO);
+}
+
+/**
+ * Guarda el proyecto abierto en el navegador (si hay datos cargados)
+ */
+async function autoguardarProyecto() {
+    temporizadorAutoguardado = null;
+    if (loadedData.length === 0) return;
+    if (!idProyectoActual) iniciarProyecto(projectNameInput ? projectNameInput.value : '');
+    
+    try {
+        await guardarProyectoLocal(recogerProyecto());
+        mostrarEstadoAutoguardado(`Guardado automáticamente a las ${new Date().toLocaleTimeString('es-PE')}`);
+        await mostrarProyectosLocales();
+    } catch (error) {
+        // Sin alert: el autoguardado se repite con cada cambio
+        mostrarEstadoAutoguardado('No se pudo guardar automáticamente: ' + error.message);
+        console.error('Error al guardar el proyecto:', error);
+    }
+}
+
+/**
+ * Muestra el estado del autoguardado junto a los controles del proyecto
+ * @param {string} texto - Mensaje a mostrar
+ */
+function mostrarEstadoAutoguardado(texto) {
+    if (autosaveStatus) autosaveStatus.textContent = texto;
+}
+
+/**
+ * Guarda el estado actual como un proyecto aparte, que pasa a ser el abierto
+ */
+async function guardarCopiaProyecto() {
+    if (loadedData.length === 0) {
+        alert('No hay datos cargados para guardar.');
+        return;
+    }
+    
+    const nombre = projectNameInput ? projectNameInput.value.trim() : '';
+    iniciarProyecto(nombre ? `${nombre} (copia)` : '');
+    clearTimeout(temporizadorAutoguardado);
+    await autoguardarProyecto();
+}
+
+/**
+ * Descarga el proyecto abierto como archivo .simrisk.json
+ */
+function exportarProyecto() {
+    if (loadedData.length === 0) {
+        alert('No hay datos cargados para exportar.');
+        return;
+    }
+    if (!idProyectoActual) iniciarProyecto(projectNameInput ? projectNameInput.value : '');
+    
+    const proyecto = recogerProyecto();
+    const blob = new Blob([JSON.stringify(proyecto, null, 2)], { type: 'application/json' });
+    const enlace = document.createElement('a');
+    enlace.href = URL.createObjectURL(blob);
+    enlace.download = nombreArchivoProyecto(proyecto.name);
+    document.body.appendChild(enlace);
+    enlace.click();
+    enlace.remove();
+    URL.revokeObjectURL(enlace.href);
+}
+
+/**
+ * Maneja la selección de un archivo .simrisk.json: lo abre como un proyecto
+ * nuevo del navegador (sin reemplazar el guardado con el mismo id)
+ */
+function handleProjectFileSelect(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = function(e) {
+        event.target.value = '';
+        try {
+            const proyecto = leerArchivoProyecto(e.target.result);
+            restaurarProyecto({ ...proyecto, id: generarIdProyecto() });
+            programarAutoguardado();
+        } catch (error) {
+            alert('Error al importar el proyecto: ' + error.message);
+            console.error('Error:', error);
+        }
+    };
+    reader.onerror = function() {
+        event.target.value = '';
+        alert('Error al leer el archivo del proyecto.');
+    };
+    reader.readAsText(file);
+}
+
+/**
+ * Abre un proyecto guardado en el navegador
+ * @param {string} id - Identificador del proyecto
+ */
+async function abrirProyectoLocal(id) {
+    try {
+        restaurarProyecto(await cargarProyectoLocal(id));
+        mostrarEstadoAutoguardado('');
+        await mostrarProyectosLocales();
+    } catch (error) {
+        alert('Error al abrir el proyecto: ' + error.message);
+        console.error('Error:', error);
+    }
+}
+
+/**
+ * Borra un proyecto del navegador; si es el abierto, el próximo guardado
+ * crea uno nuevo
+ * @param {string} id - Identificador del proyecto
+ * @param {string} nombre - Nombre del proyecto (para la confirmación)
+ */
+async function borrarProyecto(id, nombre) {
+    if (!confirm(`¿Borrar el proyecto "${nombre}" de este navegador?`)) return;
+    
+    try {
+        clearTimeout(temporizadorAutoguardado);
+        await borrarProyectoLocal(id);
+        if (id === idProyectoActual) idProyectoActual = null;
+        await mostrarProyectosLocales();
+    } catch (error) {
+        alert('Error al borrar el proyecto: ' + error.message);
+        console.error('Error:', error);
+    }
+}
+
+/**
+ * Muestra la lista de proyectos guardados en el navegador
+ * @param {Array|null} proyectos - Resultado de listarProyectosLocales (se consulta si es null)
+ */
+async function mostrarProyectosLocales(proyectos = null) {
+    if (!projectList) return;
+    if (!proyectos) proyectos = await listarProyectosLocales();
+    
+    if (proyectos.length === 0) {
+        projectList.innerHTML = '';
+        return;
+    }
+    
+    const escapar = (texto) => String(texto).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;');
+    let html = '<thead><tr><th>PROYECTO</th><th>Guardado</th><th>Items</th><th>Corridas</th><th></th><th></th></tr></thead><tbody>';
+    proyectos.forEach((proyecto, index) => {
+        html += `<tr${proyecto.id === idProyectoActual ? ' class="project-current"' : ''}>
+            <td>${escapar(proyecto.name)}</td>
+            <td>${new Date(proyecto.savedAt).toLocaleString('es-PE')}</td>
+            <td class="number">${proyecto.items}</td>
+            <td class="number">${proyecto.runs}</td>
+            <td><button type="button" class="btn-secondary" data-abrir="${index}">Abrir</button></td>
+            <td><button type="button" class="btn-remove" data-borrar="${index}" title="Borrar proyecto">×</button></td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    projectList.innerHTML = html;
+    
+    projectList.querySelectorAll('[data-abrir]').forEach(button => {
+        button.addEventListener('click', () => abrirProyectoLocal(proyectos[parseInt(button.dataset.abrir)].id));
+    });
+    projectList.querySelectorAll('[data-borrar]').forEach(button => {
+        const proyecto = proyectos[parseInt(button.dataset.borrar)];
+        button.addEventListener('click', () => borrarProyecto(proyecto.id, proyecto.name));
+    });
+}
+
+/**
+ * Al abrir la página, lista los proyectos guardados y ofrece recuperar el
+ * último (los datos de la sesión anterior se pierden al recargar)
+ */
+async function ofrecerRecuperacionProyecto() {
+    let proyectos;
+    try {
+        proyectos = await listarProyectosLocales();
+    } catch (error) {
+        mostrarEstadoAutoguardado('Los proyectos no se guardarán: ' + error.message);
+        return;
+    }
+    
+    await mostrarProyectosLocales(proyectos);
+    if (proyectos.length === 0 || loadedData.length > 0) return;
+    
+    const ultimo = proyectos[0];
+    if (confirm(`Se encontró el proyecto "${ultimo.name}" guardado el ${new Date(ultimo.savedAt).toLocaleString('es-PE')}. ¿Recuperarlo?`)) {
+        await abrirProyectoLocal(ultimo.id);
+    }
+}
@@ -0,0 +1,322 @@
+// SIM-RISK Web - Módulo 5: Correlación
+// Validación y reparación de matrices de correlación e inducción de
+// correlaciones de rango entre items con el método de Iman-Conover
+
+/**
+ * Descomposición de Cholesky de una matriz simétrica (C = L·Lᵀ)
+ * @param {number[][]} matrix - Matriz simétrica
+ * @returns {number[][]|null} Matriz triangular inferior L, o null si no es definida positiva
+ */
+function descomposicionCholesky(matrix) {
+    const n = matrix.length;
+    const L = matrix.map(() => new Array(n).fill(0));
+
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j <= i; j++) {
+            let sum = matrix[i][j];
+            for (let k = 0; k < j; k++) {
+                sum -= L[i][k] * L[j][k];
+            }
+
+            if (i === j) {
+                if (sum <= 1e-12) {
+                    return null;
+                }
+                L[i][i] = Math.sqrt(sum);
+            } else {
+                L[i][j] = sum / L[j][j];
+            }
+        }
+    }
+
+    return L;
+}
+
+/**
+ * Valores y vectores propios de una matriz simétrica (método de Jacobi)
+ * @param {number[][]} matrix - Matriz simétrica
+ * @returns {{valores:number[], vectores:number[][]}} vectores[i][k] = componente i del vector propio k
+ */
+function descomposicionEspectral(matrix) {
+    const n = matrix.length;
+    const A = matrix.map(fila => fila.slice());
+    const V = matrix.map((fila, i) => fila.map((_, j) => (i === j ? 1 : 0)));
+
+    for (let barrido = 0; barrido < 100; barrido++) {
+        let fueraDiagonal = 0;
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                fueraDiagonal += A[p][q] * A[p][q];
+            }
+        }
+        if (fueraDiagonal < 1e-20) break;
+
+        for (let p = 0; p < n; p++) {
+            for (let q = p + 1; q < n; q++) {
+                if (Math.abs(A[p][q]) < 1e-15) continue;
+
+                // Rotación que anula A[p][q]
+                const theta = (A[q][q] - A[p][p]) / (2 * A[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const c = 1 / Math.sqrt(t * t + 1);
+                const s = t * c;
+
+                for (let k = 0; k < n; k++) {
+                    const akp = A[k][p];
+                    const akq = A[k][q];
+                    A[k][p] = c * akp - s * akq;
+                    A[k][q] = s * akp + c * akq;
+                }
+                for (let k = 0; k < n; k++) {
+                    const apk = A[p][k];
+                    const aqk = A[q][k];
+                    A[p][k] = c * apk - s * aqk;
+                    A[q][k] = s * apk + c * aqk;
+                }
+                for (let k = 0; k < n; k++) {
+                    const vkp = V[k][p];
+                    const vkq = V[k][q];
+                    V[k][p] = c * vkp - s * vkq;
+                    V[k][q] = s * vkp + c * vkq;
+                }
+            }
+        }
+    }
+
+    return { valores: A.map((fila, i) => fila[i]), vectores: V };
+}
+
+/**
+ * Verifica la forma de una matriz de correlación (cuadrada, simétrica,
+ * diagonal 1 y valores en [-1, 1])
+ * @param {number[][]} matrix - Matriz a validar
+ * @returns {string[]} Lista de errores (vacía si es válida)
+ */
+function validarMatrizCorrelacion(matrix) {
+    const errores = [];
+    const n = matrix.length;
+
+    for (let i = 0; i < n; i++) {
+        if (!Array.isArray(matrix[i]) || matrix[i].length !== n) {
+            errores.push(`La fila ${i + 1} no tiene ${n} columnas`);
+            continue;
+        }
+        for (let j = 0; j < n; j++) {
+            const valor = matrix[i][j];
+            if (typeof valor !== 'number' || isNaN(valor)) {
+                errores.push(`Valor no numérico en (${i + 1}, ${j + 1})`);
+            } else if (i === j && Math.abs(valor - 1) > 1e-9) {
+                errores.push(`La diagonal debe ser 1 en (${i + 1}, ${j + 1})`);
+            } else if (valor < -1 || valor > 1) {
+                errores.push(`Valor fuera de [-1, 1] en (${i + 1}, ${j + 1}): ${valor}`);
+            } else if (j > i && Math.abs(valor - matrix[j][i]) > 1e-9) {
+                errores.push(`La matriz no es simétrica en (${i + 1}, ${j + 1})`);
+            }
+        }
+    }
+
+    return errores;
+}
+
+/**
+ * Indica si una matriz de correlación es definida positiva
+ * @param {number[][]} matrix - Matriz de correlación
+ * @returns {boolean}
+ */
+function esDefinidaPositiva(matrix) {
+    return descomposicionCholesky(matrix) !== null;
+}
+
+/**
+ * Repara una matriz de correlación no definida positiva: recorta los valores
+ * propios negativos y vuelve a escalar para que la diagonal sea 1
+ * @param {number[][]} matrix - Matriz de correlación simétrica
+ * @returns {number[][]} Matriz definida positiva más cercana (aproximación espectral)
+ */
+function repararMatrizCorrelacion(matrix) {
+    const n = matrix.length;
+    const minimoValorPropio = 1e-4;
+    const { valores, vectores } = descomposicionEspectral(matrix);
+    const recortados = valores.map(v => Math.max(v, minimoValorPropio));
+
+    // B = V·diag(λ)·Vᵀ
+    const B = matrix.map(() => new Array(n).fill(0));
+    for (let i = 0; i < n; i++) {
+        for (let j = 0; j < n; j++) {
+            let sum = 0;
+            for (let k = 0; k < n; k++) {
+                sum += vectores[i][k] * recortados[k] * vectores[j][k];
+            }
+            B[i][j] = sum;
+        }
+    }
+
+    // Reescalar a diagonal unitaria
+    return B.map((fila, i) => fila.map((valor, j) => (
+        i === j ? 1 : valor / Math.sqrt(B[i][i] * B[j][j])
+    )));
+}
+
+/**
+ * Calcula los rangos (1..n) de un array, promediando los empates
+ * @param {ArrayLike<number>} valores - Valores
+ * @returns {Float64Array} Rangos
+ */
+function calcularRangos(valores) {
+    const n = valores.length;
+    const indices = Array.from({ length: n }, (_, i) => i);
+    indices.sort((x, y) => valores[x] - valores[y]);
+
+    const rangos = new Float64Array(n);
+    let i = 0;
+    while (i < n) {
+        let j = i;
+        while (j + 1 < n && valores[indices[j + 1]] === valores[indices[i]]) {
+            j++;
+        }
+        const rangoPromedio = (i + j) / 2 + 1;
+        for (let k = i; k <= j; k++) {
+            rangos[indices[k]] = rangoPromedio;
+        }
+        i = j + 1;
+    }
+
+    return rangos;
+}
+
+/**
+ * Coeficiente de correlación de Pearson entre dos arrays
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @returns {number} Correlación en [-1, 1] (0 si alguna serie es constante)
+ */
+function correlacionPearson(x, y) {
+    const n = x.length;
+    let mediaX = 0;
+    let mediaY = 0;
+    for (let i = 0; i < n; i++) {
+        mediaX += x[i];
+        mediaY += y[i];
+    }
+    mediaX /= n;
+    mediaY /= n;
+
+    let cov = 0;
+    let varX = 0;
+    let varY = 0;
+    for (let i = 0; i < n; i++) {
+        const dx = x[i] - mediaX;
+        const dy = y[i] - mediaY;
+        cov += dx * dy;
+        varX += dx * dx;
+        varY += dy * dy;
+    }
+
+    if (varX === 0 || varY === 0) return 0;
+    return cov / Math.sqrt(varX * varY);
+}
+
+/**
+ * Correlación de rangos de Spearman entre dos arrays
+ * @param {ArrayLike<number>} x
+ * @param {ArrayLike<number>} y
+ * @returns {number} Correlación de rangos en [-1, 1]
+ */
+function correlacionRangos(x, y) {
+    return correlacionPearson(calcularRangos(x), calcularRangos(y));
+}
+
+/**
+ * Induce una correlación de rangos objetivo entre columnas de muestras
+ * reordenándolas con el método de Iman-Conover (las distribuciones marginales
+ * no cambian, solo el orden en que se emparejan las muestras)
+ * @param {Array<ArrayLike<number>>} columnas - Muestras por item (se modifican in situ)
+ * @param {number[][]} matrizObjetivo - Matriz de correlación definida positiva (k × k)
+ * @param {Function} rng - Generador de números aleatorios uniformes [0,1)
+ * @param {Array<Array<ArrayLike<number>>>} acompanantes - Por cada columna, otras que deben seguir
+ *        emparejadas con ella fila a fila, p.ej. los factores de un item metrado × precio (opcional)
+ */
+function aplicarImanConover(columnas, matrizObjetivo, rng, acompanantes = []) {
+    const k = columnas.length;
+    if (k < 2) return;
+    const n = columnas[0].length;
+
+    const P = descomposicionCholesky(matrizObjetivo);
+    if (!P) {
+        throw new Error('La matriz de correlación no es definida positiva');
+    }
+
+    // Scores de van der Waerden, estandarizados
+    const scores = new Float64Array(n);
+    let sumaCuadrados = 0;
+    for (let i = 0; i < n; i++) {
+        scores[i] = normalInv((i + 1) / (n + 1));
+        sumaCuadrados += scores[i] * scores[i];
+    }
+    const escala = Math.sqrt(sumaCuadrados / n);
+    for (let i = 0; i < n; i++) {
+        scores[i] /= escala;
+    }
+
+    // S: una permutación aleatoria de los scores por columna
+    const S = [];
+    for (let j = 0; j < k; j++) {
+        const columna = Float64Array.from(scores);
+        for (let i = n - 1; i > 0; i--) {
+            const r = Math.floor(rng() * (i + 1));
+            const tmp = columna[i];
+            columna[i] = columna[r];
+            columna[r] = tmp;
+        }
+        S.push(columna);
+    }
+
+    // Corregir la correlación accidental de S: E = F·Fᵀ
+    const E = S.map((x, i) => S.map((y, j) => (i === j ? 1 : correlacionPearson(x, y))));
+    const F = descomposicionCholesky(E) || S.map((_, i) => S.map((__, j) => (i === j ? 1 : 0)));
+
+    // Q = P·F⁻¹ (F triangular inferior: sustitución hacia adelante)
+    const Finv = F.map(() => new Array(k).fill(0));
+    for (let col = 0; col < k; col++) {
+        for (let i = 0; i < k; i++) {
+            let sum = i === col ? 1 : 0;
+            for (let m = 0; m < i; m++) {
+                sum -= F[i][m] * Finv[m][col];
+            }
+            Finv[i][col] = sum / F[i][i];
+        }
+    }
+    const Q = P.map(fila => Finv[0].map((_, j) => {
+        let sum = 0;
+        for (let m = 0; m < k; m++) {
+            sum += fila[m] * Finv[m][j];
+        }
+        return sum;
+    }));
+
+    // T = S·Qᵀ y reordenar cada columna según los rangos de T
+    for (let j = 0; j < k; j++) {
+        const T = new Float64Array(n);
+        for (let i = 0; i < n; i++) {
+            let sum = 0;
+            for (let m = 0; m <= j; m++) {
+                sum += S[m][i] * Q[j][m];
+            }
+            T[i] = sum;
+        }
+
+        const ordenT = Array.from({ length: n }, (_, i) => i);
+        ordenT.sort((x, y) => T[x] - T[y]);
+
+        // Las columnas acompañantes se reordenan igual que la suya
+        const grupo = [columnas[j]].concat(acompanantes[j] || []);
+        const ordenActual = Array.from({ length: n }, (_, i) => i);
+        ordenActual.sort((x, y) => columnas[j][x] - columnas[j][y]);
+        grupo.forEach(columna => {
+            const ordenadas = ordenActual.map(i => columna[i]);
+            for (let r = 0; r < n; r++) {
+                columna[ordenT[r]] = ordenadas[r];
+            }
+        });
+    }
+}
@@ -0,0 +1,999 @@
+// SIM-RISK Web - Módulo 4: Distribuciones
+// Define los tipos de distribución por item (PERT, Triangular, Uniforme, Normal,
+// Lognormal, Normal Truncada, Beta y Discreta) y cómo se muestrean en la
+// simulación, también como factores de un item metrado × precio unitario
+
+/**
+ * Tipos de distribución soportados (valor interno usado por el motor)
+ */
+const TIPOS_DISTRIBUCION = {
+    PERT: 'pert',
+    TRIANGULAR: 'triangular',
+    UNIFORME: 'uniforme',
+    NORMAL: 'normal',
+    LOGNORMAL: 'lognormal',
+    NORMAL_TRUNCADA: 'normal_truncada',
+    BETA: 'beta',
+    DISCRETA: 'discreta'
+};
+
+/**
+ * Nombres para mostrar en la interfaz
+ */
+const NOMBRES_DISTRIBUCION = {
+    pert: 'PERT',
+    triangular: 'Triangular',
+    uniforme: 'Uniforme',
+    normal: 'Normal',
+    lognormal: 'Lognormal',
+    normal_truncada: 'Normal Truncada',
+    beta: 'Beta',
+    discreta: 'Discreta'
+};
+
+// Tipo interno de los items metrado × precio unitario: no se elige en la
+// columna DISTRIBUCION, cada factor usa la distribución del item
+const TIPO_PRODUCTO = 'producto';
+
+// Tipo interno de un item restringido a un rango de percentiles de su
+// distribución (análisis de estrés): {base, pDesde, pHasta}
+const TIPO_RESTRINGIDA = 'restringida';
+
+// Alias aceptados en la columna DISTRIBUCION del archivo (ya normalizados)
+const ALIAS_DISTRIBUCION = {
+    PERT: 'pert',
+    BETAPERT: 'pert',
+    TRIANGULAR: 'triangular',
+    TRIANG: 'triangular',
+    UNIFORME: 'uniforme',
+    UNIFORM: 'uniforme',
+    NORMAL: 'normal',
+    LOGNORMAL: 'lognormal',
+    LOGNORM: 'lognormal',
+    NORMALTRUNCADA: 'normal_truncada',
+    TRUNCNORMAL: 'normal_truncada',
+    TRUNCATEDNORMAL: 'normal_truncada',
+    BETA: 'beta',
+    BETAGENERAL: 'beta',
+    DISCRETA: 'discreta',
+    DISCRETE: 'discreta'
+};
+
+/**
+ * Convierte el texto de la columna DISTRIBUCION en un tipo interno
+ * @param {string} valor - Texto del archivo (p.ej. "Normal Truncada", "TRIANG")
+ * @returns {string|null} Tipo interno o null si no se reconoce (vacío => PERT)
+ */
+function normalizarTipoDistribucion(valor) {
+    if (valor === null || valor === undefined || String(valor).trim() === '') {
+        return TIPOS_DISTRIBUCION.PERT;
+    }
+
+    const clave = String(valor).trim().toUpperCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '') // Eliminar acentos
+        .replace(/[\s_\-.]/g, '');
+
+    return ALIAS_DISTRIBUCION[clave] || null;
+}
+
+/**
+ * Función de distribución acumulada de la Normal estándar
+ * Usa la aproximación de erfc de Numerical Recipes (error < 1.2e-7)
+ * @param {number} z - Valor estandarizado
+ * @returns {number} P(Z <= z)
+ */
+function normalCDF(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const erfc = t * Math.exp(-x * x - 1.26551223 + t * (1.00002368 + t * (0.37409196 +
+        t * (0.09678418 + t * (-0.18628806 + t * (0.27886807 + t * (-1.13520398 +
+        t * (1.48851587 + t * (-0.82215223 + t * 0.17087277)))))))));
+
+    return z >= 0 ? 1 - 0.5 * erfc : 0.5 * erfc;
+}
+
+/**
+ * Inversa de la distribución Normal estándar (algoritmo de Acklam)
+ * @param {number} p - Probabilidad en (0, 1)
+ * @returns {number} z tal que P(Z <= z) = p
+ */
+function normalInv(p) {
+    if (p <= 0) return -Infinity;
+    if (p >= 1) return Infinity;
+
+    const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+        1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+    const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+        6.680131188771972e+01, -1.328068155288572e+01];
+    const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+        -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+    const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+        3.754408661907416e+00];
+    const pLow = 0.02425;
+
+    let q, r;
+    if (p < pLow) {
+        q = Math.sqrt(-2 * Math.log(p));
+        return (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+    if (p > 1 - pLow) {
+        q = Math.sqrt(-2 * Math.log(1 - p));
+        return -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+            ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+    }
+
+    q = p - 0.5;
+    r = q * q;
+    return (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q /
+        (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+}
+
+/**
+ * Genera un número aleatorio N(0,1) usando el método polar de Marsaglia
+ * @param {Function} rng - Generador de números aleatorios uniformes [0,1)
+ * @returns {number} Muestra Normal estándar
+ */
+function normalRandom(rng) {
+    let u1, u2, s;
+    do {
+        u1 = 2 * rng() - 1;
+        u2 = 2 * rng() - 1;
+        s = u1 * u1 + u2 * u2;
+    } while (s >= 1 || s === 0);
+
+    return u1 * Math.sqrt(-2 * Math.log(s) / s);
+}
+
+/**
+ * Logaritmo de la función Gamma (aproximación de Lanczos)
+ * @param {number} x - Valor positivo
+ * @returns {number} ln Γ(x)
+ */
+function logGamma(x) {
+    const coef = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+        -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    let tmp = x + 5.5;
+    tmp -= (x + 0.5) * Math.log(tmp);
+    let ser = 1.000000000190015;
+    for (let j = 0; j < 6; j++) {
+        ser += coef[j] / ++y;
+    }
+    return -tmp + Math.log(2.5066282746310005 * ser / x);
+}
+
+/**
+ * Fracción continua de la Beta incompleta (Numerical Recipes, betacf)
+ */
+function fraccionContinuaBeta(x, a, b) {
+    const maxIteraciones = 200;
+    const epsilon = 3e-14;
+    const minimo = 1e-300;
+    const qab = a + b;
+    const qap = a + 1;
+    const qam = a - 1;
+    let c = 1;
+    let d = 1 - qab * x / qap;
+    if (Math.abs(d) < minimo) d = minimo;
+    d = 1 / d;
+    let h = d;
+
+    for (let m = 1; m <= maxIteraciones; m++) {
+        const m2 = 2 * m;
+        let aa = m * (b - m) * x / ((qam + m2) * (a + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < minimo) d = minimo;
+        c = 1 + aa / c;
+        if (Math.abs(c) < minimo) c = minimo;
+        d = 1 / d;
+        h *= d * c;
+
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2));
+        d = 1 + aa * d;
+        if (Math.abs(d) < minimo) d = minimo;
+        c = 1 + aa / c;
+        if (Math.abs(c) < minimo) c = minimo;
+        d = 1 / d;
+        const del = d * c;
+        h *= del;
+        if (Math.abs(del - 1) < epsilon) break;
+    }
+
+    return h;
+}
+
+/**
+ * Función de distribución acumulada de la Beta (Beta incompleta regularizada)
+ * @param {number} x - Valor en [0, 1]
+ * @param {number} a - Parámetro alpha
+ * @param {number} b - Parámetro beta
+ * @returns {number} P(X <= x)
+ */
+function betaCDF(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+
+    const bt = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) +
+        a * Math.log(x) + b * Math.log(1 - x));
+
+    // Usar la simetría I_x(a,b) = 1 - I_{1-x}(b,a) donde converge mejor
+    if (x < (a + 1) / (a + b + 2)) {
+        return bt * fraccionContinuaBeta(x, a, b) / a;
+    }
+    return 1 - bt * fraccionContinuaBeta(1 - x, b, a) / b;
+}
+
+/**
+ * Inversa de la distribución Beta (Newton con salvaguarda de bisección)
+ * @param {number} p - Probabilidad en [0, 1]
+ * @param {number} a - Parámetro alpha
+ * @param {number} b - Parámetro beta
+ * @returns {number} x en [0, 1] tal que P(X <= x) = p
+ */
+function betaInv(p, a, b) {
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+
+    const logBeta = logGamma(a) + logGamma(b) - logGamma(a + b);
+    let bajo = 0;
+    let alto = 1;
+    let x = a / (a + b);
+
+    for (let iter = 0; iter < 100; iter++) {
+        const error = betaCDF(x, a, b) - p;
+        if (Math.abs(error) < 1e-12) break;
+
+        if (error < 0) {
+            bajo = x;
+        } else {
+            alto = x;
+        }
+
+        // Paso de Newton usando la densidad; si sale del intervalo, bisección
+        const densidad = Math.exp((a - 1) * Math.log(x) + (b - 1) * Math.log(1 - x) - logBeta);
+        let siguiente = x - error / densidad;
+        if (!(siguiente > bajo && siguiente < alto)) {
+            siguiente = (bajo + alto) / 2;
+        }
+        if (Math.abs(siguiente - x) < 1e-15) break;
+        x = siguiente;
+    }
+
+    return x;
+}
+
+/**
+ * Tabla de la acumulada Beta para invertirla rápidamente en la simulación.
+ * Integra la densidad por Simpson en una malla uniforme de [0, 1]; las celdas
+ * extremas (donde la densidad puede no ser suave) usan la acumulada exacta
+ * @param {number} alpha - Parámetro alpha (>= 1 en la PERT)
+ * @param {number} beta - Parámetro beta (>= 1 en la PERT)
+ * @param {number} celdas - Número de celdas de la malla (default 2048)
+ * @returns {{alpha:number, beta:number, densidad:Function, acumulada:Float64Array, h:number, celdas:number}}
+ */
+function crearTablaCuantilBeta(alpha, beta, celdas = 2048) {
+    const logBeta = logGamma(alpha) + logGamma(beta) - logGamma(alpha + beta);
+    const densidad = x => {
+        const logA = alpha === 1 ? 0 : (alpha - 1) * Math.log(x);
+        const logB = beta === 1 ? 0 : (beta - 1) * Math.log(1 - x);
+        return Math.exp(logA + logB - logBeta);
+    };
+
+    const h = 1 / celdas;
+    const acumulada = new Float64Array(celdas + 1);
+    acumulada[1] = betaCDF(h, alpha, beta);
+    let fAnterior = densidad(h);
+    for (let k = 1; k < celdas - 1; k++) {
+        const x = k * h;
+        const fSiguiente = densidad(x + h);
+        acumulada[k + 1] = acumulada[k] + h / 6 * (fAnterior + 4 * densidad(x + h / 2) + fSiguiente);
+        fAnterior = fSiguiente;
+    }
+    acumulada[celdas] = 1;
+
+    return { alpha, beta, densidad, acumulada, h, celdas };
+}
+
+/**
+ * Inversa de la Beta usando la tabla de crearTablaCuantilBeta: ubica la celda
+ * por búsqueda binaria, interpola y refina con dos pasos de Newton locales
+ * @param {Object} tabla - Tabla devuelta por crearTablaCuantilBeta
+ * @param {number} p - Probabilidad en [0, 1]
+ * @returns {number} x en [0, 1]
+ */
+function betaInvTabla(tabla, p) {
+    if (p <= 0) return 0;
+    if (p >= 1) return 1;
+
+    const { densidad, acumulada, h, celdas } = tabla;
+
+    // Celda k tal que acumulada[k] <= p < acumulada[k + 1]
+    let bajo = 0;
+    let alto = celdas;
+    while (alto - bajo > 1) {
+        const medio = (bajo + alto) >> 1;
+        if (acumulada[medio] <= p) {
+            bajo = medio;
+        } else {
+            alto = medio;
+        }
+    }
+
+    // Colas extremas: inversa exacta (probabilidad muy baja de llegar aquí)
+    if (bajo === 0 || bajo >= celdas - 1) {
+        return betaInv(p, tabla.alpha, tabla.beta);
+    }
+
+    const x0 = bajo * h;
+    const f0 = densidad(x0);
+    const anchoCelda = acumulada[bajo + 1] - acumulada[bajo];
+    let x = anchoCelda > 0 ? x0 + h * (p - acumulada[bajo]) / anchoCelda : x0;
+
+    for (let iter = 0; iter < 2; iter++) {
+        const fx = densidad(x);
+        if (!(fx > 0)) break;
+        const acumuladaX = acumulada[bajo] + (x - x0) / 6 * (f0 + 4 * densidad((x0 + x) / 2) + fx);
+        x -= (acumuladaX - p) / fx;
+        x = Math.max(x0, Math.min(x0 + h, x));
+    }
+
+    return x;
+}
+
+/**
+ * Convierte un número del archivo en float (null si está vacío o no es número)
+ * @param {*} valor - Valor a convertir
+ * @returns {number|null}
+ */
+function numeroOpcional(valor) {
+    if (valor === null || valor === undefined || valor === '') return null;
+    const num = parseFloat(valor);
+    return isNaN(num) ? null : num;
+}
+
+// Búsqueda de los extremos a partir de percentiles: duplicaciones del paso
+// inicial antes de rendirse y pasos de bisección (2^-60 del intervalo)
+const MAX_EXPANSIONES_PERCENTILES = 60;
+const PASOS_BISECCION_PERCENTILES = 60;
+
+/**
+ * Función de distribución acumulada de una PERT o una Triangular
+ * @param {string} tipo - TIPOS_DISTRIBUCION.PERT o TRIANGULAR
+ * @param {number} x - Valor
+ * @param {number} a - Mínimo
+ * @param {number} m - Más probable
+ * @param {number} b - Máximo
+ * @param {number} lambda - Peso del valor más probable (solo PERT)
+ * @returns {number} P(X <= x)
+ */
+function acumuladaPertTriangular(tipo, x, a, m, b, lambda) {
+    if (x <= a) return 0;
+    if (x >= b) return 1;
+
+    if (tipo === TIPOS_DISTRIBUCION.TRIANGULAR) {
+        return x <= m
+            ? ((x - a) * (x - a)) / ((b - a) * (m - a))
+            : 1 - ((b - x) * (b - x)) / ((b - a) * (b - m));
+    }
+
+    const { alpha, beta } = calcularParametrosBetaPERT(a, m, b, lambda);
+    return betaCDF((x - a) / (b - a), alpha, beta);
+}
+
+/**
+ * Busca dónde una función monótona alcanza el objetivo, avanzando desde un
+ * punto con pasos que se duplican hasta encerrar el cruce y luego por bisección
+ * @param {Function} f - Función de una variable
+ * @param {number} objetivo - Valor buscado
+ * @param {number} desde - Punto de partida
+ * @param {number} paso - Primer paso (negativo para buscar hacia la izquierda)
+ * @returns {number|null} null si el cruce no se encuentra
+ */
+function buscarCruceMonotono(f, objetivo, desde, paso) {
+    const signoInicial = Math.sign(f(desde) - objetivo);
+    if (signoInicial === 0) return desde;
+
+    let cerca = desde;
+    let lejos = desde + paso;
+    for (let expansiones = 0; Math.sign(f(lejos) - objetivo) === signoInicial; expansiones++) {
+        if (expansiones >= MAX_EXPANSIONES_PERCENTILES) return null;
+        cerca = lejos;
+        paso *= 2;
+        lejos = desde + paso;
+    }
+
+    for (let iter = 0; iter < PASOS_BISECCION_PERCENTILES; iter++) {
+        const medio = (cerca + lejos) / 2;
+        if (Math.sign(f(medio) - objetivo) === signoInicial) {
+            cerca = medio;
+        } else {
+            lejos = medio;
+        }
+    }
+
+    return (cerca + lejos) / 2;
+}
+
+/**
+ * Calcula el mínimo y el máximo de una PERT o Triangular a partir de su valor
+ * más probable y dos percentiles de juicio experto (p.ej. P10 y P90), que
+ * suelen estimarse mejor que los extremos absolutos
+ * @param {string} tipo - TIPOS_DISTRIBUCION.PERT o TRIANGULAR
+ * @param {number} m - Valor más probable
+ * @param {Array<{percentil:number, valor:number}>} percentiles - Dos percentiles (en %, p.ej. 10 y 90)
+ * @param {number} lambda - Peso del valor más probable (solo PERT)
+ * @returns {{a:number, b:number}} Extremos con los que la distribución tiene esos percentiles
+ */
+function ajustarExtremosPercentiles(tipo, m, percentiles, lambda) {
+    if (!Array.isArray(percentiles) || percentiles.length !== 2) {
+        throw new Error('se necesitan exactamente dos percentiles');
+    }
+
+    const [bajo, alto] = percentiles
+        .map(({ percentil, valor }) => ({ percentil: numeroOpcional(percentil), valor: numeroOpcional(valor) }))
+        .sort((x, y) => x.percentil - y.percentil);
+    if ([bajo, alto].some(p => p.percentil === null || p.valor === null)) {
+        throw new Error('los percentiles deben ser números válidos');
+    }
+    if ([bajo, alto].some(p => !(p.percentil > 0 && p.percentil < 100))) {
+        throw new Error('los percentiles deben estar entre 0 y 100 (sin incluirlos)');
+    }
+    if (!(bajo.percentil < alto.percentil && bajo.valor < alto.valor)) {
+        throw new Error(`P${bajo.percentil} (${bajo.valor}) debe ser menor que P${alto.percentil} (${alto.valor})`);
+    }
+
+    const pBajo = bajo.percentil / 100;
+    const pAlto = alto.percentil / 100;
+    const paso = alto.valor - bajo.valor;
+
+    // Para cada mínimo, el máximo que deja pAlto por debajo del percentil alto;
+    // después, el mínimo que deja pBajo por debajo del percentil bajo
+    const maximoPara = (a) => buscarCruceMonotono(
+        b => acumuladaPertTriangular(tipo, alto.valor, a, m, b, lambda), pAlto, Math.max(alto.valor, m), paso);
+    const a = buscarCruceMonotono(a => {
+        const b = maximoPara(a);
+        return b === null ? -Infinity : acumuladaPertTriangular(tipo, bajo.valor, a, m, b, lambda);
+    }, pBajo, Math.min(bajo.valor, m), -paso);
+    const b = a === null ? null : maximoPara(a);
+
+    if (a === null || b === null ||
+        Math.abs(acumuladaPertTriangular(tipo, bajo.valor, a, m, b, lambda) - pBajo) > 1e-6 ||
+        Math.abs(acumuladaPertTriangular(tipo, alto.valor, a, m, b, lambda) - pAlto) > 1e-6) {
+        throw new Error(`no hay una distribución con moda ${m}, P${bajo.percentil} = ${bajo.valor} y P${alto.percentil} = ${alto.valor}`);
+    }
+
+    return { a, b };
+}
+
+/**
+ * Valida un item y calcula los parámetros de su distribución
+ * @param {Object} item - Item con {a, m, b, distribucion, lambda, media, desviacion, valores, probabilidades}.
+ *        Un item PERT o Triangular con percentiles [{percentil, valor}, ...] (p.ej. P10 y P90) toma
+ *        a y b de ajustarExtremosPercentiles en lugar de los suyos
+ *        Un item con historico (observaciones) usa la distribución ajustada de prepararAjusteHistorico
+ * @returns {Object} Distribución preparada {tipo, ...parámetros, isConstant}
+ */
+function prepararDistribucion(item) {
+    if (item.cantidad && item.precio) {
+        return prepararProducto(item);
+    }
+
+    // Datos históricos: la distribución ajustada a las observaciones
+    if (item.historico && item.historico.length > 0) {
+        return prepararAjusteHistorico(item);
+    }
+
+    const tipo = item.distribucion || TIPOS_DISTRIBUCION.PERT;
+    let a = numeroOpcional(item.a);
+    const m = numeroOpcional(item.m);
+    let b = numeroOpcional(item.b);
+
+    // Juicio experto: los extremos salen de dos percentiles y el valor más probable
+    if (item.percentiles && item.percentiles.length > 0) {
+        if (tipo !== TIPOS_DISTRIBUCION.PERT && tipo !== TIPOS_DISTRIBUCION.TRIANGULAR) {
+            throw new Error('los percentiles (P10/P90) solo se admiten con PERT o Triangular');
+        }
+        if (m === null) {
+            throw new Error('se requiere el valor más probable (MODA o PROBABLE) junto a los percentiles');
+        }
+        const lambda = numeroOpcional(item.lambda) !== null ? numeroOpcional(item.lambda) : LAMBDA_PERT_DEFAULT;
+        ({ a, b } = ajustarExtremosPercentiles(tipo, m, item.percentiles, lambda));
+    }
+
+    switch (tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.TRIANGULAR: {
+            if (a === null || m === null || b === null) {
+                throw new Error('valores a, m, b deben ser números válidos');
+            }
+            if (a > m || m > b) {
+                throw new Error(`no se cumple a (${a}) <= m (${m}) <= b (${b})`);
+            }
+            if (Math.abs(b - a) < 1e-10) {
+                return { tipo, a, m, b, isConstant: true, constantValue: a };
+            }
+            if (tipo === TIPOS_DISTRIBUCION.PERT) {
+                const lambda = numeroOpcional(item.lambda) !== null
+                    ? numeroOpcional(item.lambda)
+                    : LAMBDA_PERT_DEFAULT;
+                if (lambda < 0) {
+                    throw new Error(`lambda (${lambda}) no puede ser negativo`);
+                }
+                const params = calcularParametrosBetaPERT(a, m, b, lambda);
+                return { tipo, a, m, b, lambda, alpha: params.alpha, beta: params.beta, isConstant: false };
+            }
+            return { tipo, a, m, b, isConstant: false };
+        }
+
+        case TIPOS_DISTRIBUCION.UNIFORME: {
+            if (a === null || b === null) {
+                throw new Error('valores a, b deben ser números válidos');
+            }
+            if (a > b) {
+                throw new Error(`no se cumple a (${a}) <= b (${b})`);
+            }
+            if (Math.abs(b - a) < 1e-10) {
+                return { tipo, a, b, isConstant: true, constantValue: a };
+            }
+            return { tipo, a, b, isConstant: false };
+        }
+
+        case TIPOS_DISTRIBUCION.NORMAL:
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA: {
+            // La media se toma de MEDIA o, si falta, de PROBABLE
+            const media = numeroOpcional(item.media) !== null ? numeroOpcional(item.media) : m;
+            let sd = numeroOpcional(item.desviacion);
+
+            // Sin desviación explícita: aproximar con el rango (b - a) / 6
+            if (sd === null && a !== null && b !== null) {
+                sd = (b - a) / 6;
+            }
+            if (media === null || sd === null) {
+                throw new Error('se requiere MEDIA (o PROBABLE) y DESVIACION');
+            }
+            if (sd < 0) {
+                throw new Error(`la desviación (${sd}) no puede ser negativa`);
+            }
+            if (sd < 1e-10) {
+                return { tipo, media, sd: 0, isConstant: true, constantValue: media };
+            }
+
+            if (tipo === TIPOS_DISTRIBUCION.NORMAL) {
+                return { tipo, media, sd, isConstant: false };
+            }
+
+            if (tipo === TIPOS_DISTRIBUCION.LOGNORMAL) {
+                if (media <= 0) {
+                    throw new Error(`la media (${media}) de una Lognormal debe ser positiva`);
+                }
+                // Parámetros de la Normal subyacente a partir de media y desviación reales
+                const sigmaLn = Math.sqrt(Math.log(1 + (sd * sd) / (media * media)));
+                const muLn = Math.log(media) - sigmaLn * sigmaLn / 2;
+                return { tipo, media, sd, muLn, sigmaLn, isConstant: false };
+            }
+
+            // Normal truncada en [a, b] (cualquier límite vacío queda abierto)
+            const min = a !== null ? a : -Infinity;
+            const max = b !== null ? b : Infinity;
+            if (min >= max) {
+                throw new Error(`no se cumple a (${a}) < b (${b})`);
+            }
+            const pMin = normalCDF((min - media) / sd);
+            const pMax = normalCDF((max - media) / sd);
+            if (pMax - pMin < 1e-12) {
+                throw new Error('el intervalo de truncamiento no tiene probabilidad');
+            }
+            return { tipo, media, sd, a: min, b: max, pMin, pMax, isConstant: false };
+        }
+
+        case TIPOS_DISTRIBUCION.BETA: {
+            // Beta general en [a, b] con sus dos parámetros de forma
+            const alpha = numeroOpcional(item.alfa);
+            const beta = numeroOpcional(item.beta);
+            if (a === null || b === null || alpha === null || beta === null) {
+                throw new Error('la Beta requiere MÍNIMO, MÁXIMO, ALFA y BETA');
+            }
+            if (a > b) {
+                throw new Error(`no se cumple a (${a}) <= b (${b})`);
+            }
+            if (!(alpha > 0 && beta > 0)) {
+                throw new Error('ALFA y BETA deben ser mayores que 0');
+            }
+            if (Math.abs(b - a) < 1e-10) {
+                return { tipo, a, b, isConstant: true, constantValue: a };
+            }
+            return { tipo, a, b, alpha, beta, isConstant: false };
+        }
+
+        case TIPOS_DISTRIBUCION.DISCRETA: {
+            const valores = (item.valores || []).map(parseFloat);
+            const pesos = (item.probabilidades || []).map(parseFloat);
+
+            if (valores.length === 0 || valores.some(isNaN)) {
+                throw new Error('la distribución discreta requiere VALORES numéricos');
+            }
+            if (pesos.length !== valores.length || pesos.some(p => isNaN(p) || p < 0)) {
+                throw new Error('VALORES y PROBABILIDADES deben tener la misma cantidad de números no negativos');
+            }
+            const sumaPesos = pesos.reduce((sum, p) => sum + p, 0);
+            if (sumaPesos <= 0) {
+                throw new Error('las probabilidades deben sumar más que cero');
+            }
+            if (Math.abs(sumaPesos - 1) > 1e-6) {
+                console.warn(`Probabilidades discretas suman ${sumaPesos}, se normalizan a 1`);
+            }
+
+            // Probabilidades acumuladas para muestreo por búsqueda
+            const probabilidades = pesos.map(p => p / sumaPesos);
+            const acumuladas = [];
+            let acumulado = 0;
+            probabilidades.forEach(p => {
+                acumulado += p;
+                acumuladas.push(acumulado);
+            });
+            acumuladas[acumuladas.length - 1] = 1;
+
+            if (valores.length === 1) {
+                return { tipo, valores, probabilidades, acumuladas, isConstant: true, constantValue: valores[0] };
+            }
+            return { tipo, valores, probabilidades, acumuladas, isConstant: false };
+        }
+
+        default:
+            throw new Error(`tipo de distribución no soportado: ${tipo}`);
+    }
+}
+
+/**
+ * Prepara un item que es el producto de su metrado (cantidad) y su precio
+ * unitario, cada uno con su propio rango y la distribución del item
+ * @param {Object} item - Item con cantidad {a, m, b}, precio {a, m, b}, distribucion y lambda
+ * @returns {Object} Distribución {tipo: TIPO_PRODUCTO, distribucion, cantidad, precio, isConstant}
+ */
+function prepararProducto(item) {
+    const prepararFactor = (nombre, factor) => {
+        try {
+            return prepararDistribucion({ ...factor, distribucion: item.distribucion, lambda: item.lambda });
+        } catch (error) {
+            throw new Error(`${nombre}: ${error.message}`);
+        }
+    };
+
+    const cantidad = prepararFactor('metrado', item.cantidad);
+    const precio = prepararFactor('precio unitario', item.precio);
+
+    return {
+        tipo: TIPO_PRODUCTO,
+        distribucion: item.distribucion || TIPOS_DISTRIBUCION.PERT,
+        cantidad,
+        precio,
+        isConstant: false
+    };
+}
+
+/**
+ * Genera una muestra de una distribución preparada
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @param {Function} rng - Generador de números aleatorios uniformes [0,1)
+ * @returns {number} Muestra
+ */
+function muestrearDistribucion(dist, rng) {
+    if (dist.isConstant) {
+        return dist.constantValue;
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.BETA: {
+            const u = betaRandom(dist.alpha, dist.beta, rng);
+            return dist.a + (dist.b - dist.a) * u;
+        }
+
+        case TIPOS_DISTRIBUCION.TRIANGULAR: {
+            // Transformación inversa
+            const u = rng();
+            const fc = (dist.m - dist.a) / (dist.b - dist.a);
+            if (u < fc) {
+                return dist.a + Math.sqrt(u * (dist.b - dist.a) * (dist.m - dist.a));
+            }
+            return dist.b - Math.sqrt((1 - u) * (dist.b - dist.a) * (dist.b - dist.m));
+        }
+
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return dist.a + (dist.b - dist.a) * rng();
+
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return dist.media + dist.sd * normalRandom(rng);
+
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return Math.exp(dist.muLn + dist.sigmaLn * normalRandom(rng));
+
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA: {
+            // Transformación inversa restringida a [Φ(a), Φ(b)]
+            const u = dist.pMin + (dist.pMax - dist.pMin) * rng();
+            const sample = dist.media + dist.sd * normalInv(u);
+            return Math.max(dist.a, Math.min(dist.b, sample));
+        }
+
+        case TIPOS_DISTRIBUCION.DISCRETA: {
+            const u = rng();
+            for (let i = 0; i < dist.acumuladas.length; i++) {
+                if (u < dist.acumuladas[i]) {
+                    return dist.valores[i];
+                }
+            }
+            return dist.valores[dist.valores.length - 1];
+        }
+
+        case TIPO_PRODUCTO:
+            return muestrearDistribucion(dist.cantidad, rng) * muestrearDistribucion(dist.precio, rng);
+
+        case TIPO_RESTRINGIDA:
+            return cuantilDistribucion(dist, rng());
+
+        default:
+            throw new Error(`tipo de distribución no soportado: ${dist.tipo}`);
+    }
+}
+
+/**
+ * Función cuantil (inversa de la acumulada) de una distribución preparada.
+ * Permite muestrear por transformación inversa a partir de uniformes
+ * estratificadas (Latin Hypercube) o cuasi-aleatorias (Sobol)
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @param {number} u - Probabilidad en (0, 1)
+ * @returns {number} Valor x tal que P(X <= x) = u
+ */
+function cuantilDistribucion(dist, u) {
+    if (dist.isConstant) {
+        return dist.constantValue;
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.BETA:
+            // La tabla se construye una sola vez por distribución
+            if (!dist.tablaCuantil) {
+                dist.tablaCuantil = crearTablaCuantilBeta(dist.alpha, dist.beta);
+            }
+            return dist.a + (dist.b - dist.a) * betaInvTabla(dist.tablaCuantil, u);
+
+        case TIPOS_DISTRIBUCION.TRIANGULAR: {
+            const fc = (dist.m - dist.a) / (dist.b - dist.a);
+            if (u < fc) {
+                return dist.a + Math.sqrt(u * (dist.b - dist.a) * (dist.m - dist.a));
+            }
+            return dist.b - Math.sqrt((1 - u) * (dist.b - dist.a) * (dist.b - dist.m));
+        }
+
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return dist.a + (dist.b - dist.a) * u;
+
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return dist.media + dist.sd * normalInv(u);
+
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return Math.exp(dist.muLn + dist.sigmaLn * normalInv(u));
+
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA: {
+            const p = dist.pMin + (dist.pMax - dist.pMin) * u;
+            const x = dist.media + dist.sd * normalInv(p);
+            return Math.max(dist.a, Math.min(dist.b, x));
+        }
+
+        case TIPOS_DISTRIBUCION.DISCRETA: {
+            for (let i = 0; i < dist.acumuladas.length; i++) {
+                if (u < dist.acumuladas[i]) {
+                    return dist.valores[i];
+                }
+            }
+            return dist.valores[dist.valores.length - 1];
+        }
+
+        case TIPO_PRODUCTO:
+            // Un producto necesita una uniforme por factor: el motor muestrea cada factor
+            throw new Error('el producto metrado × precio no tiene cuantil con una sola uniforme');
+
+        case TIPO_RESTRINGIDA:
+            // La uniforme se reescala al rango de percentiles (conserva la estratificación)
+            return cuantilDistribucion(dist.base, dist.pDesde + (dist.pHasta - dist.pDesde) * u);
+
+        default:
+            throw new Error(`tipo de distribución no soportado: ${dist.tipo}`);
+    }
+}
+
+/**
+ * Calcula la media teórica de una distribución preparada
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @returns {number} Valor esperado
+ */
+function mediaDistribucion(dist) {
+    if (dist.isConstant) {
+        return dist.constantValue;
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.BETA:
+            return dist.a + (dist.b - dist.a) * dist.alpha / (dist.alpha + dist.beta);
+        case TIPOS_DISTRIBUCION.TRIANGULAR:
+            return (dist.a + dist.m + dist.b) / 3;
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return (dist.a + dist.b) / 2;
+        case TIPOS_DISTRIBUCION.NORMAL:
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return dist.media;
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA: {
+            const alpha = (dist.a - dist.media) / dist.sd;
+            const beta = (dist.b - dist.media) / dist.sd;
+            const phi = z => isFinite(z) ? Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI) : 0;
+            return dist.media + dist.sd * (phi(alpha) - phi(beta)) / (dist.pMax - dist.pMin);
+        }
+        case TIPOS_DISTRIBUCION.DISCRETA:
+            return dist.valores.reduce((sum, v, i) => sum + v * dist.probabilidades[i], 0);
+        case TIPO_PRODUCTO:
+            // Factores independientes: E[Q·P] = E[Q]·E[P]
+            return mediaDistribucion(dist.cantidad) * mediaDistribucion(dist.precio);
+        default:
+            return NaN;
+    }
+}
+
+/**
+ * Calcula el valor más probable (moda) de una distribución preparada
+ * Se usa cuando el archivo no trae PROBABLE (p.ej. Normal o Discreta)
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @returns {number} Moda (punto medio para la Uniforme)
+ */
+function modaDistribucion(dist) {
+    if (dist.isConstant) {
+        return dist.constantValue;
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.TRIANGULAR:
+            return dist.m;
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return (dist.a + dist.b) / 2;
+        case TIPOS_DISTRIBUCION.BETA: {
+            // Con alguna forma < 1 la densidad es máxima en un extremo
+            if (dist.alpha > 1 && dist.beta > 1) {
+                return dist.a + (dist.b - dist.a) * (dist.alpha - 1) / (dist.alpha + dist.beta - 2);
+            }
+            return dist.alpha >= dist.beta ? dist.b : dist.a;
+        }
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return dist.media;
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return Math.exp(dist.muLn - dist.sigmaLn * dist.sigmaLn);
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA:
+            return Math.max(dist.a, Math.min(dist.b, dist.media));
+        case TIPOS_DISTRIBUCION.DISCRETA: {
+            let indice = 0;
+            dist.probabilidades.forEach((p, i) => {
+                if (p > dist.probabilidades[indice]) indice = i;
+            });
+            return dist.valores[indice];
+        }
+        case TIPO_PRODUCTO:
+            // Producto de las modas (aproximación de la moda del producto)
+            return modaDistribucion(dist.cantidad) * modaDistribucion(dist.precio);
+        default:
+            return NaN;
+    }
+}
+
+/**
+ * Devuelve el rango teórico de una distribución (puede ser infinito)
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @returns {{min:number, max:number}}
+ */
+function rangoDistribucion(dist) {
+    if (dist.isConstant) {
+        return { min: dist.constantValue, max: dist.constantValue };
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return { min: -Infinity, max: Infinity };
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return { min: 0, max: Infinity };
+        case TIPOS_DISTRIBUCION.DISCRETA:
+            return { min: Math.min(...dist.valores), max: Math.max(...dist.valores) };
+        case TIPO_PRODUCTO: {
+            // Extremos del producto: alguna combinación de los extremos de los factores
+            const cantidad = rangoDistribucion(dist.cantidad);
+            const precio = rangoDistribucion(dist.precio);
+            if (![cantidad.min, cantidad.max, precio.min, precio.max].every(isFinite)) {
+                return { min: -Infinity, max: Infinity };
+            }
+            const esquinas = [cantidad.min * precio.min, cantidad.min * precio.max, cantidad.max * precio.min, cantidad.max * precio.max];
+            return { min: Math.min(...esquinas), max: Math.max(...esquinas) };
+        }
+        case TIPO_RESTRINGIDA:
+            return { min: cuantilDistribucion(dist.base, dist.pDesde), max: cuantilDistribucion(dist.base, dist.pHasta) };
+        default:
+            return { min: dist.a, max: dist.b };
+    }
+}
+
+/**
+ * Función de distribución acumulada de una distribución preparada
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @param {number} x - Valor
+ * @returns {number} P(X <= x)
+ */
+function acumuladaDistribucion(dist, x) {
+    if (dist.isConstant) {
+        return x >= dist.constantValue ? 1 : 0;
+    }
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.BETA:
+            return betaCDF((x - dist.a) / (dist.b - dist.a), dist.alpha, dist.beta);
+        case TIPOS_DISTRIBUCION.TRIANGULAR:
+            return acumuladaPertTriangular(dist.tipo, x, dist.a, dist.m, dist.b);
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return Math.max(0, Math.min(1, (x - dist.a) / (dist.b - dist.a)));
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return normalCDF((x - dist.media) / dist.sd);
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return x <= 0 ? 0 : normalCDF((Math.log(x) - dist.muLn) / dist.sigmaLn);
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA:
+            if (x <= dist.a) return 0;
+            if (x >= dist.b) return 1;
+            return (normalCDF((x - dist.media) / dist.sd) - dist.pMin) / (dist.pMax - dist.pMin);
+        case TIPOS_DISTRIBUCION.DISCRETA:
+            return dist.valores.reduce((suma, valor, i) => (valor <= x ? suma + dist.probabilidades[i] : suma), 0);
+        default:
+            throw new Error(`la distribución ${dist.tipo} no tiene acumulada`);
+    }
+}
+
+/**
+ * Función de densidad de una distribución continua preparada
+ * @param {Object} dist - Distribución devuelta por prepararDistribucion
+ * @param {number} x - Valor
+ * @returns {number} Densidad en x (0 fuera del rango)
+ */
+function densidadDistribucion(dist, x) {
+    if (dist.isConstant) {
+        throw new Error('una distribución constante no tiene densidad');
+    }
+
+    const normal = z => Math.exp(-z * z / 2) / Math.sqrt(2 * Math.PI);
+
+    switch (dist.tipo) {
+        case TIPOS_DISTRIBUCION.PERT:
+        case TIPOS_DISTRIBUCION.BETA: {
+            if (x < dist.a || x > dist.b) return 0;
+            const t = (x - dist.a) / (dist.b - dist.a);
+            const logBeta = logGamma(dist.alpha) + logGamma(dist.beta) - logGamma(dist.alpha + dist.beta);
+            const logA = dist.alpha === 1 ? 0 : (dist.alpha - 1) * Math.log(t);
+            const logB = dist.beta === 1 ? 0 : (dist.beta - 1) * Math.log(1 - t);
+            return Math.exp(logA + logB - logBeta) / (dist.b - dist.a);
+        }
+        case TIPOS_DISTRIBUCION.TRIANGULAR:
+            if (x < dist.a || x > dist.b) return 0;
+            if (x < dist.m) return 2 * (x - dist.a) / ((dist.b - dist.a) * (dist.m - dist.a));
+            if (x > dist.m) return 2 * (dist.b - x) / ((dist.b - dist.a) * (dist.b - dist.m));
+            return 2 / (dist.b - dist.a);
+        case TIPOS_DISTRIBUCION.UNIFORME:
+            return x < dist.a || x > dist.b ? 0 : 1 / (dist.b - dist.a);
+        case TIPOS_DISTRIBUCION.NORMAL:
+            return normal((x - dist.media) / dist.sd) / dist.sd;
+        case TIPOS_DISTRIBUCION.LOGNORMAL:
+            return x <= 0 ? 0 : normal((Math.log(x) - dist.muLn) / dist.sigmaLn) / (x * dist.sigmaLn);
+        case TIPOS_DISTRIBUCION.NORMAL_TRUNCADA:
+            if (x < dist.a || x > dist.b) return 0;
+            return normal((x - dist.media) / dist.sd) / (dist.sd * (dist.pMax - dist.pMin));
+        default:
+            throw new Error(`la distribución ${dist.tipo} no tiene densidad`);
+    }
+}
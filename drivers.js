@@ -0,0 +1,105 @@
+// SIM-RISK Web - Módulo 12: Factores de riesgo comunes
+// Multiplicadores compartidos por grupos de items (productividad de la mano de
+// obra, precio del acero...). Cada factor se muestrea una vez por iteración y
+// escala a la vez todos los items a los que se aplica, lo que los correlaciona
+
+// Separadores de la lista "aplica a" cuando viene como texto
+const SEPARADORES_APLICA_A = /[;,]/;
+
+/**
+ * Lee la lista de códigos, capítulos o categorías a los que se aplica un factor
+ * @param {string|string[]} appliesTo - Lista o texto como "MO; 02.01; ACERO"
+ * @returns {string[]} Partes sin espacios
+ */
+function parsearAplicaA(appliesTo) {
+    if (appliesTo === null || appliesTo === undefined) return [];
+
+    const partes = Array.isArray(appliesTo) ? appliesTo : String(appliesTo).split(SEPARADORES_APLICA_A);
+    return partes.map(parte => String(parte).trim()).filter(Boolean);
+}
+
+/**
+ * Valida los factores comunes, prepara su distribución y resuelve los items a
+ * los que se aplica cada uno. Cada parte de "aplica a" es el código de un item,
+ * el de un capítulo (todos los items que contiene) o una categoría (columna
+ * CATEGORIA de los items); los items porcentuales solo se escalan a través de su base
+ * @param {Array<Object>|undefined} drivers - Factores {id, descripcion, a, m, b, distribucion, appliesTo}
+ * @param {Array<{id:string, categoria?:string, porcentajeSobre?:string}>} items - Items en el orden del archivo
+ * @returns {Array<Object>} Distribución de cada factor con id, descripcion e indices (items escalados)
+ */
+function prepararImpulsores(drivers, items) {
+    if (!drivers) return [];
+    if (!Array.isArray(drivers)) {
+        throw new Error('Los factores comunes deben ser un array');
+    }
+
+    const ids = items.map(item => String(item.id).trim());
+    const categorias = items.map(item => (item.categoria ? normalizarNombreBase(item.categoria) : ''));
+
+    return drivers.map((driver, index) => {
+        const id = driver.id || `factor_${index + 1}`;
+        const prefijo = `Factor ${index + 1} (id: ${id})`;
+
+        let dist;
+        try {
+            dist = prepararDistribucion(driver);
+        } catch (error) {
+            throw new Error(`${prefijo}: ${error.message}`);
+        }
+        if (!(mediaDistribucion(dist) > 0) || rangoDistribucion(dist).max <= 0) {
+            throw new Error(`${prefijo}: los factores son multiplicadores positivos (1 = sin efecto)`);
+        }
+
+        const partes = parsearAplicaA(driver.appliesTo);
+        if (partes.length === 0) {
+            throw new Error(`${prefijo}: indique a qué items, capítulos o categorías se aplica`);
+        }
+
+        const indices = new Set();
+        partes.forEach(parte => {
+            let resueltos;
+            if (ids.includes(parte)) {
+                resueltos = ids.map((codigo, k) => (codigo === parte ? k : -1)).filter(k => k !== -1);
+                if (resueltos.some(k => esItemPorcentual(items[k]))) {
+                    throw new Error(`${prefijo}: el item ${parte} es porcentual; aplique el factor a su base`);
+                }
+            } else {
+                const categoria = normalizarNombreBase(parte);
+                resueltos = ids
+                    .map((codigo, k) => (ancestrosCodigo(codigo).includes(parte) || categorias[k] === categoria ? k : -1))
+                    .filter(k => k !== -1 && !esItemPorcentual(items[k]));
+            }
+
+            if (resueltos.length === 0) {
+                throw new Error(`${prefijo}: "${parte}" no es un item, un capítulo ni una categoría`);
+            }
+            resueltos.forEach(k => indices.add(k));
+        });
+
+        return {
+            ...dist,
+            id,
+            descripcion: driver.descripcion || '',
+            indices: Array.from(indices).sort((x, y) => x - y)
+        };
+    });
+}
+
+/**
+ * Multiplica, iteración por iteración, las muestras de cada item por las de
+ * los factores que se le aplican
+ * @param {Array<{indices:number[]}>} impulsores - Resultado de prepararImpulsores
+ * @param {Float64Array[]} perItemSamples - Todas las columnas de muestras (se sobrescriben las de los items)
+ * @param {number} columnaInicial - Columna de las muestras del primer factor
+ */
+function aplicarImpulsores(impulsores, perItemSamples, columnaInicial) {
+    impulsores.forEach((impulsor, d) => {
+        const factor = perItemSamples[columnaInicial + d];
+        impulsor.indices.forEach(j => {
+            const columna = perItemSamples[j];
+            for (let i = 0; i < columna.length; i++) {
+                columna[i] *= factor[i];
+            }
+        });
+    });
+}
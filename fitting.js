@@ -0,0 +1,250 @@
+// SIM-RISK Web - Módulo 13: Ajuste de distribuciones a datos históricos
+// Ajusta distribuciones candidatas (Normal, Lognormal, Beta, Triangular y la
+// empírica) a las observaciones de un item y las ordena por bondad de ajuste
+// (Kolmogorov-Smirnov, Anderson-Darling y AIC)
+
+/**
+ * Distribuciones candidatas del ajuste
+ */
+const TIPOS_AJUSTE = {
+    NORMAL: 'normal',
+    LOGNORMAL: 'lognormal',
+    BETA: 'beta',
+    TRIANGULAR: 'triangular',
+    EMPIRICA: 'empirica'
+};
+
+/**
+ * Nombres para mostrar en la interfaz
+ */
+const NOMBRES_AJUSTE = {
+    normal: 'Normal',
+    lognormal: 'Lognormal',
+    beta: 'Beta',
+    triangular: 'Triangular',
+    empirica: 'Empírica'
+};
+
+/**
+ * Criterios para ordenar los ajustes (menor es mejor en los tres)
+ */
+const CRITERIOS_AJUSTE = {
+    AIC: 'aic',
+    KS: 'ks',
+    AD: 'ad'
+};
+
+// Mínimo de observaciones para ajustar una distribución
+const MIN_OBSERVACIONES_AJUSTE = 5;
+
+// Límites de la acumulada en el estadístico de Anderson-Darling (evita log(0))
+const EPSILON_ANDERSON_DARLING = 1e-12;
+
+/**
+ * Lee las observaciones históricas de una celda o columna
+ * @param {string|Array} valor - Lista de números ("1200;1350;980") o array de valores
+ * @returns {number[]} Observaciones numéricas (se descartan las vacías)
+ */
+function leerObservaciones(valor) {
+    if (valor === null || valor === undefined) return [];
+
+    const valores = Array.isArray(valor) ? valor : String(valor).split(/[;|]/);
+    return valores
+        .map(v => (typeof v === 'number' ? v : parseFloat(String(v).trim().replace(',', '.'))))
+        .filter(v => Number.isFinite(v));
+}
+
+/**
+ * Convierte el nombre de un ajuste del archivo (columna AJUSTE) en su tipo
+ * @param {string} valor - Texto como "Lognormal" o "Empírica"
+ * @returns {string|null} Uno de TIPOS_AJUSTE, o null si está vacío o no se reconoce
+ */
+function normalizarTipoAjuste(valor) {
+    if (valor === null || valor === undefined) return null;
+
+    const texto = String(valor).trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    return Object.values(TIPOS_AJUSTE).find(tipo => tipo === texto) || null;
+}
+
+/**
+ * Estima los parámetros de una candidata: máxima verosimilitud en la Normal y
+ * la Lognormal, momentos en la Beta y la Triangular (con extremos un
+ * espaciamiento medio más allá de los observados) y las propias observaciones
+ * con igual probabilidad en la empírica
+ * @param {string} tipo - Uno de TIPOS_AJUSTE
+ * @param {number[]} observaciones - Datos históricos
+ * @returns {{item:Object, numParametros:number}} item: parámetros en el formato de prepararDistribucion
+ */
+function estimarAjuste(tipo, observaciones) {
+    const n = observaciones.length;
+    const min = Math.min(...observaciones);
+    const max = Math.max(...observaciones);
+    const media = observaciones.reduce((suma, x) => suma + x, 0) / n;
+    const varianza = observaciones.reduce((suma, x) => suma + (x - media) * (x - media), 0) / n;
+    const margen = (max - min) / (n - 1);
+
+    switch (tipo) {
+        case TIPOS_AJUSTE.NORMAL:
+            if (!(varianza > 0)) throw new Error('las observaciones no varían');
+            return {
+                item: { distribucion: TIPOS_DISTRIBUCION.NORMAL, media, desviacion: Math.sqrt(varianza) },
+                numParametros: 2
+            };
+
+        case TIPOS_AJUSTE.LOGNORMAL: {
+            if (min <= 0) throw new Error('la Lognormal requiere observaciones positivas');
+            const logs = observaciones.map(Math.log);
+            const mu = logs.reduce((suma, x) => suma + x, 0) / n;
+            const sigma2 = logs.reduce((suma, x) => suma + (x - mu) * (x - mu), 0) / n;
+            if (!(sigma2 > 0)) throw new Error('las observaciones no varían');
+            // Media y desviación de la variable (no del logaritmo), como en el archivo
+            const mediaLn = Math.exp(mu + sigma2 / 2);
+            return {
+                item: { distribucion: TIPOS_DISTRIBUCION.LOGNORMAL, media: mediaLn, desviacion: mediaLn * Math.sqrt(Math.exp(sigma2) - 1) },
+                numParametros: 2
+            };
+        }
+
+        case TIPOS_AJUSTE.BETA: {
+            if (!(max > min)) throw new Error('las observaciones no varían');
+            const a = min - margen;
+            const b = max + margen;
+            const mediaT = (media - a) / (b - a);
+            const varianzaT = varianza / ((b - a) * (b - a));
+            const comun = mediaT * (1 - mediaT) / varianzaT - 1;
+            if (!(comun > 0)) throw new Error('la varianza es demasiado grande para una Beta en ese rango');
+            return {
+                item: { distribucion: TIPOS_DISTRIBUCION.BETA, a, b, alfa: mediaT * comun, beta: (1 - mediaT) * comun },
+                numParametros: 4
+            };
+        }
+
+        case TIPOS_AJUSTE.TRIANGULAR: {
+            if (!(max > min)) throw new Error('las observaciones no varían');
+            const a = min - margen;
+            const b = max + margen;
+            // Media de la Triangular: (a + m + b) / 3
+            const m = Math.max(a, Math.min(b, 3 * media - a - b));
+            return {
+                item: { distribucion: TIPOS_DISTRIBUCION.TRIANGULAR, a, m, b },
+                numParametros: 3
+            };
+        }
+
+        case TIPOS_AJUSTE.EMPIRICA:
+            return {
+                item: {
+                    distribucion: TIPOS_DISTRIBUCION.DISCRETA,
+                    valores: observaciones.slice(),
+                    probabilidades: observaciones.map(() => 1 / n)
+                },
+                numParametros: n
+            };
+
+        default:
+            throw new Error(`tipo de ajuste no soportado: ${tipo}`);
+    }
+}
+
+/**
+ * Mide la bondad de ajuste de una distribución continua a las observaciones
+ * @param {Object} dist - Distribución preparada
+ * @param {number[]} ordenadas - Observaciones ordenadas de menor a mayor
+ * @param {number} numParametros - Parámetros estimados (para el AIC)
+ * @returns {{ks:number, ad:number, aic:number}} Estadístico KS (distancia máxima entre
+ *          acumuladas), A² de Anderson-Darling y AIC = 2k − 2·ln L
+ */
+function medirAjuste(dist, ordenadas, numParametros) {
+    const n = ordenadas.length;
+    const acumuladas = ordenadas.map(x => acumuladaDistribucion(dist, x));
+
+    let ks = 0;
+    acumuladas.forEach((F, i) => {
+        ks = Math.max(ks, (i + 1) / n - F, F - i / n);
+    });
+
+    let sumaAD = 0;
+    const acotar = F => Math.max(EPSILON_ANDERSON_DARLING, Math.min(1 - EPSILON_ANDERSON_DARLING, F));
+    for (let i = 0; i < n; i++) {
+        sumaAD += (2 * i + 1) * (Math.log(acotar(acumuladas[i])) + Math.log(1 - acotar(acumuladas[n - 1 - i])));
+    }
+    const ad = -n - sumaAD / n;
+
+    const logVerosimilitud = ordenadas.reduce((suma, x) => suma + Math.log(densidadDistribucion(dist, x)), 0);
+    const aic = 2 * numParametros - 2 * logVerosimilitud;
+
+    return { ks, ad, aic: Number.isFinite(aic) ? aic : Infinity };
+}
+
+/**
+ * Ajusta todas las candidatas a las observaciones y las ordena por el criterio
+ * elegido. La empírica reproduce los datos por construcción: va siempre al
+ * final y sin estadísticos. Las candidatas que no se pueden ajustar (p.ej.
+ * Lognormal con datos negativos) quedan fuera
+ * @param {number[]} observaciones - Datos históricos (al menos MIN_OBSERVACIONES_AJUSTE)
+ * @param {string} criterio - Uno de CRITERIOS_AJUSTE (opcional, AIC por defecto)
+ * @returns {Array<{tipo:string, item:Object, dist:Object, ks:number|null, ad:number|null, aic:number|null}>}
+ */
+function ajustarCandidatos(observaciones, criterio = CRITERIOS_AJUSTE.AIC) {
+    if (!Object.values(CRITERIOS_AJUSTE).includes(criterio)) {
+        throw new Error(`Criterio de ajuste no soportado: ${criterio}`);
+    }
+    if (observaciones.length < MIN_OBSERVACIONES_AJUSTE) {
+        throw new Error(`se necesitan al menos ${MIN_OBSERVACIONES_AJUSTE} observaciones históricas (hay ${observaciones.length})`);
+    }
+
+    const ordenadas = observaciones.slice().sort((x, y) => x - y);
+    const candidatos = [];
+
+    Object.values(TIPOS_AJUSTE).forEach(tipo => {
+        let ajuste;
+        try {
+            ajuste = estimarAjuste(tipo, ordenadas);
+        } catch (error) {
+            return;
+        }
+
+        const dist = prepararDistribucion(ajuste.item);
+        const medidas = tipo === TIPOS_AJUSTE.EMPIRICA
+            ? { ks: null, ad: null, aic: null }
+            : medirAjuste(dist, ordenadas, ajuste.numParametros);
+        candidatos.push({ tipo, item: ajuste.item, dist, ...medidas });
+    });
+
+    return candidatos.sort((x, y) => {
+        if (x.tipo === TIPOS_AJUSTE.EMPIRICA || y.tipo === TIPOS_AJUSTE.EMPIRICA) {
+            return (x.tipo === TIPOS_AJUSTE.EMPIRICA) - (y.tipo === TIPOS_AJUSTE.EMPIRICA);
+        }
+        return x[criterio] - y[criterio];
+    });
+}
+
+/**
+ * Prepara la distribución de un item con datos históricos: la del ajuste
+ * elegido o, si no se eligió, la mejor según el AIC
+ * @param {{historico:Array, ajuste?:string}} item - Item con sus observaciones y el tipo de ajuste (opcional)
+ * @returns {Object} Distribución preparada (como prepararDistribucion)
+ */
+function prepararAjusteHistorico(item) {
+    const observaciones = leerObservaciones(item.historico);
+    if (observaciones.length < MIN_OBSERVACIONES_AJUSTE) {
+        throw new Error(`se necesitan al menos ${MIN_OBSERVACIONES_AJUSTE} observaciones históricas (hay ${observaciones.length})`);
+    }
+
+    if (!item.ajuste) {
+        return ajustarCandidatos(observaciones)[0].dist;
+    }
+
+    const tipo = normalizarTipoAjuste(item.ajuste);
+    if (!tipo) {
+        throw new Error(`tipo de ajuste no soportado: ${item.ajuste}`);
+    }
+
+    let ajuste;
+    try {
+        ajuste = estimarAjuste(tipo, observaciones);
+    } catch (error) {
+        throw new Error(`ajuste ${NOMBRES_AJUSTE[tipo]}: ${error.message}`);
+    }
+    return prepararDistribucion(ajuste.item);
+}
@@ -0,0 +1,156 @@
+// SIM-RISK Web - Módulo 11: Items porcentuales
+// Gastos generales, utilidad, impuestos... como porcentaje de un subtotal con
+// nombre (el costo directo, un capítulo u otros items). En cada iteración el
+// porcentaje simulado se aplica al subtotal simulado de esa misma iteración
+
+// Nombres de la base formada por todos los items que no son porcentuales
+const ALIAS_COSTO_DIRECTO = ['CD', 'COSTO DIRECTO', 'DIRECTO'];
+
+// Separador de las partes de una base, p.ej. "CD + GG + UT"
+const SEPARADOR_BASE = '+';
+
+/**
+ * Indica si un item es un porcentaje de un subtotal (columna BASE)
+ * @param {{porcentajeSobre?:string}} item - Item de runMonteCarlo
+ * @returns {boolean}
+ */
+function esItemPorcentual(item) {
+    return item.porcentajeSobre !== undefined && item.porcentajeSobre !== null &&
+        String(item.porcentajeSobre).trim() !== '';
+}
+
+/**
+ * Normaliza un nombre de la base para compararlo sin mayúsculas ni acentos
+ * @param {string} nombre - Parte de la base
+ * @returns {string}
+ */
+function normalizarNombreBase(nombre) {
+    return String(nombre).trim().toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * Resuelve la base de cada item porcentual y el orden en que se calculan
+ * (un porcentaje puede aplicarse sobre otros, como el IGV sobre CD + GG + UT).
+ * Cada parte de la base es "CD" (todos los items no porcentuales), el código
+ * de un item o el código de un capítulo (todos los items que contiene)
+ * @param {Array<{id:string, porcentajeSobre?:string}>} items - Items en el orden del archivo
+ * @returns {{orden:number[], bases:Array<number[]|null>, directos:number[]}|null}
+ *          orden: items porcentuales, cada uno después de los de su base;
+ *          bases: índices que suman la base de cada item porcentual (null en los demás);
+ *          directos: items no porcentuales. null si no hay items porcentuales
+ */
+function prepararPorcentajes(items) {
+    const porcentuales = items.map(esItemPorcentual);
+    if (!porcentuales.some(Boolean)) return null;
+
+    const ids = items.map(item => String(item.id).trim());
+    const directos = [];
+    porcentuales.forEach((esPorcentual, j) => {
+        if (!esPorcentual) directos.push(j);
+    });
+
+    const bases = items.map((item, j) => {
+        if (!porcentuales[j]) return null;
+
+        const miembros = new Set();
+        String(item.porcentajeSobre).split(SEPARADOR_BASE).map(parte => parte.trim()).filter(Boolean).forEach(parte => {
+            let resueltos;
+            if (ALIAS_COSTO_DIRECTO.includes(normalizarNombreBase(parte))) {
+                resueltos = directos;
+            } else if (ids.includes(parte)) {
+                resueltos = ids.map((id, k) => (id === parte ? k : -1)).filter(k => k !== -1);
+                if (resueltos.includes(j)) {
+                    throw new Error(`Porcentaje ${ids[j]}: no puede incluirse en su propia base`);
+                }
+            } else {
+                resueltos = ids
+                    .map((id, k) => (k !== j && ancestrosCodigo(id).includes(parte) ? k : -1))
+                    .filter(k => k !== -1);
+            }
+
+            if (resueltos.length === 0) {
+                throw new Error(`Porcentaje ${ids[j]}: la base "${parte}" no es ${ALIAS_COSTO_DIRECTO[0]}, un item ni un capítulo`);
+            }
+            resueltos.forEach(k => miembros.add(k));
+        });
+
+        return Array.from(miembros).sort((x, y) => x - y);
+    });
+
+    // Orden topológico de los items porcentuales (Kahn)
+    const pendientes = items.map((item, j) => (porcentuales[j] ? bases[j].filter(k => porcentuales[k]).length : 0));
+    const orden = [];
+    const cola = pendientes.map((n, j) => (porcentuales[j] && n === 0 ? j : -1)).filter(j => j !== -1);
+    while (cola.length > 0) {
+        const j = cola.shift();
+        orden.push(j);
+        bases.forEach((base, k) => {
+            if (base && base.includes(j) && --pendientes[k] === 0) cola.push(k);
+        });
+    }
+
+    if (orden.length < porcentuales.filter(Boolean).length) {
+        const ciclo = ids.filter((id, j) => porcentuales[j] && !orden.includes(j));
+        throw new Error(`Porcentajes: las bases forman un ciclo (${ciclo.join(', ')})`);
+    }
+
+    return { orden, bases, directos };
+}
+
+/**
+ * Convierte en montos, iteración por iteración, las columnas de los items
+ * porcentuales (que traen el porcentaje simulado, p.ej. 10 = 10%)
+ * @param {Object} porcentajes - Resultado de prepararPorcentajes
+ * @param {Float64Array[]} perItemSamples - Muestras por item (se sobrescriben las porcentuales)
+ */
+function aplicarPorcentajes(porcentajes, perItemSamples) {
+    const iteraciones = perItemSamples.length > 0 ? perItemSamples[0].length : 0;
+    const base = new Float64Array(iteraciones);
+
+    porcentajes.orden.forEach(j => {
+        base.fill(0);
+        porcentajes.bases[j].forEach(k => {
+            const muestras = perItemSamples[k];
+            for (let i = 0; i < iteraciones; i++) {
+                base[i] += muestras[i];
+            }
+        });
+
+        const columna = perItemSamples[j];
+        for (let i = 0; i < iteraciones; i++) {
+            columna[i] = (columna[i] / 100) * base[i];
+        }
+    });
+}
+
+/**
+ * Calcula los montos de un escenario determinista (p.ej. todos los valores probables)
+ * @param {Object} porcentajes - Resultado de prepararPorcentajes
+ * @param {number[]} valores - Valor de cada item (porcentaje en los items porcentuales)
+ * @returns {number[]} Monto de cada item
+ */
+function evaluarPorcentajes(porcentajes, valores) {
+    const columnas = valores.map(valor => Float64Array.of(valor));
+    aplicarPorcentajes(porcentajes, columnas);
+    return columnas.map(columna => columna[0]);
+}
+
+/**
+ * Suma el costo directo (items no porcentuales) de cada iteración
+ * @param {Object} porcentajes - Resultado de prepararPorcentajes
+ * @param {Float64Array[]} perItemSamples - Muestras por item
+ * @returns {Float64Array} Costo directo simulado
+ */
+function sumarCostoDirecto(porcentajes, perItemSamples) {
+    const iteraciones = perItemSamples.length > 0 ? perItemSamples[0].length : 0;
+    const directo = new Float64Array(iteraciones);
+
+    porcentajes.directos.forEach(j => {
+        const muestras = perItemSamples[j];
+        for (let i = 0; i < iteraciones; i++) {
+            directo[i] += muestras[i];
+        }
+    });
+
+    return directo;
+}
@@ -0,0 +1,182 @@
+// SIM-RISK Web - Módulo 15: Proyectos
+// Guarda el proyecto (datos de entrada, configuración y resumen de resultados)
+// en el navegador con IndexedDB y lo exporta o importa como archivo
+// .simrisk.json versionado; los proyectos de versiones anteriores se migran
+// al abrirlos
+
+// Identificación y versión del formato del archivo de proyecto
+const FORMATO_PROYECTO = 'simrisk-project';
+const VERSION_PROYECTO = 1;
+const EXTENSION_PROYECTO = '.simrisk.json';
+
+/**
+ * Migraciones del formato: MIGRACIONES_PROYECTO[n] recibe un proyecto de la
+ * versión n y devuelve el equivalente en la versión n + 1. Al cambiar el
+ * formato se sube VERSION_PROYECTO y se agrega aquí la migración desde la
+ * versión anterior
+ */
+const MIGRACIONES_PROYECTO = {};
+
+// Base de datos del navegador con los proyectos guardados
+const BASE_PROYECTOS = 'simrisk';
+const ALMACEN_PROYECTOS = 'projects';
+const VERSION_BASE_PROYECTOS = 1;
+
+/**
+ * Genera un identificador para un proyecto nuevo
+ * @returns {string}
+ */
+function generarIdProyecto() {
+    return `proyecto-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Valida un proyecto y lo lleva a la versión actual del formato
+ * @param {Object} proyecto - Proyecto leído de un archivo o de IndexedDB
+ * @returns {Object} Proyecto en la versión VERSION_PROYECTO
+ */
+function migrarProyecto(proyecto) {
+    if (!proyecto || typeof proyecto !== 'object' || proyecto.format !== FORMATO_PROYECTO) {
+        throw new Error('no es un proyecto de SIM-RISK Web');
+    }
+
+    const version = Number(proyecto.version);
+    if (!Number.isInteger(version) || version < 1) {
+        throw new Error(`versión de proyecto no válida: ${proyecto.version}`);
+    }
+    if (version > VERSION_PROYECTO) {
+        throw new Error(`el proyecto es de la versión ${version} del formato y esta página solo abre hasta la ${VERSION_PROYECTO}`);
+    }
+
+    let migrado = proyecto;
+    for (let v = version; v < VERSION_PROYECTO; v++) {
+        const migracion = MIGRACIONES_PROYECTO[v];
+        if (!migracion) {
+            throw new Error(`falta la migración de la versión ${v} a la ${v + 1}`);
+        }
+        migrado = { ...migracion(migrado), version: v + 1 };
+    }
+
+    if (!migrado.inputs || !Array.isArray(migrado.inputs.rows)) {
+        throw new Error('el proyecto no tiene datos de entrada');
+    }
+    return migrado;
+}
+
+/**
+ * Lee el contenido de un archivo .simrisk.json
+ * @param {string} texto - Contenido del archivo
+ * @returns {Object} Proyecto migrado a la versión actual
+ */
+function leerArchivoProyecto(texto) {
+    let proyecto;
+    try {
+        proyecto = JSON.parse(texto);
+    } catch (error) {
+        throw new Error('el archivo no es un JSON válido');
+    }
+    return migrarProyecto(proyecto);
+}
+
+/**
+ * Nombre del archivo de exportación de un proyecto
+ * @param {string} nombre - Nombre del proyecto
+ * @returns {string} P.ej. "Edificio_A.simrisk.json"
+ */
+function nombreArchivoProyecto(nombre) {
+    const base = String(nombre || '').trim().replace(/[\\/:*?"<>|\s]+/g, '_') || 'proyecto';
+    return base + EXTENSION_PROYECTO;
+}
+
+/**
+ * Abre (y crea la primera vez) la base de proyectos del navegador
+ * @returns {Promise<IDBDatabase>}
+ */
+function abrirBaseProyectos() {
+    return new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('el navegador no permite guardar proyectos (IndexedDB no disponible)'));
+            return;
+        }
+
+        const solicitud = indexedDB.open(BASE_PROYECTOS, VERSION_BASE_PROYECTOS);
+        solicitud.onupgradeneeded = () => {
+            const base = solicitud.result;
+            if (!base.objectStoreNames.contains(ALMACEN_PROYECTOS)) {
+                base.createObjectStore(ALMACEN_PROYECTOS, { keyPath: 'id' });
+            }
+        };
+        solicitud.onsuccess = () => resolve(solicitud.result);
+        solicitud.onerror = () => reject(solicitud.error);
+    });
+}
+
+/**
+ * Ejecuta una operación sobre el almacén de proyectos en una transacción
+ * @param {string} modo - 'readonly' o 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operacion - Operación a ejecutar
+ * @returns {Promise<*>} Resultado de la operación, cuando la transacción termina
+ */
+async function operarProyectos(modo, operacion) {
+    const base = await abrirBaseProyectos();
+    return new Promise((resolve, reject) => {
+        const transaccion = base.transaction(ALMACEN_PROYECTOS, modo);
+        const solicitud = operacion(transaccion.objectStore(ALMACEN_PROYECTOS));
+        transaccion.oncomplete = () => {
+            base.close();
+            resolve(solicitud.result);
+        };
+        transaccion.onerror = transaccion.onabort = () => {
+            base.close();
+            reject(transaccion.error || solicitud.error);
+        };
+    });
+}
+
+/**
+ * Guarda (o reemplaza) un proyecto en el navegador
+ * @param {Object} proyecto - Proyecto con id
+ * @returns {Promise}
+ */
+function guardarProyectoLocal(proyecto) {
+    return operarProyectos('readwrite', almacen => almacen.put(proyecto));
+}
+
+/**
+ * Lista los proyectos guardados en el navegador, el más reciente primero
+ * @returns {Promise<Array<{id:string, name:string, savedAt:string, items:number, runs:number}>>}
+ */
+async function listarProyectosLocales() {
+    const proyectos = await operarProyectos('readonly', almacen => almacen.getAll());
+    return proyectos
+        .map(proyecto => ({
+            id: proyecto.id,
+            name: proyecto.name,
+            savedAt: proyecto.savedAt,
+            items: proyecto.inputs && Array.isArray(proyecto.inputs.rows) ? proyecto.inputs.rows.length : 0,
+            runs: proyecto.results && Array.isArray(proyecto.results.runs) ? proyecto.results.runs.length : 0
+        }))
+        .sort((a, b) => String(b.savedAt).localeCompare(String(a.savedAt)));
+}
+
+/**
+ * Lee un proyecto guardado en el navegador
+ * @param {string} id - Identificador del proyecto
+ * @returns {Promise<Object>} Proyecto migrado a la versión actual
+ */
+async function cargarProyectoLocal(id) {
+    const proyecto = await operarProyectos('readonly', almacen => almacen.get(id));
+    if (!proyecto) {
+        throw new Error('el proyecto ya no está guardado en este navegador');
+    }
+    return migrarProyecto(proyecto);
+}
+
+/**
+ * Borra un proyecto guardado en el navegador
+ * @param {string} id - Identificador del proyecto
+ * @returns {Promise}
+ */
+function borrarProyectoLocal(id) {
+    return operarProyectos('readwrite', almacen => almacen.delete(id));
+}
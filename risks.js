@@ -0,0 +1,187 @@
+// SIM-RISK Web - Módulo 8: Registro de Riesgos
+// Eventos discretos (amenazas y oportunidades) con probabilidad de ocurrencia
+// e impacto, en sus variantes antes y después de la mitigación. En la
+// simulación cada riesgo aporta Bernoulli(probabilidad) × impacto
+
+/**
+ * Variante del registro que se simula
+ */
+const ESTADOS_MITIGACION = {
+    PRE: 'pre',
+    POST: 'post'
+};
+
+/**
+ * Nombres para mostrar en la interfaz
+ */
+const NOMBRES_MITIGACION = {
+    pre: 'Antes de mitigación',
+    post: 'Después de mitigación'
+};
+
+// Límites de los niveles del mapa de calor (5 niveles por eje):
+// probabilidad de ocurrencia e impacto esperado como fracción del costo base
+const LIMITES_PROBABILIDAD_MAPA = [0.1, 0.3, 0.5, 0.7];
+const LIMITES_IMPACTO_MAPA = [0.01, 0.025, 0.05, 0.1];
+const NIVELES_MAPA = ['Muy bajo', 'Bajo', 'Medio', 'Alto', 'Muy alto'];
+
+// Severidad según el puntaje probabilidad × impacto (1 a 25)
+const SEVERIDADES_MAPA = [
+    { hasta: 4, clase: 'bajo' },
+    { hasta: 9, clase: 'medio' },
+    { hasta: 14, clase: 'alto' },
+    { hasta: 25, clase: 'critico' }
+];
+
+/**
+ * Convierte la probabilidad del archivo o del editor en una fracción [0, 1].
+ * "30%" siempre es porcentaje; un número sin "%" es fracción (0.3) salvo que
+ * el archivo esté en porcentaje (ver unidadProbabilidades)
+ * @param {*} valor - Valor a convertir
+ * @param {boolean} enPorcentaje - Leer los números sin "%" como porcentaje (opcional)
+ * @returns {number|null} null si está vacío o no es número
+ */
+function normalizarProbabilidad(valor, enPorcentaje = false) {
+    if (valor === null || valor === undefined || String(valor).trim() === '') return null;
+
+    const texto = String(valor).trim().replace(',', '.');
+    const num = parseFloat(texto);
+    if (isNaN(num)) return null;
+
+    return texto.endsWith('%') || enPorcentaje ? num / 100 : num;
+}
+
+/**
+ * Decide una sola unidad para las columnas de probabilidad del archivo
+ * (PROBABILIDAD y PROBABILIDAD MITIGADA juntas, para que un riesgo no se lea
+ * en dos unidades): los números sin "%" son porcentajes si alguno es mayor
+ * que 1, así en 30, 5 y 1 el 1 es un 1% y no un evento seguro. Si todos son
+ * fracciones y otras celdas llevan "%" (0.3 junto a 5%), la unidad es ambigua
+ * @param {Array[]} columnas - Valores de cada columna en todas las filas
+ * @returns {boolean} true si los números sin "%" están en porcentaje
+ */
+function unidadProbabilidades(columnas) {
+    const textos = [].concat(...columnas)
+        .filter(valor => valor !== null && valor !== undefined && String(valor).trim() !== '')
+        .map(valor => String(valor).trim().replace(',', '.'));
+    const sinPorcentaje = textos.filter(texto => !texto.endsWith('%')).map(parseFloat).filter(num => !isNaN(num));
+
+    if (sinPorcentaje.some(num => num > 1)) return true;
+    if (sinPorcentaje.length > 0 && sinPorcentaje.length < textos.length) {
+        throw new Error(`las probabilidades mezclan valores con "%" y fracciones (${sinPorcentaje.join(', ')}); ` +
+            'use una sola unidad en PROBABILIDAD y PROBABILIDAD MITIGADA');
+    }
+    return false;
+}
+
+/**
+ * Devuelve la probabilidad y el impacto de un riesgo en la variante pedida.
+ * Los campos vacíos de la variante mitigada toman el valor antes de mitigación
+ * @param {Object} risk - Riesgo {id, probability, a, m, b, distribucion, ..., mitigated?}
+ * @param {string} mitigacion - Uno de ESTADOS_MITIGACION
+ * @returns {Object} Riesgo con probability y parámetros de impacto de la variante
+ */
+function varianteRiesgo(risk, mitigacion) {
+    const variante = { ...risk };
+    delete variante.mitigated;
+
+    if (mitigacion === ESTADOS_MITIGACION.POST && risk.mitigated) {
+        Object.keys(risk.mitigated).forEach(clave => {
+            const valor = risk.mitigated[clave];
+            if (valor !== null && valor !== undefined && valor !== '') {
+                variante[clave] = valor;
+            }
+        });
+    }
+
+    return variante;
+}
+
+/**
+ * Valida los riesgos de la simulación y prepara la distribución de su impacto
+ * @param {Array<Object>|undefined} risks - Riesgos de runMonteCarlo
+ * @param {string} mitigacion - Uno de ESTADOS_MITIGACION (opcional, antes de mitigación por defecto)
+ * @returns {Array<Object>} Distribuciones de impacto con id y probabilidad
+ */
+function prepararRiesgos(risks, mitigacion = ESTADOS_MITIGACION.PRE) {
+    if (!Object.values(ESTADOS_MITIGACION).includes(mitigacion)) {
+        throw new Error(`Variante de mitigación no soportada: ${mitigacion}`);
+    }
+    if (!risks) return [];
+    if (!Array.isArray(risks)) {
+        throw new Error('Los riesgos deben ser un array');
+    }
+
+    return risks.map((risk, index) => {
+        const id = risk.id || `riesgo_${index + 1}`;
+        const variante = varianteRiesgo(risk, mitigacion);
+        const probabilidad = normalizarProbabilidad(variante.probability);
+
+        if (probabilidad === null || probabilidad < 0 || probabilidad > 1) {
+            throw new Error(`Riesgo ${index + 1} (id: ${id}): la probabilidad debe estar entre 0 y 1`);
+        }
+
+        let dist;
+        try {
+            dist = prepararDistribucion(variante);
+        } catch (error) {
+            throw new Error(`Riesgo ${index + 1} (id: ${id}): ${error.message}`);
+        }
+
+        return { ...dist, id, probabilidad };
+    });
+}
+
+/**
+ * Valor esperado de un riesgo (probabilidad × impacto medio) en una variante
+ * @param {Object} risk - Riesgo como en runMonteCarlo
+ * @param {string} mitigacion - Uno de ESTADOS_MITIGACION
+ * @returns {{probabilidad:number, impacto:number, valorEsperado:number}|null} null si no es válido
+ */
+function valorEsperadoRiesgo(risk, mitigacion) {
+    try {
+        const [riesgo] = prepararRiesgos([risk], mitigacion);
+        const impacto = mediaDistribucion(riesgo);
+        return { probabilidad: riesgo.probabilidad, impacto, valorEsperado: riesgo.probabilidad * impacto };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Severidad de una celda del mapa de calor
+ * @param {number} nivelProbabilidad - Nivel de probabilidad (0-4)
+ * @param {number} nivelImpacto - Nivel de impacto (0-4)
+ * @returns {string} bajo, medio, alto o critico
+ */
+function severidadRiesgo(nivelProbabilidad, nivelImpacto) {
+    const puntaje = (nivelProbabilidad + 1) * (nivelImpacto + 1);
+    return SEVERIDADES_MAPA.find(s => puntaje <= s.hasta).clase;
+}
+
+/**
+ * Ubica un riesgo en el mapa de calor probabilidad × impacto
+ * @param {number} probabilidad - Probabilidad de ocurrencia [0, 1]
+ * @param {number} impacto - Impacto medio (negativo en las oportunidades)
+ * @param {number} base - Costo base del proyecto para medir el impacto relativo
+ * @returns {{nivelProbabilidad:number, nivelImpacto:number, puntaje:number, severidad:string}}
+ *          Niveles 0-4, puntaje 1-25 y severidad (bajo, medio, alto, critico)
+ */
+function clasificarRiesgo(probabilidad, impacto, base) {
+    const nivel = (valor, limites) => {
+        let k = 0;
+        while (k < limites.length && valor > limites[k]) k++;
+        return k;
+    };
+
+    const relativo = base > 0 ? Math.abs(impacto) / base : 0;
+    const nivelProbabilidad = nivel(probabilidad, LIMITES_PROBABILIDAD_MAPA);
+    const nivelImpacto = nivel(relativo, LIMITES_IMPACTO_MAPA);
+
+    return {
+        nivelProbabilidad,
+        nivelImpacto,
+        puntaje: (nivelProbabilidad + 1) * (nivelImpacto + 1),
+        severidad: severidadRiesgo(nivelProbabilidad, nivelImpacto)
+    };
+}
@@ -0,0 +1,445 @@
+// SIM-RISK Web - Módulo 9: Cronograma
+// Red de actividades con predecesoras (FS, SS, FF y desfases). En modo
+// cronograma cada iteración calcula la ruta crítica (pasada hacia adelante y
+// hacia atrás) con las duraciones simuladas, en lugar de sumar los items
+
+/**
+ * Modos de simulación: suma de items (presupuesto) o ruta crítica (cronograma)
+ */
+const MODOS_SIMULACION = {
+    COSTO: 'cost',
+    CRONOGRAMA: 'schedule'
+};
+
+/**
+ * Tipos de item en modo cronograma: actividades (su valor es una duración) o
+ * costos (fijos, o tasas por unidad de tiempo vinculadas a una duración)
+ */
+const TIPOS_ITEM = {
+    ACTIVIDAD: 'actividad',
+    COSTO: 'costo'
+};
+
+// Vínculo de una tasa de costo con la duración total del proyecto
+const VINCULO_PROYECTO = 'PROYECTO';
+
+/**
+ * Tipos de relación entre actividades
+ */
+const TIPOS_RELACION = {
+    FS: 'FS', // Fin a comienzo
+    SS: 'SS', // Comienzo a comienzo
+    FF: 'FF'  // Fin a fin
+};
+
+// Alias aceptados en la columna PREDECESORAS (también los de MS Project en español)
+const ALIAS_RELACION = {
+    FS: 'FS',
+    FC: 'FS',
+    SS: 'SS',
+    CC: 'SS',
+    FF: 'FF'
+};
+
+/**
+ * Normaliza el texto de la columna TIPO
+ * @param {string} valor - Texto de la celda (Actividad, Tarea, Costo, Indirecto...)
+ * @returns {string|null} Uno de TIPOS_ITEM, o null si está vacío o no se reconoce
+ */
+function normalizarTipoItem(valor) {
+    if (valor === null || valor === undefined) return null;
+
+    const texto = String(valor).trim().toUpperCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    if (['ACTIVIDAD', 'ACT', 'TAREA'].includes(texto)) return TIPOS_ITEM.ACTIVIDAD;
+    if (['COSTO', 'COSTE', 'INDIRECTO', 'RECURSO'].includes(texto)) return TIPOS_ITEM.COSTO;
+    return null;
+}
+
+/**
+ * Indica si un item es un costo en modo cronograma: los items con vínculo son
+ * siempre tasas de costo; el resto son actividades salvo que se indique tipo costo
+ * @param {{tipoItem?:string, vinculo?:string}} item - Item de runMonteCarlo
+ * @returns {boolean}
+ */
+function esItemCosto(item) {
+    return item.tipoItem === TIPOS_ITEM.COSTO || Boolean(item.vinculo);
+}
+
+/**
+ * Convierte el texto de la columna PREDECESORAS en una lista de relaciones.
+ * Formato: códigos separados por ";" o ",", cada uno con tipo y desfase
+ * opcionales, p.ej. "01.01.01; 01.01.02SS+2; 01.02.01FF-1" (FS y 0 por defecto)
+ * @param {string} texto - Texto de la celda
+ * @param {Set<string>} idsConocidos - Códigos de las actividades (opcional); un
+ *        código que coincide completo no se separa en tipo y desfase
+ * @returns {{predecesoras: Array<{id:string, tipo:string, desfase:number}>, errores: string[]}}
+ */
+function parsearPredecesoras(texto, idsConocidos = null) {
+    const predecesoras = [];
+    const errores = [];
+
+    if (texto === null || texto === undefined) return { predecesoras, errores };
+
+    String(texto).split(/[;,]/).map(token => token.trim()).filter(token => token !== '').forEach(token => {
+        if (idsConocidos && idsConocidos.has(token)) {
+            predecesoras.push({ id: token, tipo: TIPOS_RELACION.FS, desfase: 0 });
+            return;
+        }
+
+        const partes = token.match(/^(.+?)\s*(FS|FC|SS|CC|FF)?\s*(?:([+-])\s*(\d+(?:\.\d+)?)\s*d?)?$/i);
+        if (!partes) {
+            errores.push(token);
+            return;
+        }
+
+        const desfase = partes[4] !== undefined ? parseFloat(partes[4]) * (partes[3] === '-' ? -1 : 1) : 0;
+        predecesoras.push({
+            id: partes[1].trim(),
+            tipo: partes[2] ? ALIAS_RELACION[partes[2].toUpperCase()] : TIPOS_RELACION.FS,
+            desfase
+        });
+    });
+
+    return { predecesoras, errores };
+}
+
+/**
+ * Convierte una lista de relaciones al texto de la columna PREDECESORAS
+ * @param {Array<{id:string, tipo:string, desfase:number}>} predecesoras - Relaciones
+ * @returns {string} Texto como "01.01.01; 01.01.02SS+2" (vacío si no hay)
+ */
+function formatearPredecesoras(predecesoras) {
+    return (predecesoras || []).map(relacion => {
+        const tipo = relacion.tipo === TIPOS_RELACION.FS ? '' : relacion.tipo;
+        const desfase = relacion.desfase ? (relacion.desfase > 0 ? `+${relacion.desfase}` : `${relacion.desfase}`) : '';
+        return `${relacion.id}${tipo}${desfase}`;
+    }).join('; ');
+}
+
+/**
+ * Valida la red de actividades y los costos vinculados, y calcula el orden
+ * topológico de las actividades
+ * @param {Array<Object>} items - Items de runMonteCarlo con predecesoras [{id, tipo, desfase}]
+ *        y, en los costos, tipoItem y vinculo (código de una actividad o VINCULO_PROYECTO)
+ * @param {Array<Object>} validatedItems - Distribuciones preparadas (mismo orden, con id)
+ * @returns {Object} Cronograma preparado {orden, predecesoras, sucesoras, costos, ...}
+ */
+function prepararCronograma(items, validatedItems) {
+    const n = validatedItems.length;
+    const esCosto = items.map(esItemCosto);
+
+    const indicePorId = new Map();
+    validatedItems.forEach((item, j) => {
+        const id = String(item.id);
+        if (indicePorId.has(id)) {
+            throw new Error(`Cronograma: el código ${id} está repetido`);
+        }
+        indicePorId.set(id, j);
+    });
+
+    // Relaciones por actividad: índice de la otra actividad, tipo y desfase
+    const predecesoras = items.map((item, j) => (item.predecesoras || []).map(relacion => {
+        if (esCosto[j]) {
+            throw new Error(`Cronograma: el costo ${validatedItems[j].id} no puede tener predecesoras`);
+        }
+
+        const indice = indicePorId.get(String(relacion.id).trim());
+        if (indice === undefined) {
+            throw new Error(`Cronograma: la actividad ${validatedItems[j].id} tiene una predecesora desconocida (${relacion.id})`);
+        }
+        if (indice === j) {
+            throw new Error(`Cronograma: la actividad ${validatedItems[j].id} no puede ser su propia predecesora`);
+        }
+        if (esCosto[indice]) {
+            throw new Error(`Cronograma: la predecesora ${relacion.id} de la actividad ${validatedItems[j].id} es un costo`);
+        }
+
+        const tipo = ALIAS_RELACION[String(relacion.tipo || TIPOS_RELACION.FS).toUpperCase()];
+        if (!tipo) {
+            throw new Error(`Cronograma: tipo de relación no soportado (${relacion.tipo}) en la actividad ${validatedItems[j].id}`);
+        }
+
+        const desfase = Number(relacion.desfase || 0);
+        if (!isFinite(desfase)) {
+            throw new Error(`Cronograma: desfase inválido en la actividad ${validatedItems[j].id}`);
+        }
+
+        return { indice, tipo, desfase };
+    }));
+
+    const sucesoras = validatedItems.map(() => []);
+    predecesoras.forEach((relaciones, j) => {
+        relaciones.forEach(relacion => {
+            sucesoras[relacion.indice].push({ indice: j, tipo: relacion.tipo, desfase: relacion.desfase });
+        });
+    });
+
+    // Orden topológico (Kahn) de las actividades: las predecesoras siempre antes que sus sucesoras
+    const numActividades = esCosto.filter(costo => !costo).length;
+    if (numActividades === 0) {
+        throw new Error('Cronograma: no hay actividades (todos los items son costos)');
+    }
+
+    const pendientes = predecesoras.map(relaciones => relaciones.length);
+    const orden = new Uint32Array(numActividades);
+    let cantidad = 0;
+    for (let j = 0; j < n; j++) {
+        if (!esCosto[j] && pendientes[j] === 0) orden[cantidad++] = j;
+    }
+    for (let k = 0; k < cantidad; k++) {
+        sucesoras[orden[k]].forEach(relacion => {
+            pendientes[relacion.indice]--;
+            if (pendientes[relacion.indice] === 0) orden[cantidad++] = relacion.indice;
+        });
+    }
+
+    if (cantidad < numActividades) {
+        const enCiclo = validatedItems.filter((_, j) => pendientes[j] > 0).map(item => item.id);
+        throw new Error(`Cronograma: las predecesoras forman un ciclo (${enCiclo.join(', ')})`);
+    }
+
+    // Costos: fijos (vinculo null) o tasas por la duración de una actividad
+    // (índice) o del proyecto (-1)
+    const costos = [];
+    items.forEach((item, j) => {
+        if (!esCosto[j]) return;
+
+        let vinculo = null;
+        if (item.vinculo) {
+            const codigo = String(item.vinculo).trim();
+            if (codigo.toUpperCase() === VINCULO_PROYECTO) {
+                vinculo = -1;
+            } else {
+                vinculo = indicePorId.get(codigo);
+                if (vinculo === undefined || esCosto[vinculo]) {
+                    throw new Error(`Cronograma: el costo ${validatedItems[j].id} está vinculado a una actividad desconocida (${codigo})`);
+                }
+            }
+        }
+
+        costos.push({ indice: j, vinculo });
+    });
+
+    const cronograma = { orden, predecesoras, sucesoras, esCosto, costos };
+
+    // Ruta crítica determinista con las duraciones esperadas y las más probables:
+    // la diferencia con la media simulada es el sesgo de fusión de rutas paralelas
+    const tiempos = crearTiemposCronograma(n);
+    const medias = Float64Array.from(validatedItems, mediaDistribucion);
+    const duracionEsperada = calcularRutaCritica(cronograma, medias, tiempos);
+    const finesEsperados = Array.from(tiempos.finTemprano);
+    const duracionProbable = calcularRutaCritica(cronograma, Float64Array.from(validatedItems, modaDistribucion), tiempos);
+
+    // Costo con los valores esperados (tasas por duraciones esperadas)
+    const costoEsperado = costos.reduce((suma, costo) => {
+        if (costo.vinculo === null) return suma + medias[costo.indice];
+        const duracion = costo.vinculo === -1 ? duracionEsperada : medias[costo.vinculo];
+        return suma + medias[costo.indice] * duracion;
+    }, 0);
+
+    return {
+        ...cronograma,
+        determinista: {
+            duracionEsperada,
+            finesEsperados,
+            duracionProbable,
+            costoEsperado
+        }
+    };
+}
+
+/**
+ * Reserva los arrays de fechas tempranas y tardías de una red
+ * @param {number} n - Número de actividades
+ * @returns {{inicioTemprano:Float64Array, finTemprano:Float64Array, inicioTardio:Float64Array, finTardio:Float64Array}}
+ */
+function crearTiemposCronograma(n) {
+    return {
+        inicioTemprano: new Float64Array(n),
+        finTemprano: new Float64Array(n),
+        inicioTardio: new Float64Array(n),
+        finTardio: new Float64Array(n)
+    };
+}
+
+/**
+ * Calcula la ruta crítica con unas duraciones: pasada hacia adelante (fechas
+ * tempranas) y hacia atrás (fechas tardías). El proyecto empieza en 0
+ * @param {Object} cronograma - Resultado de prepararCronograma
+ * @param {ArrayLike<number>} duraciones - Duración de cada actividad
+ * @param {Object} tiempos - Arrays de crearTiemposCronograma (se sobrescriben)
+ * @returns {number} Duración del proyecto (mayor fin temprano)
+ */
+function calcularRutaCritica(cronograma, duraciones, tiempos) {
+    const { orden, predecesoras, sucesoras } = cronograma;
+    const { inicioTemprano, finTemprano, inicioTardio, finTardio } = tiempos;
+    const n = orden.length;
+    let duracionProyecto = 0;
+
+    for (let k = 0; k < n; k++) {
+        const j = orden[k];
+        const relaciones = predecesoras[j];
+        let inicio = 0;
+
+        for (let r = 0; r < relaciones.length; r++) {
+            const { indice, tipo, desfase } = relaciones[r];
+            let limite;
+            if (tipo === TIPOS_RELACION.FS) {
+                limite = finTemprano[indice] + desfase;
+            } else if (tipo === TIPOS_RELACION.SS) {
+                limite = inicioTemprano[indice] + desfase;
+            } else {
+                limite = finTemprano[indice] + desfase - duraciones[j];
+            }
+            if (limite > inicio) inicio = limite;
+        }
+
+        inicioTemprano[j] = inicio;
+        finTemprano[j] = inicio + duraciones[j];
+        if (finTemprano[j] > duracionProyecto) duracionProyecto = finTemprano[j];
+    }
+
+    for (let k = n - 1; k >= 0; k--) {
+        const j = orden[k];
+        const relaciones = sucesoras[j];
+        let fin = duracionProyecto;
+
+        for (let r = 0; r < relaciones.length; r++) {
+            const { indice, tipo, desfase } = relaciones[r];
+            let limite;
+            if (tipo === TIPOS_RELACION.FS) {
+                limite = inicioTardio[indice] - desfase;
+            } else if (tipo === TIPOS_RELACION.SS) {
+                limite = inicioTardio[indice] - desfase + duraciones[j];
+            } else {
+                limite = finTardio[indice] - desfase;
+            }
+            if (limite < fin) fin = limite;
+        }
+
+        finTardio[j] = fin;
+        inicioTardio[j] = fin - duraciones[j];
+    }
+
+    return duracionProyecto;
+}
+
+/**
+ * Calcula la ruta crítica de cada iteración con las duraciones simuladas:
+ * escribe la duración del proyecto en results y cuenta cuántas veces cada
+ * actividad quedó en la ruta crítica (holgura total nula)
+ * @param {Object} cronograma - Resultado de prepararCronograma
+ * @param {ArrayLike<number>[]} perItemSamples - Duraciones simuladas por actividad
+ * @param {Float64Array} results - Duración del proyecto por iteración (se sobrescribe)
+ * @returns {{criticas: Uint32Array, sumaFines: Float64Array, sumaDuraciones: number}} Veces crítica y suma
+ *          de fines tempranos por actividad, y suma de las duraciones del proyecto
+ */
+function simularCronograma(cronograma, perItemSamples, results) {
+    const { orden } = cronograma;
+    const n = cronograma.esCosto.length;
+    const tiempos = crearTiemposCronograma(n);
+    const duraciones = new Float64Array(n);
+    const criticas = new Uint32Array(n);
+    const sumaFines = new Float64Array(n);
+    let sumaDuraciones = 0;
+
+    for (let i = 0; i < results.length; i++) {
+        for (let k = 0; k < orden.length; k++) {
+            duraciones[orden[k]] = perItemSamples[orden[k]][i];
+        }
+
+        const duracionProyecto = calcularRutaCritica(cronograma, duraciones, tiempos);
+        results[i] = duracionProyecto;
+        sumaDuraciones += duracionProyecto;
+
+        // Tolerancia relativa para los errores de redondeo de las sumas
+        const tolerancia = 1e-9 * Math.max(1, Math.abs(duracionProyecto));
+        for (let k = 0; k < orden.length; k++) {
+            const j = orden[k];
+            if (tiempos.inicioTardio[j] - tiempos.inicioTemprano[j] <= tolerancia) criticas[j]++;
+            sumaFines[j] += tiempos.finTemprano[j];
+        }
+    }
+
+    return { criticas, sumaFines, sumaDuraciones };
+}
+
+/**
+ * Calcula el costo total de cada iteración: costos fijos más tasas por la
+ * duración simulada de su actividad o del proyecto
+ * @param {Object} cronograma - Resultado de prepararCronograma
+ * @param {ArrayLike<number>[]} perItemSamples - Muestras por item (duraciones, costos y tasas)
+ * @param {Float64Array} duraciones - Duración del proyecto por iteración
+ * @returns {Float64Array|null} Costo por iteración, o null si no hay items de costo
+ */
+function simularCostos(cronograma, perItemSamples, duraciones) {
+    if (cronograma.costos.length === 0) return null;
+
+    const costos = new Float64Array(duraciones.length);
+    cronograma.costos.forEach(({ indice, vinculo }) => {
+        const muestras = perItemSamples[indice];
+        if (vinculo === null) {
+            for (let i = 0; i < costos.length; i++) costos[i] += muestras[i];
+        } else {
+            const duracion = vinculo === -1 ? duraciones : perItemSamples[vinculo];
+            for (let i = 0; i < costos.length; i++) costos[i] += muestras[i] * duracion[i];
+        }
+    });
+
+    return costos;
+}
+
+/**
+ * Probabilidad de no superar a la vez un costo y una duración
+ * @param {ArrayLike<number>} costos - Costo por iteración
+ * @param {ArrayLike<number>} duraciones - Duración por iteración
+ * @param {number} costoMaximo - Límite de costo
+ * @param {number} duracionMaxima - Límite de duración
+ * @returns {{conjunta:number, costo:number, duracion:number}} P(costo ≤ X y duración ≤ Y), P(costo ≤ X) y P(duración ≤ Y)
+ */
+function probabilidadConjunta(costos, duraciones, costoMaximo, duracionMaxima) {
+    let conjunta = 0;
+    let costo = 0;
+    let duracion = 0;
+
+    for (let i = 0; i < costos.length; i++) {
+        const dentroCosto = costos[i] <= costoMaximo;
+        const dentroDuracion = duraciones[i] <= duracionMaxima;
+        if (dentroCosto) costo++;
+        if (dentroDuracion) duracion++;
+        if (dentroCosto && dentroDuracion) conjunta++;
+    }
+
+    const n = costos.length || 1;
+    return { conjunta: conjunta / n, costo: costo / n, duracion: duracion / n };
+}
+
+/**
+ * Resume el cronograma simulado para el resultado de la simulación
+ * @param {Object} cronograma - Resultado de prepararCronograma
+ * @param {Object} acumulado - Resultado de simularCronograma
+ * @param {number} iteraciones - Iteraciones simuladas
+ * @returns {{criticality:Array<number|null>, meanFinish:Array<number|null>, deterministicFinish:Array<number|null>,
+ *          meanDuration:number, deterministicDuration:number, probableDuration:number, deterministicCost?:number}}
+ *          Índice de criticidad (0-1) y fin medio por item (null en los costos); duración media de la red
+ *          (sin riesgos), deterministas con valores esperados y probables, y costo con valores esperados
+ */
+function resumirCronograma(cronograma, acumulado, iteraciones) {
+    const { esCosto, determinista } = cronograma;
+    const porActividad = (valores, transformar) => Array.from(valores, (valor, j) => (esCosto[j] ? null : transformar(valor)));
+
+    const resumen = {
+        criticality: porActividad(acumulado.criticas, veces => veces / iteraciones),
+        meanFinish: porActividad(acumulado.sumaFines, suma => suma / iteraciones),
+        deterministicFinish: porActividad(determinista.finesEsperados, fin => fin),
+        meanDuration: acumulado.sumaDuraciones / iteraciones,
+        deterministicDuration: determinista.duracionEsperada,
+        probableDuration: determinista.duracionProbable
+    };
+
+    if (cronograma.costos.length > 0) {
+        resumen.deterministicCost = determinista.costoEsperado;
+    }
+
+    return resumen;
+}
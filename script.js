@@ -1,23 +1,167 @@
 // SIM-RISK Web - Módulo 2: Simulación Monte Carlo
-// Implementa simulación Monte Carlo con distribución Beta PERT
+// Implementa simulación Monte Carlo con distribución Beta PERT y las definidas en distributions.js
 
 /**
- * Generador de números aleatorios con semilla (Xorshift32)
- * @param {number} seed - Semilla inicial
- * @returns {Function} Función que devuelve números aleatorios entre 0 y 1
+ * Generadores de números aleatorios disponibles
  */
-function createSeededRNG(seed) {
-    let state = seed || Math.floor(Math.random() * 0x7FFFFFFF);
+const GENERADORES_RNG = {
+    MERSENNE_TWISTER: 'mersenne',
+    PCG32: 'pcg32',
+    XORSHIFT: 'xorshift'
+};
+
+/**
+ * Nombres para mostrar en la interfaz
+ */
+const NOMBRES_GENERADOR = {
+    mersenne: 'Mersenne Twister',
+    pcg32: 'PCG32',
+    xorshift: 'Xorshift32'
+};
+
+// Generador por defecto de createSeededRNG y de runMonteCarlo (el de @Risk)
+const GENERADOR_RNG_DEFAULT = GENERADORES_RNG.MERSENNE_TWISTER;
+
+// 2^32: divisor para convertir enteros de 32 bits a [0, 1) sin llegar a 1
+const DOS_A_LA_32 = 4294967296;
+
+/**
+ * Generador Xorshift32
+ * @param {number} seed - Semilla de 32 bits
+ * @returns {Function} Función que devuelve números aleatorios en [0, 1)
+ */
+function crearXorshift32(seed) {
+    // La semilla se mezcla para que 0 (punto fijo de Xorshift) no caiga en el
+    // estado 0; solo la semilla que la mezcla lleva a 0 usa una constante
+    let state = derivarSemilla(seed, 0) || 0x6D2B79F5;
     
     return function() {
         state ^= state << 13;
         state ^= state >>> 17;
         state ^= state << 5;
         state = state >>> 0; // Convertir a unsigned 32-bit
-        return (state / 0xFFFFFFFF); // Normalizar a [0, 1)
+        return state / DOS_A_LA_32;
     };
 }
 
+/**
+ * Generador Mersenne Twister MT19937 (el de @Risk), inicializado con init_genrand
+ * @param {number} seed - Semilla de 32 bits
+ * @returns {Function} Función que devuelve números aleatorios en [0, 1)
+ */
+function crearMersenneTwister(seed) {
+    const N = 624;
+    const M = 397;
+    const mt = new Uint32Array(N);
+    let indice = N;
+    
+    mt[0] = seed >>> 0;
+    for (let i = 1; i < N; i++) {
+        const previo = mt[i - 1] ^ (mt[i - 1] >>> 30);
+        mt[i] = (Math.imul(1812433253, previo) + i) >>> 0;
+    }
+    
+    const regenerar = () => {
+        for (let i = 0; i < N; i++) {
+            const y = (mt[i] & 0x80000000) | (mt[(i + 1) % N] & 0x7FFFFFFF);
+            mt[i] = mt[(i + M) % N] ^ (y >>> 1) ^ (y & 1 ? 0x9908B0DF : 0);
+        }
+        indice = 0;
+    };
+    
+    return function() {
+        if (indice >= N) regenerar();
+        
+        let y = mt[indice++];
+        y ^= y >>> 11;
+        y ^= (y << 7) & 0x9D2C5680;
+        y ^= (y << 15) & 0xEFC60000;
+        y ^= y >>> 18;
+        return (y >>> 0) / DOS_A_LA_32;
+    };
+}
+
+/**
+ * Generador PCG32 (XSH RR 64/32) con el incremento de referencia (secuencia 54).
+ * El estado de 64 bits se maneja como dos mitades de 32 bits
+ * @param {number} seed - Semilla de 32 bits
+ * @returns {Function} Función que devuelve números aleatorios en [0, 1)
+ */
+function crearPCG32(seed) {
+    // Multiplicador 6364136223846793005 e incremento (54 << 1) | 1
+    const MULT_ALTO = 0x5851F42D;
+    const MULT_BAJO = 0x4C957F2D;
+    const INCREMENTO = 109;
+    
+    // Mitades alta y baja del estado, guardadas como enteros de 32 bits con signo
+    let alto = 0;
+    let bajo = 0;
+    
+    // estado = estado * MULT + INCREMENTO (mod 2^64), con productos de 16 bits
+    const avanzar = () => {
+        const b0 = bajo & 0xFFFF;
+        const b1 = bajo >>> 16;
+        const m0 = MULT_BAJO & 0xFFFF;
+        const m1 = MULT_BAJO >>> 16;
+        const p00 = Math.imul(b0, m0) >>> 0;
+        const p01 = Math.imul(b0, m1) >>> 0;
+        const p10 = Math.imul(b1, m0) >>> 0;
+        const p11 = Math.imul(b1, m1) >>> 0;
+        const medio = (p00 >>> 16) + (p01 & 0xFFFF) + (p10 & 0xFFFF);
+        const nuevoBajo = ((medio << 16) | (p00 & 0xFFFF)) >>> 0;
+        const nuevoAlto = (p11 + (p01 >>> 16) + (p10 >>> 16) + (medio >>> 16) +
+            Math.imul(alto, MULT_BAJO) + Math.imul(bajo, MULT_ALTO)) | 0;
+        
+        const suma = (nuevoBajo + INCREMENTO) >>> 0;
+        bajo = suma | 0;
+        alto = (nuevoAlto + (suma < nuevoBajo ? 1 : 0)) | 0;
+    };
+    
+    // Inicialización de referencia (pcg32_srandom_r)
+    avanzar();
+    const sumaSemilla = (bajo >>> 0) + (seed >>> 0);
+    bajo = sumaSemilla | 0;
+    alto = (alto + (sumaSemilla > 0xFFFFFFFF ? 1 : 0)) | 0;
+    avanzar();
+    
+    return function() {
+        const viejoAlto = alto >>> 0;
+        const viejoBajo = bajo >>> 0;
+        avanzar();
+        
+        // xorshifted = ((viejo >> 18) ^ viejo) >> 27, rot = viejo >> 59
+        const xAlto = viejoAlto ^ (viejoAlto >>> 18);
+        const xBajo = viejoBajo ^ ((viejoBajo >>> 18) | (viejoAlto << 14));
+        const xorshifted = ((xBajo >>> 27) | (xAlto << 5)) >>> 0;
+        const rot = viejoAlto >>> 27;
+        const salida = ((xorshifted >>> rot) | (xorshifted << ((32 - rot) & 31))) >>> 0;
+        return salida / DOS_A_LA_32;
+    };
+}
+
+/**
+ * Generador de números aleatorios con semilla
+ * @param {number} seed - Semilla de 32 bits (0 es una semilla válida); si no se indica, se usa una aleatoria
+ * @param {string} generador - Uno de GENERADORES_RNG (GENERADOR_RNG_DEFAULT si no se indica)
+ * @returns {Function} Función que devuelve números aleatorios en [0, 1)
+ */
+function createSeededRNG(seed, generador = GENERADOR_RNG_DEFAULT) {
+    const semilla = seed === undefined || seed === null
+        ? Math.floor(Math.random() * DOS_A_LA_32)
+        : seed;
+    
+    switch (generador) {
+        case GENERADORES_RNG.MERSENNE_TWISTER:
+            return crearMersenneTwister(semilla);
+        case GENERADORES_RNG.PCG32:
+            return crearPCG32(semilla);
+        case GENERADORES_RNG.XORSHIFT:
+            return crearXorshift32(semilla);
+        default:
+            throw new Error(`Generador de números aleatorios no soportado: ${generador}`);
+    }
+}
+
 /**
  * Genera un número aleatorio con distribución Gamma usando el algoritmo de Marsaglia-Tsang
  * @param {number} k - Parámetro de forma (alpha)
@@ -107,14 +251,21 @@ function betaRandom(alpha, beta, rng) {
     return g1 / sum;
 }
 
+/**
+ * Peso del valor más probable en la PERT clásica (RiskPert de @Risk)
+ */
+const LAMBDA_PERT_DEFAULT = 4;
+
 /**
  * Calcula los parámetros alpha y beta para la distribución Beta PERT
+ * Con lambda distinto de 4 se obtiene la PERT modificada
  * @param {number} a - Valor mínimo
  * @param {number} m - Valor más probable
  * @param {number} b - Valor máximo
+ * @param {number} lambda - Peso del valor más probable (default 4)
  * @returns {Object} Objeto con {alpha, beta, isConstant}
  */
-function calcularParametrosBetaPERT(a, m, b) {
+function calcularParametrosBetaPERT(a, m, b, lambda = LAMBDA_PERT_DEFAULT) {
     // Edge case: si b === a, la distribución es constante
     if (Math.abs(b - a) < 1e-10) {
         return { alpha: 0, beta: 0, isConstant: true, constantValue: a };
@@ -125,16 +276,56 @@ function calcularParametrosBetaPERT(a, m, b) {
         throw new Error(`Valores inválidos: a (${a}) <= m (${m}) <= b (${b}) no se cumple`);
     }
     
-    // Calcular alpha y beta según la fórmula PERT
-    const alpha = 1 + 4 * (m - a) / (b - a);
-    const beta = 1 + 4 * (b - m) / (b - a);
+    if (!(lambda >= 0)) {
+        throw new Error(`Lambda inválido: ${lambda} (debe ser >= 0)`);
+    }
+    
+    // Calcular alpha y beta según la fórmula PERT (modificada si lambda != 4)
+    const alpha = 1 + lambda * (m - a) / (b - a);
+    const beta = 1 + lambda * (b - m) / (b - a);
     
     return { alpha, beta, isConstant: false };
 }
 
+/**
+ * Acumula en una sola pasada los momentos centrales de una serie
+ * (actualización incremental de Welford/Terriberry, estable numéricamente)
+ * @param {ArrayLike<number>} valores - Valores a acumular
+ * @returns {{n:number, mean:number, m2:number, m3:number, m4:number, min:number, max:number}}
+ *          m2, m3, m4: sumas de (x - media)^2, ^3 y ^4
+ */
+function acumularMomentos(valores) {
+    const n = valores.length;
+    let mean = 0;
+    let m2 = 0;
+    let m3 = 0;
+    let m4 = 0;
+    let min = Infinity;
+    let max = -Infinity;
+    
+    for (let i = 0; i < n; i++) {
+        const x = valores[i];
+        const k = i + 1;
+        const delta = x - mean;
+        const deltaK = delta / k;
+        const deltaK2 = deltaK * deltaK;
+        const termino = delta * deltaK * i;
+        
+        mean += deltaK;
+        m4 += termino * deltaK2 * (k * k - 3 * k + 3) + 6 * deltaK2 * m2 - 4 * deltaK * m3;
+        m3 += termino * deltaK * (k - 2) - 3 * deltaK * m2;
+        m2 += termino;
+        
+        if (x < min) min = x;
+        if (x > max) max = x;
+    }
+    
+    return { n, mean, m2, m3, m4, min, max };
+}
+
 /**
  * Calcula estadísticas descriptivas de un array de resultados
- * @param {number[]} results - Array de resultados numéricos
+ * @param {ArrayLike<number>} results - Resultados numéricos (Array o Float64Array)
  * @returns {Object} Objeto con estadísticas
  */
 function getStatistics(results) {
@@ -143,12 +334,17 @@ function getStatistics(results) {
     }
     
     const n = results.length;
-    const sorted = [...results].sort((a, b) => a - b);
+    
+    // Copia ordenada en un Float64Array (ordena numéricamente sin comparador)
+    const sorted = Float64Array.from(results).sort();
+    
+    // Momentos en una sola pasada (sin reduce ni Math.min(...results),
+    // que desborda la pila con millones de valores)
+    const { mean, m2, m3, m4 } = acumularMomentos(results);
     
     // Estadísticas básicas
     const min = sorted[0];
     const max = sorted[n - 1];
-    const mean = results.reduce((sum, val) => sum + val, 0) / n;
     
     // Mediana
     const median = n % 2 === 0
@@ -157,35 +353,32 @@ function getStatistics(results) {
     
     // Moda (aproximada usando histograma con bins más finos para mejor precisión)
     // Usar bins más pequeños para mejor aproximación de la moda
-    const binSize = (max - min) / Math.min(100, Math.ceil(Math.sqrt(n))); // Bins más finos
-    const histogram = {};
-    results.forEach(val => {
-        const bin = Math.floor((val - min) / binSize);
-        const key = min + bin * binSize;
-        histogram[key] = (histogram[key] || 0) + 1;
-    });
-    let mode = mean; // Default
-    let maxFreq = 0;
-    for (const [key, freq] of Object.entries(histogram)) {
-        if (freq > maxFreq) {
-            maxFreq = freq;
-            mode = parseFloat(key);
+    const numBins = Math.min(100, Math.ceil(Math.sqrt(n))); // Bins más finos
+    const binSize = (max - min) / numBins;
+    let mode = min;
+    if (binSize > 0) {
+        // Un bin extra para el máximo, como el histograma por claves anterior
+        const histogram = new Uint32Array(numBins + 1);
+        for (let i = 0; i < n; i++) {
+            histogram[Math.floor((sorted[i] - min) / binSize)]++;
+        }
+        let maxFreq = 0;
+        for (let bin = 0; bin <= numBins; bin++) {
+            if (histogram[bin] > maxFreq) {
+                maxFreq = histogram[bin];
+                mode = min + bin * binSize;
+            }
         }
     }
     
     // Desviación estándar (usar n-1 para muestra, como @Risk)
-    const variance = n > 1 
-        ? results.reduce((sum, val) => sum + Math.pow(val - mean, 2), 0) / (n - 1)
-        : 0;
+    const variance = n > 1 ? m2 / (n - 1) : 0;
     const sd = Math.sqrt(variance);
     
     // Asimetría (skewness) - fórmula corregida para muestras (como @Risk)
     // Usar: n / ((n-1)(n-2)) * sum(((x - mean) / sd)^3)
     const skewness = n > 2 && sd > 0
-        ? (n / ((n - 1) * (n - 2))) * results.reduce((sum, val) => {
-            const z = (val - mean) / sd;
-            return sum + z * z * z;
-        }, 0)
+        ? (n / ((n - 1) * (n - 2))) * m3 / (sd * sd * sd)
         : 0;
     
     // Curtosis (kurtosis) - @Risk reporta "raw kurtosis" (no excess)
@@ -194,10 +387,8 @@ function getStatistics(results) {
     // kurtosis = (n(n+1) / ((n-1)(n-2)(n-3))) * sum(z^4) - 3(n-1)^2 / ((n-2)(n-3)) + 3
     // Para n grande, esto se aproxima a: sum(z^4) / n
     const kurtosis = n > 3 && sd > 0
-        ? (n * (n + 1) / ((n - 1) * (n - 2) * (n - 3))) * results.reduce((sum, val) => {
-            const z = (val - mean) / sd;
-            return sum + z * z * z * z;
-        }, 0) - (3 * (n - 1) * (n - 1) / ((n - 2) * (n - 3))) + 3
+        ? (n * (n + 1) / ((n - 1) * (n - 2) * (n - 3))) * m4 / (variance * variance)
+            - (3 * (n - 1) * (n - 1) / ((n - 2) * (n - 3))) + 3
         : 0;
     
     // Percentiles con interpolación (método compatible con @Risk)
@@ -241,19 +432,69 @@ function getStatistics(results) {
     };
 }
 
+// Iteraciones por bloque: cada bloque usa su propio flujo de números aleatorios,
+// así el resultado no depende de cómo se repartan los bloques entre workers
+const TAMANO_BLOQUE_SIMULACION = 1000;
+
+// Espacios de flujos aleatorios derivados de la semilla maestra
+const FLUJOS_RNG = {
+    MONTE_CARLO: 1,
+    LATIN_HYPERCUBE: 2,
+    PERMUTACION: 3,
+    SOBOL: 4,
+    CORRELACION: 5
+};
+
+// Valores por defecto del modo "hasta convergencia" (como @Risk: 3% con 95% de confianza)
+const CONVERGENCIA_DEFAULT = {
+    tolerance: 3,
+    confidence: 95,
+    batchSize: 1000,
+    percentiles: [50, 95]
+};
+
 /**
- * Ejecuta una simulación Monte Carlo usando distribución Beta PERT
- * @param {number} iterations - Número de iteraciones
- * @param {Array<{a:number, m:number, b:number, id?:string}>} items - Array de items con valores a, m, b
- * @param {Object} options - Opciones de simulación
- * @param {number} options.seed - Semilla para reproducibilidad (opcional)
- * @param {Function} options.progressCallback - Callback de progreso (opcional)
- * @param {boolean} options.perItemSamples - Si true, almacena muestras por item (opcional)
- * @returns {Promise<{results:number[], perItemSamples?: number[][], stats:object}>}
+ * Deriva la semilla de un flujo independiente a partir de la semilla maestra
+ * (mezcla de murmur3 aplicada a cada índice)
+ * @param {number} semilla - Semilla maestra
+ * @param {...number} indices - Índices que identifican el flujo (espacio, item, bloque...)
+ * @returns {number} Semilla de 32 bits
  */
-async function runMonteCarlo(iterations, items, options = {}) {
-    console.time('mc');
+function derivarSemilla(semilla, ...indices) {
+    let h = semilla >>> 0;
+    
+    for (const indice of indices) {
+        h = (h + Math.imul(indice + 1, 0x9E3779B9)) >>> 0;
+        h ^= h >>> 16;
+        h = Math.imul(h, 0x85EBCA6B);
+        h ^= h >>> 13;
+        h = Math.imul(h, 0xC2B2AE35);
+        h ^= h >>> 16;
+    }
     
+    return h >>> 0;
+}
+
+/**
+ * Crea el generador de un flujo independiente derivado de la semilla maestra
+ * @param {number} semilla - Semilla maestra
+ * @param {string} generador - Uno de GENERADORES_RNG
+ * @param {...number} indices - Índices que identifican el flujo
+ * @returns {Function} Función que devuelve números aleatorios en [0, 1)
+ */
+function crearRNGFlujo(semilla, generador, ...indices) {
+    return createSeededRNG(derivarSemilla(semilla, ...indices), generador);
+}
+
+/**
+ * Valida las entradas de una simulación y prepara lo que comparten todos los
+ * rangos de iteraciones (distribuciones, correlaciones y semilla maestra)
+ * @param {number} iterations - Número de iteraciones
+ * @param {Array<Object>} items - Items de runMonteCarlo
+ * @param {Object} options - Opciones de runMonteCarlo
+ * @returns {Object} Contexto de la simulación
+ */
+function prepararSimulacion(iterations, items, options = {}) {
     // Validaciones iniciales
     if (!Number.isInteger(iterations) || iterations <= 0) {
         throw new Error('El número de iteraciones debe ser un entero positivo');
@@ -263,121 +504,825 @@ async function runMonteCarlo(iterations, items, options = {}) {
         throw new Error('El array de items no puede estar vacío');
     }
     
-    // Validar cada item antes de simular
-    const validatedItems = items.map((item, index) => {
-        const a = parseFloat(item.a);
-        const m = parseFloat(item.m);
-        const b = parseFloat(item.b);
-        
-        if (isNaN(a) || isNaN(m) || isNaN(b)) {
-            throw new Error(`Item ${index + 1} (id: ${item.id || 'sin id'}): valores a, m, b deben ser números válidos`);
-        }
+    // Validar cada item y preparar su distribución antes de simular
+    const preparados = items.map((item, index) => {
+        const id = item.id || `item_${index + 1}`;
+        let dist;
         
-        if (a > m || m > b) {
-            throw new Error(`Item ${index + 1} (id: ${item.id || 'sin id'}): no se cumple a (${a}) <= m (${m}) <= b (${b})`);
+        try {
+            dist = prepararDistribucion(item);
+        } catch (error) {
+            throw new Error(`Item ${index + 1} (id: ${item.id || 'sin id'}): ${error.message}`);
         }
         
-        return { a, m, b, id: item.id || `item_${index + 1}` };
+        return { ...dist, id };
     });
     
-    // Calcular suma de mínimos y máximos para validación posterior
-    const sumaMinimos = validatedItems.reduce((sum, item) => sum + item.a, 0);
-    const sumaMaximos = validatedItems.reduce((sum, item) => sum + item.b, 0);
+    // Análisis de estrés: items forzados a un rango de percentiles o a un valor fijo
+    const validatedItems = aplicarEstres(options.stress, preparados);
     
-    // Calcular parámetros Beta PERT para cada item
-    const parametrosPERT = validatedItems.map(item => {
-        const params = calcularParametrosBetaPERT(item.a, item.m, item.b);
-        return { ...params, a: item.a, b: item.b, id: item.id };
+    // Riesgos del registro (Bernoulli × impacto) en la variante de mitigación pedida
+    const riskMitigation = options.riskMitigation || ESTADOS_MITIGACION.PRE;
+    const riesgos = prepararRiesgos(options.risks, riskMitigation);
+    
+    // Items metrado × precio unitario: cada factor se muestrea por separado
+    const productos = [];
+    validatedItems.forEach((dist, j) => {
+        if (dist.tipo === TIPO_PRODUCTO) productos.push(j);
     });
     
-    // Crear generador de números aleatorios
-    const rng = options.seed !== undefined 
-        ? createSeededRNG(options.seed)
-        : Math.random;
+    // Calcular suma de mínimos y máximos teóricos para validación posterior
+    // (infinitos si algún item no está acotado, p.ej. Normal).
+    // Los rangos de los riesgos son los de su impacto; si no ocurren aportan 0
+    const rangos = validatedItems.concat(riesgos).map(rangoDistribucion);
+    const sumaMinimos = rangos.reduce((sum, r, j) => sum + (j < validatedItems.length ? r.min : Math.min(0, r.min)), 0);
+    const sumaMaximos = rangos.reduce((sum, r, j) => sum + (j < validatedItems.length ? r.max : Math.max(0, r.max)), 0);
+    
+    // Método de muestreo (Monte Carlo simple si no se indica)
+    const samplingMethod = options.samplingMethod || METODOS_MUESTREO.MONTE_CARLO;
+    if (!Object.values(METODOS_MUESTREO).includes(samplingMethod)) {
+        throw new Error(`Método de muestreo no soportado: ${samplingMethod}`);
+    }
+    
+    // Semilla maestra de la que se derivan todos los flujos aleatorios
+    // (aleatoria si no se indica; se registra en el resultado para reproducir la corrida)
+    const seed = options.seed !== undefined && options.seed !== null
+        ? options.seed
+        : Math.floor(Math.random() * DOS_A_LA_32);
+    if (!Number.isInteger(seed) || seed < 0 || seed >= DOS_A_LA_32) {
+        throw new Error('La semilla debe ser un entero entre 0 y 4294967295');
+    }
+    
+    // Generador de números aleatorios (Mersenne Twister por defecto, como @Risk)
+    const generator = options.generator || GENERADOR_RNG_DEFAULT;
+    if (!Object.values(GENERADORES_RNG).includes(generator)) {
+        throw new Error(`Generador de números aleatorios no soportado: ${generator}`);
+    }
+    
+    // Preparar correlaciones (índices de los items correlacionados y matriz objetivo)
+    const correlacion = prepararCorrelacion(options.correlationMatrix, validatedItems);
+    
+    // Modo "hasta convergencia": iterations es el máximo y se simula por lotes
+    const convergencia = prepararConvergencia(options.convergence);
+    
+    // Modo cronograma: los items son actividades y el resultado es la duración del proyecto
+    const cronograma = options.schedule ? prepararCronograma(items, validatedItems) : null;
+    if (!cronograma && items.some(item => item.vinculo)) {
+        throw new Error('Los costos vinculados a una duración necesitan el modo cronograma');
+    }
+    
+    // Items porcentuales (gastos generales, utilidad, IGV...) sobre un subtotal
+    const porcentajes = prepararPorcentajes(items);
+    if (porcentajes && cronograma) {
+        throw new Error('Los items porcentuales no se admiten en modo cronograma');
+    }
+    productos.forEach(j => {
+        if (esItemPorcentual(items[j])) {
+            throw new Error(`Item ${j + 1} (id: ${validatedItems[j].id}): un porcentaje no puede tener metrado y precio unitario`);
+        }
+    });
     
-    // Inicializar arrays de resultados
-    const results = new Array(iterations);
-    const perItemSamples = options.perItemSamples 
-        ? validatedItems.map(() => new Array(iterations))
+    // Factores de riesgo comunes: un multiplicador por iteración para cada grupo de items
+    const impulsores = prepararImpulsores(options.drivers, items);
+    
+    // Sobol usa una dimensión por item, dos por riesgo, una por precio unitario
+    // y una por factor común, hasta las de la tabla de Joe y Kuo
+    const dimensiones = validatedItems.length + 2 * riesgos.length + productos.length + impulsores.length;
+    if (samplingMethod === METODOS_MUESTREO.SOBOL && dimensiones > MAX_DIMENSIONES_SOBOL) {
+        throw new Error(`El muestreo Sobol admite hasta ${MAX_DIMENSIONES_SOBOL} dimensiones y la simulación necesita ${dimensiones}; use Latin Hypercube`);
+    }
+    
+    return {
+        iterations,
+        validatedItems,
+        riesgos,
+        riskMitigation,
+        // Columnas de muestras: una por item y una por riesgo (las que suman el
+        // total), después el metrado y el precio de cada item producto y al
+        // final una por factor común
+        numColumnas: validatedItems.length + riesgos.length + 2 * productos.length + impulsores.length,
+        numColumnasTotal: validatedItems.length + riesgos.length,
+        productos,
+        impulsores,
+        columnaImpulsores: validatedItems.length + riesgos.length + 2 * productos.length,
+        rangos,
+        sumaMinimos,
+        sumaMaximos,
+        samplingMethod,
+        seed,
+        generator,
+        correlacion,
+        convergencia,
+        cronograma,
+        porcentajes,
+        // La ruta crítica necesita las duraciones de cada actividad, los
+        // porcentajes el subtotal de cada iteración, los factores comunes los
+        // items que escalan, y las correlaciones fuera del modo convergencia se
+        // inducen al final
+        requiereMuestrasPorItem: Boolean(cronograma) || Boolean(porcentajes) || impulsores.length > 0 ||
+            Boolean(correlacion && !convergencia),
+        // En modo convergencia cada lote es un Latin Hypercube completo
+        segmentoLatinHypercube: convergencia ? convergencia.tamanoLote : iterations
+    };
+}
+
+/**
+ * Valida las opciones del modo "hasta convergencia"
+ * @param {{tolerance?:number, confidence?:number, batchSize?:number, percentiles?:number[]}|undefined} convergence
+ *        Tolerancia relativa (%), nivel de confianza (%), iteraciones por lote y percentiles a monitorear
+ * @returns {{tolerancia:number, confianza:number, tamanoLote:number, percentiles:number[]}|null}
+ */
+function prepararConvergencia(convergence) {
+    if (!convergence) return null;
+    
+    const opciones = { ...CONVERGENCIA_DEFAULT, ...convergence };
+    
+    if (!(opciones.tolerance > 0)) {
+        throw new Error('Convergencia: la tolerancia debe ser mayor que 0');
+    }
+    if (!(opciones.confidence > 50 && opciones.confidence < 100)) {
+        throw new Error('Convergencia: el nivel de confianza debe estar entre 50 y 100');
+    }
+    if (!Array.isArray(opciones.percentiles) || opciones.percentiles.some(p => !(p > 0 && p < 100))) {
+        throw new Error('Convergencia: los percentiles deben estar entre 0 y 100');
+    }
+    
+    // Lotes de bloques completos para que los flujos aleatorios no dependan del lote
+    const tamanoLote = Math.max(1, Math.ceil(opciones.batchSize / TAMANO_BLOQUE_SIMULACION)) * TAMANO_BLOQUE_SIMULACION;
+    
+    return {
+        tolerancia: opciones.tolerance,
+        confianza: opciones.confidence,
+        tamanoLote,
+        percentiles: opciones.percentiles.slice()
+    };
+}
+
+/**
+ * Simula las iteraciones [inicio, fin) de una simulación preparada. Cada bloque
+ * de TAMANO_BLOQUE_SIMULACION iteraciones usa flujos derivados de la semilla,
+ * por lo que cualquier partición en rangos da exactamente las mismas muestras
+ * @param {Object} contexto - Resultado de prepararSimulacion
+ * @param {number} inicio - Primera iteración (múltiplo de TAMANO_BLOQUE_SIMULACION)
+ * @param {number} fin - Iteración final (exclusiva)
+ * @param {boolean} guardarPorItem - Si true, devuelve las muestras de cada item y de cada riesgo
+ * @param {Function} onProgress - Callback con el número de iteraciones completadas del rango (opcional)
+ * @returns {{results: Float64Array, perItemSamples?: Float64Array[]}} perItemSamples: items y luego riesgos
+ */
+function simularRango(contexto, inicio, fin, guardarPorItem, onProgress) {
+    const { iterations, validatedItems, riesgos, numColumnas, numColumnasTotal, productos, impulsores, columnaImpulsores, rangos, samplingMethod, seed, generator } = contexto;
+    const longitud = fin - inicio;
+    const numItems = validatedItems.length;
+    const numRiesgos = riesgos.length;
+    const numImpulsores = impulsores.length;
+    
+    const results = new Float64Array(longitud);
+    const perItemSamples = guardarPorItem
+        ? Array.from({ length: numColumnas }, () => new Float64Array(longitud))
         : undefined;
     
-    // Configurar callback de progreso
-    const progressCallback = options.progressCallback;
-    const progressInterval = iterations > 2000 ? Math.max(100, Math.floor(iterations / 100)) : iterations;
-    let lastProgressUpdate = 0;
+    // Factores de los items metrado × precio: cada producto guarda sus dos
+    // muestras en columnas propias, después de las de los items y los riesgos
+    const productoDeItem = new Map(productos.map((j, c) => [j, c]));
+    const guardarFactores = (c, k, cantidad, precio) => {
+        if (perItemSamples) {
+            perItemSamples[numColumnasTotal + 2 * c][k] = cantidad;
+            perItemSamples[numColumnasTotal + 2 * c + 1][k] = precio;
+        }
+    };
     
-    // Ejecutar simulaciones
-    for (let i = 0; i < iterations; i++) {
-        let total = 0;
+    // Informar el progreso cada ~1% del rango
+    const progressInterval = Math.max(1, Math.floor(longitud / 100));
+    let ultimoProgreso = 0;
+    const informarProgreso = (completadas) => {
+        if (onProgress && (completadas - ultimoProgreso >= progressInterval || completadas === longitud)) {
+            onProgress(completadas);
+            ultimoProgreso = completadas;
+        }
+    };
+    
+    // Validar que la muestra esté en el rango [a, b] de distribuciones acotadas
+    // (con pequeña tolerancia numérica)
+    const ajustarAlRango = (sample, i, j) => {
+        const rango = rangos[j];
+        if (sample < rango.min - 1e-10 || sample > rango.max + 1e-10) {
+            console.warn(`Muestra fuera de rango en iteración ${i}, item ${j}: ${sample} (rango: [${rango.min}, ${rango.max}])`);
+            return Math.max(rango.min, Math.min(rango.max, sample)); // Clamp
+        }
+        return sample;
+    };
+    
+    if (samplingMethod === METODOS_MUESTREO.MONTE_CARLO) {
+        let rng = null;
         
-        // Para cada item, generar una muestra
-        for (let j = 0; j < validatedItems.length; j++) {
-            const param = parametrosPERT[j];
-            let sample;
+        for (let i = inicio; i < fin; i++) {
+            // Cada bloque tiene su propio generador
+            if (rng === null || i % TAMANO_BLOQUE_SIMULACION === 0) {
+                rng = crearRNGFlujo(seed, generator, FLUJOS_RNG.MONTE_CARLO, Math.floor(i / TAMANO_BLOQUE_SIMULACION));
+            }
+            
+            let total = 0;
+            
+            // Para cada item, generar una muestra según su distribución
+            for (let j = 0; j < numItems; j++) {
+                const dist = validatedItems[j];
+                let sample;
+                if (dist.tipo === TIPO_PRODUCTO) {
+                    const cantidad = muestrearDistribucion(dist.cantidad, rng);
+                    const precio = muestrearDistribucion(dist.precio, rng);
+                    guardarFactores(productoDeItem.get(j), i - inicio, cantidad, precio);
+                    sample = ajustarAlRango(cantidad * precio, i, j);
+                } else {
+                    sample = ajustarAlRango(muestrearDistribucion(dist, rng), i, j);
+                }
+                
+                total += sample;
+                
+                // Almacenar muestra por item si está habilitado
+                if (perItemSamples) {
+                    perItemSamples[j][i - inicio] = sample;
+                }
+            }
             
-            if (param.isConstant) {
-                // Si es constante, usar el valor constante
-                sample = param.constantValue;
-            } else {
-                // Generar muestra usando Beta PERT
-                const u = betaRandom(param.alpha, param.beta, rng);
-                sample = param.a + (param.b - param.a) * u;
+            // Riesgos: el impacto se muestrea siempre para que el flujo no
+            // dependa de si el riesgo ocurre
+            for (let r = 0; r < numRiesgos; r++) {
+                const riesgo = riesgos[r];
+                const ocurre = rng() < riesgo.probabilidad;
+                const impacto = ajustarAlRango(muestrearDistribucion(riesgo, rng), i, numItems + r);
+                const sample = ocurre ? impacto : 0;
+                
+                total += sample;
                 
-                // Validar que la muestra esté en el rango [a, b]
-                // (con pequeña tolerancia numérica)
-                if (sample < param.a - 1e-10 || sample > param.b + 1e-10) {
-                    console.warn(`Muestra fuera de rango en iteración ${i}, item ${j}: ${sample} (rango: [${param.a}, ${param.b}])`);
-                    sample = Math.max(param.a, Math.min(param.b, sample)); // Clamp
+                if (perItemSamples) {
+                    perItemSamples[numItems + r][i - inicio] = sample;
                 }
             }
             
-            total += sample;
+            // Factores comunes: una muestra por iteración, que se aplica a sus
+            // items después de reunir el rango (siempre hay muestras por item)
+            for (let d = 0; d < numImpulsores; d++) {
+                perItemSamples[columnaImpulsores + d][i - inicio] = muestrearDistribucion(impulsores[d], rng);
+            }
+            
+            results[i - inicio] = total;
+            informarProgreso(i - inicio + 1);
+        }
+    } else {
+        // Latin Hypercube / Sobol: una columna de uniformes por item,
+        // transformada con la inversa de su distribución. El precio de un item
+        // producto usa una dimensión propia, después de las de los riesgos
+        for (let j = 0; j < numItems; j++) {
+            const dist = validatedItems[j];
+            const uniformes = generarUniformesRango(samplingMethod, iterations, inicio, fin, j, seed, generator, contexto.segmentoLatinHypercube);
+            const c = productoDeItem.get(j);
+            const uniformesPrecio = c !== undefined
+                ? generarUniformesRango(samplingMethod, iterations, inicio, fin, numItems + 2 * numRiesgos + c, seed, generator, contexto.segmentoLatinHypercube)
+                : null;
             
-            // Almacenar muestra por item si está habilitado
-            if (perItemSamples) {
-                perItemSamples[j][i] = sample;
+            for (let k = 0; k < longitud; k++) {
+                let sample;
+                if (uniformesPrecio) {
+                    const cantidad = cuantilDistribucion(dist.cantidad, uniformes[k]);
+                    const precio = cuantilDistribucion(dist.precio, uniformesPrecio[k]);
+                    guardarFactores(c, k, cantidad, precio);
+                    sample = ajustarAlRango(cantidad * precio, inicio + k, j);
+                } else {
+                    sample = ajustarAlRango(cuantilDistribucion(dist, uniformes[k]), inicio + k, j);
+                }
+                
+                results[k] += sample;
+                
+                if (perItemSamples) {
+                    perItemSamples[j][k] = sample;
+                }
             }
+            
+            informarProgreso(Math.round(((j + 1) / numColumnasTotal) * longitud));
         }
         
-        results[i] = total;
+        // Riesgos: dos dimensiones cada uno, después de las de los items
+        // (uniforme de ocurrencia y uniforme del impacto)
+        for (let r = 0; r < numRiesgos; r++) {
+            const riesgo = riesgos[r];
+            const dimension = numItems + 2 * r;
+            const ocurrencia = generarUniformesRango(samplingMethod, iterations, inicio, fin, dimension, seed, generator, contexto.segmentoLatinHypercube);
+            const uniformes = generarUniformesRango(samplingMethod, iterations, inicio, fin, dimension + 1, seed, generator, contexto.segmentoLatinHypercube);
+            
+            for (let k = 0; k < longitud; k++) {
+                const sample = ocurrencia[k] < riesgo.probabilidad
+                    ? ajustarAlRango(cuantilDistribucion(riesgo, uniformes[k]), inicio + k, numItems + r)
+                    : 0;
+                
+                results[k] += sample;
+                
+                if (perItemSamples) {
+                    perItemSamples[numItems + r][k] = sample;
+                }
+            }
+            
+            informarProgreso(Math.round(((numItems + r + 1) / numColumnasTotal) * longitud));
+        }
         
-        // Actualizar progreso
-        if (progressCallback && (i - lastProgressUpdate >= progressInterval || i === iterations - 1)) {
-            const progress = ((i + 1) / iterations) * 100;
-            progressCallback(progress, i + 1, iterations);
-            lastProgressUpdate = i;
+        // Factores comunes: una dimensión cada uno, después de los precios de los productos
+        for (let d = 0; d < numImpulsores; d++) {
+            const dimension = numItems + 2 * numRiesgos + productos.length + d;
+            const uniformes = generarUniformesRango(samplingMethod, iterations, inicio, fin, dimension, seed, generator, contexto.segmentoLatinHypercube);
+            const columna = perItemSamples[columnaImpulsores + d];
+            
+            for (let k = 0; k < longitud; k++) {
+                columna[k] = cuantilDistribucion(impulsores[d], uniformes[k]);
+            }
+        }
+    }
+    
+    return perItemSamples ? { results, perItemSamples } : { results };
+}
+
+/**
+ * Simula un lote del modo "hasta convergencia". Las correlaciones se inducen
+ * dentro de cada lote para que las estadísticas monitoreadas ya las reflejen
+ * @param {Object} contexto - Resultado de prepararSimulacion (con convergencia)
+ * @param {number} lote - Índice del lote (0, 1, 2, ...)
+ * @param {boolean} guardarPorItem - Si true, devuelve las muestras de cada item
+ * @returns {{results: Float64Array, perItemSamples?: Float64Array[]}}
+ */
+function simularLote(contexto, lote, guardarPorItem) {
+    const { tamanoLote } = contexto.convergencia;
+    const inicio = lote * tamanoLote;
+    const fin = Math.min(contexto.iterations, inicio + tamanoLote);
+    const { correlacion, cronograma, porcentajes, impulsores } = contexto;
+    
+    const parcial = simularRango(contexto, inicio, fin, guardarPorItem || contexto.requiereMuestrasPorItem || Boolean(correlacion));
+    
+    if (correlacion) {
+        const rng = crearRNGFlujo(contexto.seed, contexto.generator, FLUJOS_RNG.CORRELACION, lote);
+        aplicarImanConover(correlacion.indices.map(j => parcial.perItemSamples[j]), correlacion.matrix, rng,
+            correlacion.indices.map(j => columnasFactores(contexto, parcial.perItemSamples, j)));
+    }
+    
+    if (impulsores.length > 0) {
+        aplicarImpulsores(impulsores, parcial.perItemSamples, contexto.columnaImpulsores);
+    }
+    
+    if (porcentajes) {
+        aplicarPorcentajes(porcentajes, parcial.perItemSamples);
+    }
+    
+    if (cronograma) {
+        aplicarCronograma(contexto, parcial.results, parcial.perItemSamples);
+    } else if (correlacion || porcentajes || impulsores.length > 0) {
+        recalcularTotales(parcial.results, parcial.perItemSamples, contexto.numColumnasTotal);
+    }
+    
+    return guardarPorItem ? parcial : { results: parcial.results };
+}
+
+/**
+ * Recalcula el total de cada iteración como la suma de sus columnas
+ * (después de reordenar muestras o de convertir porcentajes en montos)
+ * @param {Float64Array} results - Totales de las iteraciones (se sobrescriben)
+ * @param {Float64Array[]} perItemSamples - Muestras por item y por riesgo
+ * @param {number} numColumnasTotal - Columnas que suman el total (items y riesgos, sin los factores)
+ */
+function recalcularTotales(results, perItemSamples, numColumnasTotal) {
+    for (let i = 0; i < results.length; i++) {
+        let total = 0;
+        for (let j = 0; j < numColumnasTotal; j++) {
+            total += perItemSamples[j][i];
+        }
+        results[i] = total;
+    }
+}
+
+/**
+ * Columnas de metrado y precio de un item producto, para que sigan emparejadas
+ * con él cuando se reordenan sus muestras
+ * @param {Object} contexto - Resultado de prepararSimulacion
+ * @param {Float64Array[]} perItemSamples - Todas las columnas de muestras
+ * @param {number} j - Índice del item
+ * @returns {Float64Array[]} [metrado, precio], o vacío si el item no es un producto
+ */
+function columnasFactores(contexto, perItemSamples, j) {
+    const c = contexto.productos.indexOf(j);
+    if (c === -1) return [];
+    
+    const columna = contexto.numColumnasTotal + 2 * c;
+    return [perItemSamples[columna], perItemSamples[columna + 1]];
+}
+
+/**
+ * Reemplaza los totales por la duración del proyecto de cada iteración (ruta
+ * crítica con las duraciones simuladas). Los riesgos del registro se suman
+ * como retrasos al final del proyecto
+ * @param {Object} contexto - Resultado de prepararSimulacion (con cronograma)
+ * @param {Float64Array} results - Totales de las iteraciones (se sobrescriben)
+ * @param {Float64Array[]} perItemSamples - Muestras por actividad y por riesgo
+ * @returns {Object} Resultado de simularCronograma
+ */
+function aplicarCronograma(contexto, results, perItemSamples) {
+    const numActividades = contexto.validatedItems.length;
+    const acumulado = simularCronograma(contexto.cronograma, perItemSamples, results);
+    
+    for (let j = numActividades; j < contexto.numColumnasTotal; j++) {
+        const columna = perItemSamples[j];
+        for (let i = 0; i < results.length; i++) {
+            results[i] += columna[i];
         }
     }
     
+    return acumulado;
+}
+
+/**
+ * Evalúa la convergencia con las primeras n iteraciones: la media, la
+ * desviación estándar y los percentiles monitoreados convergen cuando la
+ * semiamplitud de su intervalo de confianza es menor que la tolerancia
+ * relativa a su valor
+ * @param {ArrayLike<number>} results - Totales simulados (al menos n)
+ * @param {number} n - Iteraciones acumuladas
+ * @param {Object} convergencia - Resultado de prepararConvergencia
+ * @returns {{iterations:number, mean:number, sd:number, percentiles:Object, errors:Object, converged:boolean}}
+ *          errors: error relativo (%) de cada estadística
+ */
+function evaluarConvergencia(results, n, convergencia) {
+    const ordenados = Float64Array.prototype.slice.call(results, 0, n).sort();
+    const z = normalInv(0.5 + convergencia.confianza / 200);
+    
+    let suma = 0;
+    for (let i = 0; i < n; i++) suma += ordenados[i];
+    const mean = suma / n;
+    
+    let sumaCuadrados = 0;
+    let sumaCuartas = 0;
+    for (let i = 0; i < n; i++) {
+        const d2 = (ordenados[i] - mean) * (ordenados[i] - mean);
+        sumaCuadrados += d2;
+        sumaCuartas += d2 * d2;
+    }
+    const sd = n > 1 ? Math.sqrt(sumaCuadrados / (n - 1)) : 0;
+    
+    // Curtosis (no excedente) para el error estándar de la desviación: sd·√((κ-1)/(4n))
+    const curtosis = sumaCuadrados > 0 ? (n * sumaCuartas) / (sumaCuadrados * sumaCuadrados) : 3;
+    
+    // Error relativo en %: semiamplitud del intervalo entre el valor
+    const errorRelativo = (semiamplitud, valor) => {
+        if (semiamplitud === 0) return 0;
+        if (valor === 0) return Infinity;
+        return (semiamplitud / Math.abs(valor)) * 100;
+    };
+    
+    const errors = {
+        mean: errorRelativo(n > 1 ? z * sd / Math.sqrt(n) : Infinity, mean),
+        sd: sd === 0 ? 0 : (n > 1 ? z * Math.sqrt(Math.max(curtosis - 1, 0) / (4 * n)) * 100 : Infinity)
+    };
+    
+    // Intervalo de un percentil por estadísticos de orden (aproximación binomial)
+    const percentiles = {};
+    convergencia.percentiles.forEach(p => {
+        const q = p / 100;
+        const indice = q * (n - 1);
+        const margen = z * Math.sqrt(n * q * (1 - q));
+        const limiteInferior = ordenados[Math.max(0, Math.floor(indice - margen))];
+        const limiteSuperior = ordenados[Math.min(n - 1, Math.ceil(indice + margen))];
+        
+        // Percentil con interpolación lineal (igual que getStatistics)
+        const bajo = ordenados[Math.floor(indice)];
+        const alto = ordenados[Math.ceil(indice)];
+        percentiles[p] = bajo + (alto - bajo) * (indice - Math.floor(indice));
+        errors[`p${p}`] = errorRelativo((limiteSuperior - limiteInferior) / 2, percentiles[p]);
+    });
+    
+    const converged = Object.values(errors).every(error => error <= convergencia.tolerancia);
+    
+    return { iterations: n, mean, sd, percentiles, errors, converged };
+}
+
+/**
+ * Resume el historial de convergencia para el resultado de la simulación
+ * @param {Array<Object>} historial - Evaluaciones de evaluarConvergencia, una por lote
+ * @param {Object} convergencia - Resultado de prepararConvergencia
+ * @returns {{converged:boolean, tolerance:number, confidence:number, batchSize:number, percentiles:number[], history:Array<Object>}}
+ */
+function resumirConvergencia(historial, convergencia) {
+    const ultimo = historial[historial.length - 1];
+    
+    return {
+        converged: Boolean(ultimo && ultimo.converged),
+        tolerance: convergencia.tolerancia,
+        confidence: convergencia.confianza,
+        batchSize: convergencia.tamanoLote,
+        percentiles: convergencia.percentiles.slice(),
+        history: historial
+    };
+}
+
+/**
+ * Completa una simulación con todos sus rangos reunidos: induce las
+ * correlaciones, valida los totales y calcula las estadísticas
+ * @param {Object} contexto - Resultado de prepararSimulacion
+ * @param {Float64Array} results - Totales de todas las iteraciones
+ * @param {Float64Array[]} perItemSamples - Muestras por item y por riesgo (necesarias si hay correlaciones, cronograma o porcentajes)
+ * @param {boolean} devolverPorItem - Si true, incluye perItemSamples y riskSamples en el resultado
+ * @returns {{results:Float64Array, perItemSamples?: Float64Array[], riskSamples?: Float64Array[], stats:object,
+ *          samplingMethod:string, generator:string, seed:number, riskCount?:number, riskMitigation?:string,
+ *          schedule?:Object, costResults?:Float64Array, costStats?:object, markups?:Object}} schedule según
+ *          resumirCronograma; costResults y costStats con los items de costo del modo cronograma;
+ *          markups: {directCost: stats, items: [{id, stats}]} con los montos de los items porcentuales;
+ *          con devolverPorItem, factorSamples tiene el metrado y el precio (en ese orden) de cada item
+ *          producto de factorItems, y driverSamples el multiplicador de cada factor común (driverItems:
+ *          índices de los items que escala cada uno)
+ */
+function finalizarSimulacion(contexto, results, perItemSamples, devolverPorItem) {
+    const { validatedItems, riesgos, riskMitigation, sumaMinimos, sumaMaximos, samplingMethod, seed, generator, correlacion, convergencia, cronograma, porcentajes, impulsores } = contexto;
+    
+    // En modo convergencia puede haber menos iteraciones que el máximo
+    const iterations = results.length;
+    
+    // Inducir correlaciones de rango (en modo convergencia ya se indujeron en cada lote)
+    if (correlacion && !convergencia) {
+        const rng = crearRNGFlujo(seed, generator, FLUJOS_RNG.CORRELACION);
+        const columnas = correlacion.indices.map(j => perItemSamples[j]);
+        aplicarImanConover(columnas, correlacion.matrix, rng,
+            correlacion.indices.map(j => columnasFactores(contexto, perItemSamples, j)));
+    }
+    
+    // Factores comunes y porcentajes sobre el subtotal de cada iteración (en
+    // modo convergencia ya se aplicaron en cada lote)
+    if (impulsores.length > 0 && !convergencia) {
+        aplicarImpulsores(impulsores, perItemSamples, contexto.columnaImpulsores);
+    }
+    if (porcentajes && !convergencia) {
+        aplicarPorcentajes(porcentajes, perItemSamples);
+    }
+    
+    // En modo cronograma el resultado es la duración del proyecto (se recalcula
+    // también en modo convergencia para acumular la criticidad de todas las iteraciones)
+    let acumuladoCronograma = null;
+    if (cronograma) {
+        acumuladoCronograma = aplicarCronograma(contexto, results, perItemSamples);
+    } else if ((correlacion || porcentajes || impulsores.length > 0) && !convergencia) {
+        recalcularTotales(results, perItemSamples, contexto.numColumnasTotal);
+    }
+    
     // Validar resultados
-    const minResult = Math.min(...results);
-    const maxResult = Math.max(...results);
+    let minResult = Infinity;
+    let maxResult = -Infinity;
+    let hasNaN = false;
+    for (let i = 0; i < iterations; i++) {
+        const val = results[i];
+        if (isNaN(val)) hasNaN = true;
+        if (val < minResult) minResult = val;
+        if (val > maxResult) maxResult = val;
+    }
     
-    if (minResult < sumaMinimos - 1e-10 || maxResult > sumaMaximos + 1e-10) {
+    // (la duración de una red con actividades en paralelo no se acota con las
+    // sumas, los rangos de los items porcentuales son porcentajes y los
+    // factores comunes escalan los rangos de sus items)
+    if (!cronograma && !porcentajes && impulsores.length === 0 && (minResult < sumaMinimos - 1e-10 || maxResult > sumaMaximos + 1e-10)) {
         console.warn(`Advertencia: resultados fuera del rango esperado. Min: ${minResult} (esperado >= ${sumaMinimos}), Max: ${maxResult} (esperado <= ${sumaMaximos})`);
     }
     
     // Verificar NaN
-    const hasNaN = results.some(val => isNaN(val));
     if (hasNaN) {
         throw new Error('Se generaron valores NaN en los resultados. Revisar parámetros de entrada.');
     }
     
-    // Calcular estadísticas
+    // Calcular estadísticas (los resultados se quedan en Float64Array, sin copiarlos a un Array)
     const stats = getStatistics(results);
     
-    console.timeEnd('mc');
-    
     // Preparar resultado
+    // Generador y semilla permiten reproducir exactamente la corrida
     const resultado = {
         results,
-        stats
+        stats,
+        samplingMethod,
+        generator,
+        seed
     };
     
-    if (perItemSamples) {
-        resultado.perItemSamples = perItemSamples;
+    if (perItemSamples && devolverPorItem) {
+        resultado.perItemSamples = perItemSamples.slice(0, validatedItems.length);
+        if (riesgos.length > 0) {
+            resultado.riskSamples = perItemSamples.slice(validatedItems.length, contexto.numColumnasTotal);
+        }
+        if (contexto.productos.length > 0) {
+            resultado.factorItems = contexto.productos.slice();
+            resultado.factorSamples = perItemSamples.slice(contexto.numColumnasTotal, contexto.columnaImpulsores);
+        }
+        if (impulsores.length > 0) {
+            resultado.driverItems = impulsores.map(impulsor => impulsor.indices.slice());
+            resultado.driverSamples = perItemSamples.slice(contexto.columnaImpulsores);
+        }
+    }
+    
+    if (riesgos.length > 0) {
+        resultado.riskCount = riesgos.length;
+        resultado.riskMitigation = riskMitigation;
+    }
+    
+    if (correlacion) {
+        resultado.correlatedItems = correlacion.indices.length;
+    }
+    
+    // Costo directo y monto de cada item porcentual, por separado
+    if (porcentajes) {
+        resultado.markups = {
+            directCost: getStatistics(sumarCostoDirecto(porcentajes, perItemSamples)),
+            items: porcentajes.orden.map(j => ({
+                id: validatedItems[j].id,
+                stats: getStatistics(perItemSamples[j])
+            }))
+        };
+    }
+    
+    if (cronograma) {
+        resultado.schedule = resumirCronograma(cronograma, acumuladoCronograma, iterations);
+        
+        // Modelo integrado: costo de cada iteración con las duraciones de esa misma iteración
+        const costResults = simularCostos(cronograma, perItemSamples, results);
+        if (costResults) {
+            resultado.costResults = costResults;
+            resultado.costStats = getStatistics(costResults);
+        }
     }
     
     return resultado;
 }
 
+/**
+ * Simula lote a lote hasta que las estadísticas monitoreadas convergen o se
+ * alcanza el máximo de iteraciones del contexto
+ * @param {Object} contexto - Resultado de prepararSimulacion (con convergencia)
+ * @param {boolean} devolverPorItem - Si true, incluye perItemSamples en el resultado
+ * @param {Function} onProgress - Callback con las iteraciones completadas (opcional)
+ * @returns {Object} Resultado de finalizarSimulacion con la propiedad convergence
+ */
+function simularHastaConvergencia(contexto, devolverPorItem, onProgress) {
+    const { iterations, numColumnas, convergencia } = contexto;
+    const numLotes = Math.ceil(iterations / convergencia.tamanoLote);
+    
+    const results = new Float64Array(iterations);
+    const guardarPorItem = devolverPorItem || contexto.requiereMuestrasPorItem;
+    const perItemSamples = guardarPorItem
+        ? Array.from({ length: numColumnas }, () => new Float64Array(iterations))
+        : undefined;
+    const historial = [];
+    let n = 0;
+    
+    for (let lote = 0; lote < numLotes; lote++) {
+        const parcial = simularLote(contexto, lote, guardarPorItem);
+        
+        results.set(parcial.results, n);
+        if (perItemSamples) {
+            parcial.perItemSamples.forEach((columna, j) => perItemSamples[j].set(columna, n));
+        }
+        n += parcial.results.length;
+        
+        const estado = evaluarConvergencia(results, n, convergencia);
+        historial.push(estado);
+        
+        if (onProgress) onProgress(n);
+        if (estado.converged) break;
+    }
+    
+    const resultado = finalizarSimulacion(
+        contexto,
+        results.slice(0, n),
+        perItemSamples ? perItemSamples.map(columna => columna.slice(0, n)) : undefined,
+        devolverPorItem
+    );
+    resultado.convergence = resumirConvergencia(historial, convergencia);
+    
+    return resultado;
+}
+
+/**
+ * Estima la memoria que ocupan los arrays de una simulación, para avisar antes
+ * de correr simulaciones que no caben en la pestaña del navegador
+ * @param {number} iterations - Número de iteraciones
+ * @param {number} numItems - Número de items (más los riesgos del registro)
+ * @param {boolean} guardarPorItem - Si se guardan las muestras de cada item
+ * @returns {number} Bytes aproximados
+ */
+function estimarMemoriaSimulacion(iterations, numItems, guardarPorItem) {
+    // Totales, su copia ordenada para estadísticas y otra para los percentiles
+    // del histograma, más un margen para los rangos en tránsito desde los workers
+    let columnas = 4;
+    
+    // Las muestras por item existen dos veces mientras se reúnen los rangos
+    // (en los workers y en el array completo)
+    if (guardarPorItem) {
+        columnas += 2 * numItems;
+    }
+    
+    return iterations * columnas * Float64Array.BYTES_PER_ELEMENT;
+}
+
+/**
+ * Ejecuta una simulación Monte Carlo con la distribución de cada item (Beta PERT por defecto)
+ * @param {number} iterations - Número de iteraciones
+ * @param {Array<{a:number, m:number, b:number, id?:string, distribucion?:string}>} items - Array de items
+ *        con valores a, m, b y, según el tipo, media, desviacion, valores, probabilidades. Un item con
+ *        cantidad {a, m, b} y precio {a, m, b} es el producto de su metrado y su precio unitario, cada
+ *        factor con la distribución del item. Un item PERT o Triangular con percentiles [{percentil, valor}, ...]
+ *        (dos, p.ej. P10 y P90) reemplaza a y b por los extremos ajustados a esos percentiles
+ * @param {Object} options - Opciones de simulación
+ * @param {number} options.seed - Semilla para reproducibilidad, entero de 32 bits (opcional, aleatoria por defecto)
+ * @param {string} options.generator - Uno de GENERADORES_RNG (opcional, Mersenne Twister por defecto)
+ * @param {Function} options.progressCallback - Callback de progreso (opcional)
+ * @param {boolean} options.perItemSamples - Si true, almacena muestras por item (opcional)
+ * @param {{ids:string[], matrix:number[][]}} options.correlationMatrix - Correlaciones de rango entre items (opcional)
+ * @param {string} options.samplingMethod - Uno de METODOS_MUESTREO (opcional, Monte Carlo por defecto)
+ * @param {Object} options.convergence - Simular hasta convergencia, con iterations como máximo (opcional,
+ *        ver CONVERGENCIA_DEFAULT)
+ * @param {Array<Object>} options.risks - Riesgos discretos {id, descripcion, probability, a, m, b, distribucion,
+ *        mitigated?: {probability, a, m, b}}; cada uno suma Bernoulli(probability) × impacto (opcional)
+ * @param {string} options.riskMitigation - Uno de ESTADOS_MITIGACION (opcional, antes de mitigación por defecto)
+ * @param {boolean} options.schedule - Si true, los items son actividades con predecesoras [{id, tipo, desfase}]
+ *        y el resultado es la duración del proyecto por ruta crítica. Los items con tipoItem 'costo' o con
+ *        vinculo (código de actividad o 'PROYECTO', su valor es una tasa por unidad de tiempo) forman el
+ *        costo de cada iteración en costResults (opcional)
+ *        Los items con porcentajeSobre (base: 'CD', códigos de items o de capítulos unidos por '+') son
+ *        porcentajes (10 = 10%) que se aplican en cada iteración al subtotal simulado de su base; su
+ *        monto queda en perItemSamples y el desglose en markups
+ * @param {Array<Object>} options.drivers - Factores de riesgo comunes {id, descripcion, a, m, b, distribucion,
+ *        appliesTo}: multiplicadores que se muestrean una vez por iteración y escalan los items de appliesTo
+ *        (códigos de items o de capítulos, o categorías de la columna categoria de los items) (opcional)
+ * @param {Array<Object>} options.stress - Análisis de estrés {id, from, to} o {id, value}: el item solo toma
+ *        valores entre sus percentiles from y to (0-100) o queda fijo en value (opcional)
+ * @returns {Promise<{results:Float64Array, perItemSamples?: Float64Array[], riskSamples?: Float64Array[],
+ *          factorItems?: number[], factorSamples?: Float64Array[], driverItems?: number[][],
+ *          driverSamples?: Float64Array[], stats:object, samplingMethod:string,
+ *          generator:string, seed:number}>}
+ */
+async function runMonteCarlo(iterations, items, options = {}) {
+    console.time('mc');
+    
+    const contexto = prepararSimulacion(iterations, items, options);
+    const devolverPorItem = Boolean(options.perItemSamples);
+    
+    const progressCallback = options.progressCallback;
+    const onProgress = progressCallback
+        ? (completadas) => progressCallback((completadas / iterations) * 100, completadas, iterations)
+        : undefined;
+    
+    let resultado;
+    if (contexto.convergencia) {
+        resultado = simularHastaConvergencia(contexto, devolverPorItem, onProgress);
+    } else {
+        // Con correlaciones se necesitan las muestras por item para reordenarlas,
+        // y en modo cronograma para calcular la ruta crítica
+        const guardarPorItem = devolverPorItem || contexto.requiereMuestrasPorItem;
+        const parcial = simularRango(contexto, 0, iterations, guardarPorItem, onProgress);
+        resultado = finalizarSimulacion(contexto, parcial.results, parcial.perItemSamples, devolverPorItem);
+    }
+    
+    console.timeEnd('mc');
+    
+    return resultado;
+}
+
+/**
+ * Valida la matriz de correlación de las opciones y la asocia a los items
+ * @param {{ids:string[], matrix:number[][]}|undefined} correlationMatrix - Matriz por id de item
+ * @param {Array<{id:string}>} validatedItems - Items validados de la simulación
+ * @returns {{indices:number[], matrix:number[][]}|null} null si no hay correlaciones que aplicar
+ */
+function prepararCorrelacion(correlationMatrix, validatedItems) {
+    if (!correlationMatrix || !correlationMatrix.ids || correlationMatrix.ids.length < 2) {
+        return null;
+    }
+    
+    const { ids, matrix } = correlationMatrix;
+    
+    const indices = ids.map(id => {
+        const index = validatedItems.findIndex(item => String(item.id).trim() === String(id).trim());
+        if (index === -1) {
+            throw new Error(`Correlación: el item "${id}" no existe en los datos`);
+        }
+        return index;
+    });
+    
+    if (new Set(indices).size !== indices.length) {
+        throw new Error('Correlación: hay items repetidos en la matriz');
+    }
+    
+    const errores = validarMatrizCorrelacion(matrix);
+    if (errores.length > 0) {
+        throw new Error(`Correlación: ${errores[0]}`);
+    }
+    
+    // Sin correlaciones distintas de cero no hay nada que inducir
+    const hayCorrelacion = matrix.some((fila, i) => fila.some((valor, j) => i !== j && valor !== 0));
+    if (!hayCorrelacion) {
+        return null;
+    }
+    
+    if (!esDefinidaPositiva(matrix)) {
+        throw new Error('Correlación: la matriz no es definida positiva. Use "Reparar matriz" antes de simular');
+    }
+    
+    return { indices, matrix };
+}
+
@@ -0,0 +1,82 @@
+// SIM-RISK Web - Módulo 7: Worker de Simulación
+// Ejecuta el motor fuera del hilo principal para que la página no se congele.
+// Varios workers simulan rangos de iteraciones en paralelo; uno de ellos reúne
+// los rangos y calcula correlaciones y estadísticas.
+//
+// Mensajes recibidos (todos con simulacionId, iterations, items y options):
+//                      { type: 'simulate-range', inicio, fin, guardarPorItem }
+//                      { type: 'simulate-batch', lote, guardarPorItem }
+//                      { type: 'finalize', results, perItemSamples }
+// Mensajes enviados:   { type: 'progress', completadas }
+//                      { type: 'range', results, perItemSamples }
+//                      { type: 'batch', lote, results, perItemSamples }
+//                      { type: 'result', resultado }
+//                      { type: 'error', message }
+// La cancelación se hace desde la página terminando los workers.
+
+importScripts('script.js', 'distributions.js', 'correlation.js', 'sampling.js', 'risks.js', 'schedule.js', 'wbs.js', 'percentages.js', 'drivers.js', 'fitting.js', 'stress.js');
+
+/**
+ * Envía resultados transfiriendo sus buffers en lugar de copiarlos
+ * (un mensaje 'result' lleva los arrays dentro de resultado)
+ * @param {{results?: Float64Array, perItemSamples?: Float64Array[], resultado?: Object}} mensaje
+ *        (perItemSamples de los rangos incluye las columnas de los riesgos)
+ */
+function enviarTransfiriendo(mensaje) {
+    const contenido = mensaje.resultado || mensaje;
+    const transferibles = [contenido.results.buffer];
+    if (contenido.perItemSamples) {
+        contenido.perItemSamples.forEach(columna => transferibles.push(columna.buffer));
+    }
+    if (contenido.riskSamples) {
+        contenido.riskSamples.forEach(columna => transferibles.push(columna.buffer));
+    }
+    if (contenido.factorSamples) {
+        contenido.factorSamples.forEach(columna => transferibles.push(columna.buffer));
+    }
+    if (contenido.driverSamples) {
+        contenido.driverSamples.forEach(columna => transferibles.push(columna.buffer));
+    }
+    if (contenido.costResults) {
+        transferibles.push(contenido.costResults.buffer);
+    }
+    self.postMessage(mensaje, transferibles);
+}
+
+// Contexto de la simulación en curso, reutilizado entre lotes
+// (conserva las tablas de cuantiles ya calculadas)
+let contextoActual = null;
+let idContextoActual = null;
+
+self.onmessage = (event) => {
+    const mensaje = event.data;
+
+    try {
+        // options.seed ya viene fijada por la página: todos los workers derivan los mismos flujos
+        if (mensaje.simulacionId === undefined || mensaje.simulacionId !== idContextoActual) {
+            contextoActual = prepararSimulacion(mensaje.iterations, mensaje.items, mensaje.options);
+            idContextoActual = mensaje.simulacionId;
+        }
+        const contexto = contextoActual;
+
+        if (mensaje.type === 'simulate-range') {
+            const parcial = simularRango(contexto, mensaje.inicio, mensaje.fin, mensaje.guardarPorItem, (completadas) => {
+                self.postMessage({ type: 'progress', completadas });
+            });
+            enviarTransfiriendo({ type: 'range', ...parcial });
+        } else if (mensaje.type === 'simulate-batch') {
+            const parcial = simularLote(contexto, mensaje.lote, mensaje.guardarPorItem);
+            enviarTransfiriendo({ type: 'batch', lote: mensaje.lote, ...parcial });
+        } else if (mensaje.type === 'finalize') {
+            const resultado = finalizarSimulacion(
+                contexto,
+                mensaje.results,
+                mensaje.perItemSamples,
+                Boolean(mensaje.options.perItemSamples)
+            );
+            enviarTransfiriendo({ type: 'result', resultado });
+        }
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
@@ -0,0 +1,88 @@
+// SIM-RISK Web - Módulo 14: Análisis de estrés
+// Vuelve a simular con algunos items forzados a una parte de su distribución
+// (p.ej. su 10% superior) o a un valor fijo, para ver cuánto se desplaza el
+// total en condiciones adversas
+
+/**
+ * Formas de estresar un item
+ */
+const MODOS_ESTRES = {
+    PERCENTILES: 'percentiles',
+    VALOR: 'value'
+};
+
+/**
+ * Reemplaza la distribución de los items estresados. Con percentiles el item
+ * solo toma valores entre esos percentiles de su propia distribución; con un
+ * valor queda constante. El resto de items, riesgos y correlaciones no cambia
+ * @param {Array<{id:string, from?:number, to?:number, value?:number}>|undefined} stress - Items a
+ *        estresar: percentiles from-to (0-100) o un valor fijo (value)
+ * @param {Array<Object>} validatedItems - Distribuciones preparadas de los items (con id)
+ * @returns {Array<Object>} Distribuciones de los items, con las estresadas reemplazadas
+ */
+function aplicarEstres(stress, validatedItems) {
+    if (!stress) return validatedItems;
+    if (!Array.isArray(stress)) {
+        throw new Error('El estrés debe ser un array');
+    }
+
+    const estresados = validatedItems.slice();
+    stress.forEach((ajuste, index) => {
+        const id = String(ajuste.id === undefined || ajuste.id === null ? '' : ajuste.id).trim();
+        const prefijo = `Estrés ${index + 1} (item: ${id || 'sin id'})`;
+
+        const j = validatedItems.findIndex(dist => String(dist.id).trim() === id);
+        if (j === -1) {
+            throw new Error(`${prefijo}: el item no existe en los datos`);
+        }
+        if (estresados[j] !== validatedItems[j]) {
+            throw new Error(`${prefijo}: el item se estresa más de una vez`);
+        }
+        const dist = validatedItems[j];
+
+        // Valor fijo: el item deja de variar (también un metrado × precio)
+        if (ajuste.value !== undefined && ajuste.value !== null) {
+            const valor = Number(ajuste.value);
+            if (!Number.isFinite(valor)) {
+                throw new Error(`${prefijo}: el valor fijo debe ser un número`);
+            }
+            estresados[j] = { tipo: TIPOS_DISTRIBUCION.UNIFORME, a: valor, b: valor, isConstant: true, constantValue: valor, id: dist.id };
+            return;
+        }
+
+        const desde = Number(ajuste.from);
+        const hasta = Number(ajuste.to);
+        if (!(desde >= 0 && desde <= hasta && hasta <= 100)) {
+            throw new Error(`${prefijo}: los percentiles deben cumplir 0 ≤ desde ≤ hasta ≤ 100`);
+        }
+        if (dist.tipo === TIPO_PRODUCTO) {
+            throw new Error(`${prefijo}: un item metrado × precio solo se puede estresar con un valor fijo`);
+        }
+        if (dist.isConstant) return;
+
+        if (desde === hasta) {
+            const valor = cuantilDistribucion(dist, desde / 100);
+            // P0 y P100 de una distribución no acotada (Normal, Lognormal...) son infinitos
+            if (!Number.isFinite(valor)) {
+                throw new Error(`${prefijo}: el P${desde} de su distribución es infinito; use un rango de percentiles o un valor fijo`);
+            }
+            estresados[j] = { tipo: TIPOS_DISTRIBUCION.UNIFORME, a: valor, b: valor, isConstant: true, constantValue: valor, id: dist.id };
+            return;
+        }
+        estresados[j] = { tipo: TIPO_RESTRINGIDA, base: dist, pDesde: desde / 100, pHasta: hasta / 100, isConstant: false, id: dist.id };
+    });
+
+    return estresados;
+}
+
+/**
+ * Describe el estrés de un item para la interfaz
+ * @param {{id:string, from?:number, to?:number, value?:number}} ajuste - Estrés de un item
+ * @returns {string} P.ej. "01.02 en P90-P100" o "01.02 = 1500"
+ */
+function describirEstres(ajuste) {
+    if (ajuste.value !== undefined && ajuste.value !== null) {
+        return `${ajuste.id} = ${Number(ajuste.value).toLocaleString('es-PE')}`;
+    }
+    return `${ajuste.id} en P${ajuste.from}-P${ajuste.to}`;
+}
@@ -3,7 +3,7 @@
 
 /**
  * Calcula el percentil p (0..1) de un array ordenado con interpolación simple
- * @param {number[]} sortedArray - Array ordenado de números
+ * @param {ArrayLike<number>} sortedArray - Array ordenado de números
  * @param {number} p - Percentil (0..1)
  * @returns {number} Valor del percentil
  */
@@ -25,9 +25,47 @@ function percentile(sortedArray, p) {
     return sortedArray[lower] * (1 - weight) + sortedArray[upper] * weight;
 }
 
+// Copias ordenadas de cada array de resultados, para no reordenar en cada interacción
+const cacheResultadosOrdenados = new WeakMap();
+
+/**
+ * Devuelve una copia ordenada de los resultados (se calcula una vez por array)
+ * @param {ArrayLike<number>} results - Resultados de la simulación
+ * @returns {Float64Array} Resultados ordenados de menor a mayor
+ */
+function ordenarResultados(results) {
+    let sorted = cacheResultadosOrdenados.get(results);
+    if (!sorted) {
+        sorted = Float64Array.from(results).sort();
+        cacheResultadosOrdenados.set(results, sorted);
+    }
+    return sorted;
+}
+
+/**
+ * Cuenta los valores menores o iguales a x con búsqueda binaria
+ * @param {ArrayLike<number>} sortedArray - Array ordenado
+ * @param {number} x - Valor límite
+ * @param {boolean} incluirIgual - Si false, cuenta solo los valores < x
+ * @returns {number} Cantidad de valores ≤ x (o < x)
+ */
+function contarHastaValor(sortedArray, x, incluirIgual = true) {
+    let bajo = 0;
+    let alto = sortedArray.length;
+    while (bajo < alto) {
+        const medio = (bajo + alto) >>> 1;
+        if (sortedArray[medio] < x || (incluirIgual && sortedArray[medio] === x)) {
+            bajo = medio + 1;
+        } else {
+            alto = medio;
+        }
+    }
+    return bajo;
+}
+
 /**
  * Calcula las métricas finales de la simulación
- * @param {number[]} results - Array de resultados de la simulación
+ * @param {ArrayLike<number>} results - Resultados de la simulación
  * @param {number} sumProbable - Suma de valores probables
  * @returns {Object} Objeto con {certeza95, probCumplimientoPct, contingencia}
  */
@@ -36,13 +74,13 @@ function computeFinalMetrics(results, sumProbable) {
         return { certeza95: 0, probCumplimientoPct: 0, contingencia: 0 };
     }
     
-    const sorted = [...results].sort((a, b) => a - b);
+    const sorted = ordenarResultados(results);
     
     // Certeza 95% = percentil 95
     const certeza95 = percentile(sorted, 0.95);
     
     // Probabilidad de cumplimiento = % de resultados ≤ sumProbable
-    const countBelowProbable = results.filter(r => r <= sumProbable).length;
+    const countBelowProbable = contarHastaValor(sorted, sumProbable);
     const probCumplimientoPct = (countBelowProbable / results.length) * 100;
     
     // Contingencia = Certeza(95%) - Suma Probable
@@ -51,11 +89,30 @@ function computeFinalMetrics(results, sumProbable) {
     return { certeza95, probCumplimientoPct, contingencia };
 }
 
+/**
+ * Valor determinista con el que se comparan los resultados: la Suma Probable
+ * de los items o, en modo cronograma, la duración por ruta crítica con las
+ * duraciones probables
+ * @param {Object} resultado - Resultado de la simulación (opcional)
+ * @returns {{valor:number, etiqueta:string}|null} null si no hay datos cargados
+ */
+function obtenerValorPlan(resultado) {
+    if (resultado && resultado.schedule) {
+        return { valor: resultado.schedule.probableDuration, etiqueta: 'Duración Probable (CPM)' };
+    }
+    
+    const sumProbable = window.totalsData ? window.totalsData.sumProbable : null;
+    if (sumProbable === null || sumProbable === undefined || isNaN(sumProbable)) return null;
+    
+    return { valor: sumProbable, etiqueta: 'Suma Probable' };
+}
+
 /**
  * Actualiza los resultados finales en la UI
  * @param {Object} metrics - Objeto con {certeza95, probCumplimientoPct, contingencia}
+ * @param {string} etiquetaPlan - Nombre del valor de comparación (Suma Probable por defecto)
  */
-function actualizarResultadosFinales(metrics) {
+function actualizarResultadosFinales(metrics, etiquetaPlan = 'Suma Probable') {
     const formatoNumero = (num) => {
         if (num === null || num === undefined || isNaN(num)) return '-';
         return num.toLocaleString('es-PE', {
@@ -81,6 +138,15 @@ function actualizarResultadosFinales(metrics) {
         contingenciaEl.textContent = formatoNumero(metrics.contingencia);
     }
     
+    const probCumplimientoDesc = document.getElementById('probCumplimiento_description');
+    const contingenciaDesc = document.getElementById('contingencia_description');
+    if (probCumplimientoDesc) {
+        probCumplimientoDesc.textContent = `% de resultados ≤ ${etiquetaPlan}`;
+    }
+    if (contingenciaDesc) {
+        contingenciaDesc.textContent = `Certeza(95%) - ${etiquetaPlan}`;
+    }
+    
     if (finalResultsDiv) {
         finalResultsDiv.style.display = 'block';
     }
@@ -88,6 +154,21 @@ function actualizarResultadosFinales(metrics) {
 
 let histogramChart = null;
 let tornadoChart = null;
+let ultimoTornado = null;
+let rangeTornadoChart = null;
+let spiderChart = null;
+let ultimoImpacto = null;
+let ultimoEscenario = null;
+let entradasFiltro = [];
+let filtroIteraciones = null;
+let stressChart = null;
+let stressBoxChart = null;
+let ultimaCorrida = null;
+let resultadosEstres = null;
+let runsChart = null;
+let contadorCorridas = 0;
+let convergenceChart = null;
+let costScheduleChart = null;
 let currentSimulationResult = null;
 let currentLeftX = null;
 let currentBins = null;
@@ -101,21 +182,210 @@ window.currentBins = null;
 const runSimulationBtn = document.getElementById('runSimulationBtn');
 const iterationsInput = document.getElementById('iterationsInput');
 const binsInput = document.getElementById('binsInput');
+const samplingMethodSelect = document.getElementById('samplingMethodSelect');
+const riskMitigationSelect = document.getElementById('riskMitigationSelect');
+const simulationModeSelect = document.getElementById('simulationModeSelect');
+const convergenceCheckbox = document.getElementById('convergenceCheckbox');
+const toleranceInput = document.getElementById('toleranceInput');
+const confidenceSelect = document.getElementById('confidenceSelect');
+const convergenceArea = document.getElementById('convergenceArea');
+const generatorSelect = document.getElementById('generatorSelect');
+const seedInput = document.getElementById('seedInput');
+const fixedSeedCheckbox = document.getElementById('fixedSeedCheckbox');
 const leftXInput = document.getElementById('leftXInput');
 const leftPValue = document.getElementById('leftPValue');
 const statsTable = document.getElementById('statsTable');
 const simulationSection = document.getElementById('simulationSection');
 const tornadoArea = document.getElementById('tornadoArea');
+const scheduleArea = document.getElementById('scheduleArea');
+const wbsArea = document.getElementById('wbsArea');
+const costScheduleArea = document.getElementById('costScheduleArea');
+const jointCostInput = document.getElementById('jointCostInput');
+const jointDurationInput = document.getElementById('jointDurationInput');
+const simulationProgress = document.getElementById('simulationProgress');
+const simulationProgressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const cancelSimulationBtn = document.getElementById('cancelSimulationBtn');
+const memoryEstimate = document.getElementById('memoryEstimate');
+
+const sensitivityMethodSelect = document.getElementById('sensitivityMethodSelect');
+const tornadoTopSelect = document.getElementById('tornadoTopSelect');
+const impactArea = document.getElementById('impactArea');
+const impactStatisticSelect = document.getElementById('impactStatisticSelect');
+const scenarioArea = document.getElementById('scenarioArea');
+const scenarioRangeSelect = document.getElementById('scenarioRangeSelect');
+const scenarioValueInput = document.getElementById('scenarioValueInput');
+const scenarioThresholdInput = document.getElementById('scenarioThresholdInput');
+const iterationFilter = document.getElementById('iterationFilter');
+const filterTargetSelect = document.getElementById('filterTargetSelect');
+const filterUnitSelect = document.getElementById('filterUnitSelect');
+const filterMinInput = document.getElementById('filterMinInput');
+const filterMaxInput = document.getElementById('filterMaxInput');
+const filterCount = document.getElementById('filterCount');
+const stressArea = document.getElementById('stressArea');
+const stressItemSelect = document.getElementById('stressItemSelect');
+const stressModeSelect = document.getElementById('stressModeSelect');
+const stressFromInput = document.getElementById('stressFromInput');
+const stressToInput = document.getElementById('stressToInput');
+const stressValueInput = document.getElementById('stressValueInput');
+const runStressBtn = document.getElementById('runStressBtn');
+const runsArea = document.getElementById('runsArea');
+const runsChartSelect = document.getElementById('runsChartSelect');
+
+// Métodos de sensibilidad del Tornado
+const METODOS_SENSIBILIDAD = {
+    VARIANZA: 'variance',
+    REGRESION: 'regression',
+    SPEARMAN: 'spearman'
+};
+
+// Grupos de percentiles de cada entrada en el Spider y el Tornado por percentiles (deciles)
+const NUM_GRUPOS_IMPACTO = 10;
+
+// Colores de las líneas del Spider (se repiten si hay más entradas)
+const COLORES_SPIDER = [
+    '102, 126, 234', '220, 53, 69', '40, 167, 69', '253, 126, 20', '118, 75, 162',
+    '23, 162, 184', '255, 193, 7', '108, 117, 125', '232, 62, 140', '32, 201, 151'
+];
+
+// Rangos del total para el análisis de escenarios
+const RANGOS_ESCENARIO = {
+    DERECHA_X: 'right',
+    P90: 'p90',
+    P75: 'p75',
+    IZQUIERDA_X: 'left',
+    SOBRE_VALOR: 'above'
+};
+
+// Unidades de los límites del filtro de iteraciones
+const UNIDADES_FILTRO = {
+    VALOR: 'value',
+    PERCENTIL: 'percentile'
+};
+
+// Clases de los histogramas superpuestos (análisis de estrés y comparación de corridas)
+const NUM_BINS_COMPARACION = 40;
+
+// Corridas que se conservan para compararlas (las más antiguas se descartan)
+const MAXIMO_CORRIDAS_GUARDADAS = 10;
+
+// Umbral de significancia por defecto (desviaciones estándar de la entrada, como @Risk)
+const UMBRAL_ESCENARIO_DEFAULT = 0.5;
+
+// Tolerancia relativa del análisis de sensibilidad: rango mínimo de una columna
+// no constante y varianza residual mínima (sobre 1) para entrar en la regresión
+const TOLERANCIA_COLINEALIDAD = 1e-9;
+
+// Ruta del worker relativa a la página (el worker carga el motor con importScripts)
+const RUTA_WORKER_SIMULACION = 'simulation-worker.js';
+
+// Máximo de workers simultáneos (cada uno reserva memoria para su rango)
+const MAXIMO_WORKERS_SIMULACION = 8;
+
+// Memoria estimada a partir de la cual se pide confirmación antes de simular
+const LIMITE_MEMORIA_ADVERTENCIA = 1024 * 1024 * 1024;
+
+// Simulación en curso ({promesa, cancelar}) o null
+let simulacionEnCurso = null;
+
+// Identificador de cada simulación enviada a los workers
+let contadorSimulaciones = 0;
 
 // Event listeners
 if (runSimulationBtn) {
     runSimulationBtn.addEventListener('click', ejecutarSimulacion);
 }
 
+if (cancelSimulationBtn) {
+    cancelSimulationBtn.addEventListener('click', cancelarSimulacion);
+}
+
+if (fixedSeedCheckbox) {
+    fixedSeedCheckbox.addEventListener('change', () => {
+        seedInput.disabled = !fixedSeedCheckbox.checked;
+    });
+}
+
+if (iterationsInput) {
+    iterationsInput.addEventListener('input', actualizarEstimacionMemoria);
+}
+
+if (convergenceCheckbox) {
+    convergenceCheckbox.addEventListener('change', () => {
+        toleranceInput.disabled = !convergenceCheckbox.checked;
+        confidenceSelect.disabled = !convergenceCheckbox.checked;
+    });
+}
+
 if (leftXInput) {
     leftXInput.addEventListener('input', actualizarIzquierdaX);
 }
 
+// Método de sensibilidad y cantidad de barras: redibujar el último Tornado
+[sensitivityMethodSelect, tornadoTopSelect].forEach(select => {
+    if (select) {
+        select.addEventListener('change', () => {
+            if (ultimoTornado) crearTornado(...ultimoTornado);
+        });
+    }
+});
+
+if (impactStatisticSelect) {
+    impactStatisticSelect.addEventListener('change', () => {
+        if (ultimoImpacto) crearGraficosImpacto(...ultimoImpacto);
+    });
+}
+
+// Rango del escenario y umbral: recalcular con las muestras de la última corrida
+[scenarioRangeSelect, scenarioValueInput, scenarioThresholdInput].forEach(control => {
+    if (control) {
+        control.addEventListener('change', () => {
+            if (ultimoEscenario) crearAnalisisEscenarios(...ultimoEscenario);
+        });
+    }
+});
+
+// Filtro de iteraciones: se aplica con el botón, no al escribir cada límite
+const applyFilterBtn = document.getElementById('applyFilterBtn');
+const clearFilterBtn = document.getElementById('clearFilterBtn');
+if (applyFilterBtn) {
+    applyFilterBtn.addEventListener('click', aplicarFiltroIteraciones);
+}
+if (clearFilterBtn) {
+    clearFilterBtn.addEventListener('click', quitarFiltroIteraciones);
+}
+
+// Análisis de estrés: casos y nueva corrida con la configuración de la última
+window.stressCases = [];
+const addStressCaseBtn = document.getElementById('addStressCaseBtn');
+if (addStressCaseBtn) {
+    addStressCaseBtn.addEventListener('click', agregarCasoEstres);
+}
+if (runStressBtn) {
+    runStressBtn.addEventListener('click', ejecutarAnalisisEstres);
+}
+if (stressModeSelect) {
+    stressModeSelect.addEventListener('change', () => {
+        const porValor = stressModeSelect.value === MODOS_ESTRES.VALOR;
+        stressFromInput.disabled = porValor;
+        stressToInput.disabled = porValor;
+        stressValueInput.disabled = !porValor;
+    });
+}
+
+// Corridas guardadas: cada simulación se agrega a la comparación
+window.savedRuns = [];
+if (runsChartSelect) {
+    runsChartSelect.addEventListener('change', crearGraficoCorridas);
+}
+
+// Límites de la probabilidad conjunta costo-plazo
+[jointCostInput, jointDurationInput].forEach(input => {
+    if (input) {
+        input.addEventListener('change', () => crearDispersionCostoDuracion(currentSimulationResult, false));
+    }
+});
+
 // Usar loadedData global de app.js
 
 /**
@@ -130,13 +400,405 @@ function prepararDatosParaSimulacion() {
     
     return loadedData
         .filter(item => item.pert !== null)
-        .map(item => ({
-            a: parseFloat(item.minimo),
-            m: parseFloat(item.probable),
-            b: parseFloat(item.maximo),
-            id: item.item,
-            descripcion: item.descripcion
-        }));
+        .map(convertirFilaAItem);
+}
+
+/**
+ * Ejecuta la simulación repartiendo los bloques de iteraciones entre varios
+ * Web Workers (uno por núcleo) para no bloquear la página. Como cada bloque
+ * usa flujos aleatorios derivados de la semilla, el resultado es idéntico
+ * con cualquier número de workers.
+ * Si el navegador no permite crear workers (p.ej. página abierta con file://)
+ * la simulación se ejecuta en el hilo principal y no se puede cancelar.
+ * @param {number} iterations - Número de iteraciones
+ * @param {Array<Object>} items - Items para runMonteCarlo
+ * @param {Object} options - Opciones de runMonteCarlo (sin progressCallback)
+ * @param {Function} onProgress - Callback de progreso (progress, current, total)
+ * @returns {{promesa: Promise<Object>, cancelar: Function}} cancelar() devuelve false si no se pudo cancelar
+ */
+function iniciarSimulacionParalela(iterations, items, options, onProgress) {
+    let workers = [];
+    let activa = true;
+    let rechazar = null;
+    let recibioMensaje = false;
+    
+    const terminarWorkers = () => {
+        workers.forEach(worker => worker.terminate());
+        workers = [];
+    };
+    
+    const promesa = new Promise((resolve, reject) => {
+        const concluir = (accion) => (valor) => {
+            if (!activa) return;
+            activa = false;
+            terminarWorkers();
+            accion(valor);
+        };
+        const resolver = concluir(resolve);
+        rechazar = concluir(reject);
+        
+        let enHiloPrincipal = false;
+        const ejecutarEnHiloPrincipal = () => {
+            if (enHiloPrincipal) return;
+            enHiloPrincipal = true;
+            terminarWorkers();
+            runMonteCarlo(iterations, items, { ...options, progressCallback: onProgress })
+                .then(resolver, rechazar);
+        };
+        
+        // Validar en el hilo principal y fijar la semilla maestra para que
+        // todos los workers deriven los mismos flujos
+        let contexto;
+        try {
+            contexto = prepararSimulacion(iterations, items, options);
+        } catch (error) {
+            rechazar(error);
+            return;
+        }
+        const opcionesWorker = { ...options, seed: contexto.seed };
+        // Las correlaciones se inducen al final sobre todas las muestras por item
+        // (salvo en modo convergencia, donde se inducen dentro de cada lote) y la
+        // ruta crítica se recalcula al final con las duraciones de cada actividad;
+        // el desglose de los items porcentuales también necesita sus montos
+        const guardarPorItem = Boolean(options.perItemSamples) || contexto.requiereMuestrasPorItem;
+        
+        // Repartir bloques completos entre los workers
+        const numBloques = Math.ceil(iterations / TAMANO_BLOQUE_SIMULACION);
+        const nucleos = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 1;
+        const numWorkers = Math.max(1, Math.min(nucleos, MAXIMO_WORKERS_SIMULACION, numBloques));
+        const rangosWorkers = [];
+        for (let w = 0; w < numWorkers; w++) {
+            rangosWorkers.push({
+                inicio: Math.floor((numBloques * w) / numWorkers) * TAMANO_BLOQUE_SIMULACION,
+                fin: Math.min(iterations, Math.floor((numBloques * (w + 1)) / numWorkers) * TAMANO_BLOQUE_SIMULACION)
+            });
+        }
+        
+        try {
+            for (let w = 0; w < numWorkers; w++) {
+                workers.push(new Worker(RUTA_WORKER_SIMULACION));
+            }
+        } catch (error) {
+            console.warn('No se pudo crear el worker de simulación, se usará el hilo principal:', error.message);
+            ejecutarEnHiloPrincipal();
+            return;
+        }
+        
+        // Datos comunes de todos los mensajes; el id permite a cada worker
+        // reutilizar el contexto preparado entre mensajes
+        const base = {
+            simulacionId: ++contadorSimulaciones,
+            iterations,
+            items,
+            options: opcionesWorker
+        };
+        
+        // Rangos reunidos en el hilo principal
+        const results = new Float64Array(iterations);
+        const perItemSamples = guardarPorItem
+            ? Array.from({ length: contexto.numColumnas }, () => new Float64Array(iterations))
+            : undefined;
+        
+        // Modo convergencia: historial de evaluaciones, una por lote
+        const historial = [];
+        
+        const finalizarEnWorker = (worker, n) => {
+            // Correlaciones y estadísticas en un worker, fuera del hilo principal
+            workers.filter(otro => otro !== worker).forEach(otro => otro.terminate());
+            workers = [worker];
+            
+            const resultsFinales = n < iterations ? results.slice(0, n) : results;
+            const perItemFinales = perItemSamples && n < iterations
+                ? perItemSamples.map(columna => columna.slice(0, n))
+                : perItemSamples;
+            
+            const transferibles = [resultsFinales.buffer];
+            if (perItemFinales) {
+                perItemFinales.forEach(columna => transferibles.push(columna.buffer));
+            }
+            worker.postMessage({
+                ...base,
+                type: 'finalize',
+                results: resultsFinales,
+                perItemSamples: perItemFinales
+            }, transferibles);
+        };
+        
+        const copiarParcial = (mensaje, inicio) => {
+            results.set(mensaje.results, inicio);
+            if (perItemSamples) {
+                mensaje.perItemSamples.forEach((columna, j) => perItemSamples[j].set(columna, inicio));
+            }
+        };
+        
+        // Iteraciones fijas: un rango de bloques por worker
+        const completadas = new Array(numWorkers).fill(0);
+        let pendientes = numWorkers;
+        
+        // Convergencia: los lotes se reparten a medida que los workers quedan
+        // libres, pero se evalúan en orden para que el punto de parada no
+        // dependa del número de workers
+        const convergencia = contexto.convergencia;
+        const numLotes = convergencia ? Math.ceil(iterations / convergencia.tamanoLote) : 0;
+        const lotesRecibidos = new Map();
+        let siguienteLote = 0;
+        let siguienteEvaluar = 0;
+        let acumuladas = 0;
+        let detenido = false;
+        
+        const enviarLote = (worker) => {
+            if (detenido || siguienteLote >= numLotes) return;
+            worker.postMessage({ ...base, type: 'simulate-batch', lote: siguienteLote, guardarPorItem });
+            siguienteLote++;
+        };
+        
+        const incorporarLotes = (worker) => {
+            while (!detenido && lotesRecibidos.has(siguienteEvaluar)) {
+                const mensaje = lotesRecibidos.get(siguienteEvaluar);
+                lotesRecibidos.delete(siguienteEvaluar);
+                
+                copiarParcial(mensaje, acumuladas);
+                acumuladas += mensaje.results.length;
+                siguienteEvaluar++;
+                
+                const estado = evaluarConvergencia(results, acumuladas, convergencia);
+                historial.push(estado);
+                onProgress((acumuladas / iterations) * 100, acumuladas, iterations);
+                
+                if (estado.converged || siguienteEvaluar === numLotes) {
+                    detenido = true;
+                    finalizarEnWorker(worker, acumuladas);
+                }
+            }
+        };
+        
+        workers.forEach((worker, w) => {
+            worker.onmessage = (event) => {
+                recibioMensaje = true;
+                const mensaje = event.data;
+                
+                if (mensaje.type === 'progress') {
+                    completadas[w] = mensaje.completadas;
+                    const total = completadas.reduce((sum, c) => sum + c, 0);
+                    onProgress((total / iterations) * 100, total, iterations);
+                } else if (mensaje.type === 'range') {
+                    copiarParcial(mensaje, rangosWorkers[w].inicio);
+                    
+                    pendientes--;
+                    if (pendientes === 0) {
+                        finalizarEnWorker(worker, iterations);
+                    }
+                } else if (mensaje.type === 'batch') {
+                    lotesRecibidos.set(mensaje.lote, mensaje);
+                    incorporarLotes(worker);
+                    enviarLote(worker);
+                } else if (mensaje.type === 'result') {
+                    const resultado = mensaje.resultado;
+                    if (convergencia) {
+                        resultado.convergence = resumirConvergencia(historial, convergencia);
+                    }
+                    resolver(resultado);
+                } else if (mensaje.type === 'error') {
+                    rechazar(new Error(mensaje.message));
+                }
+            };
+            
+            worker.onerror = (event) => {
+                event.preventDefault();
+                
+                // Si los workers no llegaron a cargar (archivo no encontrado,
+                // importScripts bloqueado), simular en el hilo principal
+                if (!recibioMensaje) {
+                    console.warn('El worker de simulación no pudo cargarse, se usará el hilo principal:', event.message);
+                    ejecutarEnHiloPrincipal();
+                } else {
+                    rechazar(new Error(event.message || 'Error en el worker de simulación'));
+                }
+            };
+            
+            if (convergencia) {
+                enviarLote(worker);
+            } else {
+                worker.postMessage({
+                    ...base,
+                    type: 'simulate-range',
+                    inicio: rangosWorkers[w].inicio,
+                    fin: rangosWorkers[w].fin,
+                    guardarPorItem
+                });
+            }
+        });
+    });
+    
+    const cancelar = () => {
+        if (workers.length === 0) return false;
+        
+        const error = new Error('Simulación cancelada');
+        error.cancelada = true;
+        rechazar(error);
+        return true;
+    };
+    
+    return { promesa, cancelar };
+}
+
+/**
+ * Formatea una duración en milisegundos como "45 s" o "2 min 05 s"
+ * @param {number} ms - Duración en milisegundos
+ * @returns {string}
+ */
+function formatearDuracion(ms) {
+    const segundos = Math.max(0, Math.round(ms / 1000));
+    if (segundos < 60) return `${segundos} s`;
+    
+    const minutos = Math.floor(segundos / 60);
+    return `${minutos} min ${String(segundos % 60).padStart(2, '0')} s`;
+}
+
+/**
+ * Formatea una cantidad de bytes como "850 KB", "12.5 MB" o "1.20 GB"
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatearBytes(bytes) {
+    const mb = bytes / (1024 * 1024);
+    if (mb < 1) return `${Math.ceil(bytes / 1024)} KB`;
+    if (mb < 1024) return `${mb.toFixed(1)} MB`;
+    return `${(mb / 1024).toFixed(2)} GB`;
+}
+
+/**
+ * Muestra junto al campo de iteraciones la memoria estimada de la simulación
+ * (totales y muestras por item y por riesgo para el tornado)
+ */
+function actualizarEstimacionMemoria() {
+    if (!memoryEstimate) return;
+    
+    const filasValidas = (window.loadedData || []).filter(item => item.pert !== null);
+    const numItems = filasValidas.length;
+    const numRiesgos = (window.riskRegister || []).length;
+    // Las partidas metrado × precio guardan además una columna por factor,
+    // y cada factor común una columna con su multiplicador
+    const numFactores = 2 * filasValidas.filter(fila => fila.cantidad).length + (window.driverRegister || []).length;
+    const iterations = parseInt(iterationsInput.value) || 0;
+    
+    if (numItems === 0 || iterations <= 0) {
+        memoryEstimate.textContent = '';
+        return;
+    }
+    
+    const bytes = estimarMemoriaSimulacion(iterations, numItems + numRiesgos + numFactores, true);
+    memoryEstimate.textContent = `Memoria: ~${formatearBytes(bytes)}`;
+    memoryEstimate.classList.toggle('memory-warning', bytes > LIMITE_MEMORIA_ADVERTENCIA);
+}
+
+/**
+ * Muestra la barra de progreso con el tiempo restante estimado
+ * @param {number} progress - Porcentaje completado (0-100)
+ * @param {number} current - Iteraciones completadas
+ * @param {number} total - Iteraciones totales
+ * @param {number} inicio - Marca de tiempo (performance.now) del inicio de la simulación
+ */
+function actualizarProgresoSimulacion(progress, current, total, inicio) {
+    if (!simulationProgress) return;
+    
+    simulationProgress.style.display = 'flex';
+    simulationProgressBar.style.width = `${Math.min(100, progress)}%`;
+    
+    let texto = `${Math.round(progress)}% (${current.toLocaleString('es-ES')} / ${total.toLocaleString('es-ES')})`;
+    if (progress > 0 && progress < 100) {
+        const transcurrido = performance.now() - inicio;
+        const restante = transcurrido * (100 - progress) / progress;
+        texto += ` - quedan ~${formatearDuracion(restante)}`;
+    }
+    progressText.textContent = texto;
+}
+
+/**
+ * Oculta la barra de progreso
+ */
+function ocultarProgresoSimulacion() {
+    if (!simulationProgress) return;
+    
+    simulationProgress.style.display = 'none';
+    simulationProgressBar.style.width = '0%';
+    progressText.textContent = '';
+}
+
+/**
+ * Cancela la simulación en curso (solo si se ejecuta en el worker)
+ */
+function cancelarSimulacion() {
+    if (simulacionEnCurso && !simulacionEnCurso.cancelar()) {
+        alert('La simulación se está ejecutando en el hilo principal y no se puede cancelar.');
+    }
+}
+
+/**
+ * Restablece los controles de simulación al terminar, fallar o cancelar
+ */
+function finalizarSimulacionUI() {
+    simulacionEnCurso = null;
+    ocultarProgresoSimulacion();
+    runSimulationBtn.disabled = false;
+    runSimulationBtn.textContent = 'Ejecutar Simulación';
+}
+
+/**
+ * Descarta los resultados de la última simulación cuando se reemplazan los
+ * datos de entrada (otro archivo u otro proyecto): gráficos, paneles y el
+ * estado del filtro, los análisis y el estrés ya no corresponden a los items
+ * @param {boolean} borrarCorridas - Vaciar también las corridas guardadas y los casos de estrés
+ */
+function reiniciarResultadosSimulacion(borrarCorridas = false) {
+    // Una simulación en curso terminaría con los items anteriores
+    if (simulacionEnCurso) simulacionEnCurso.cancelar();
+    
+    currentSimulationResult = null;
+    currentLeftX = null;
+    currentBins = null;
+    window.currentSimulationResult = null;
+    window.currentLeftX = null;
+    window.currentBins = null;
+    histogramResults = null;
+    histogramStats = null;
+    histogramBins = null;
+    ultimaCorrida = null;
+    if (runStressBtn) runStressBtn.disabled = true;
+    filtroIteraciones = null;
+    entradasFiltro = [];
+    resultadosEstres = null;
+    ultimoTornado = null;
+    ultimoImpacto = null;
+    ultimoEscenario = null;
+    
+    destruirHistograma();
+    [tornadoChart, rangeTornadoChart, spiderChart, stressChart, stressBoxChart, convergenceChart, costScheduleChart]
+        .forEach(chart => {
+            if (chart) chart.destroy();
+        });
+    tornadoChart = null;
+    rangeTornadoChart = null;
+    spiderChart = null;
+    stressChart = null;
+    stressBoxChart = null;
+    convergenceChart = null;
+    costScheduleChart = null;
+    
+    [iterationFilter, tornadoArea, impactArea, scenarioArea, stressArea, convergenceArea, scheduleArea,
+        wbsArea, costScheduleArea, document.getElementById('finalResults'), document.getElementById('markupBreakdown')]
+        .forEach(panel => {
+            if (panel) panel.style.display = 'none';
+        });
+    if (statsTable) statsTable.innerHTML = '';
+    if (leftXInput) leftXInput.value = '';
+    if (leftPValue) leftPValue.textContent = '-';
+    
+    if (borrarCorridas) {
+        window.savedRuns = [];
+        window.stressCases = [];
+        mostrarCorridas();
+    }
 }
 
 /**
@@ -153,69 +815,163 @@ async function ejecutarSimulacion() {
         
         const iterations = parseInt(iterationsInput.value) || 5000;
         const numBins = binsInput.value ? parseInt(binsInput.value) : null;
+        const samplingMethod = samplingMethodSelect
+            ? samplingMethodSelect.value
+            : METODOS_MUESTREO.LATIN_HYPERCUBE;
+        
+        // Riesgos discretos del registro, en la variante de mitigación elegida
+        const risks = obtenerRiesgosParaSimulacion();
+        const riskMitigation = riskMitigationSelect ? riskMitigationSelect.value : ESTADOS_MITIGACION.PRE;
+        
+        // Factores de riesgo comunes (multiplicadores por grupo de items)
+        const drivers = obtenerImpulsoresParaSimulacion();
+        
+        // Modo cronograma: duración del proyecto por ruta crítica en lugar de la suma
+        const schedule = Boolean(simulationModeSelect && simulationModeSelect.value === MODOS_SIMULACION.CRONOGRAMA);
+        
+        // Avisar antes de reservar más memoria de la que suele admitir una pestaña
+        const columnas = items.length + risks.length + 2 * items.filter(item => item.cantidad).length + drivers.length;
+        const memoria = estimarMemoriaSimulacion(iterations, columnas, true);
+        if (memoria > LIMITE_MEMORIA_ADVERTENCIA &&
+            !confirm(`La simulación necesita ~${formatearBytes(memoria)} de memoria (${columnas} items y riesgos × ${iterations.toLocaleString('es-PE')} iteraciones) y el navegador podría cerrar la pestaña. ¿Continuar?`)) {
+            return;
+        }
         
         runSimulationBtn.disabled = true;
         runSimulationBtn.textContent = 'Ejecutando...';
         
+        // Modo "hasta convergencia": las iteraciones son el máximo
+        let convergence;
+        if (convergenceCheckbox && convergenceCheckbox.checked) {
+            const tolerance = parseFloat(toleranceInput.value);
+            if (!(tolerance > 0)) {
+                throw new Error('La tolerancia de convergencia debe ser mayor que 0');
+            }
+            convergence = {
+                tolerance,
+                confidence: parseFloat(confidenceSelect.value)
+            };
+        }
+        
+        // Semilla fija (reproducible) o aleatoria elegida por el motor
+        let seed;
+        if (!fixedSeedCheckbox || fixedSeedCheckbox.checked) {
+            seed = seedInput ? Number(seedInput.value) : 12345;
+            if (seedInput && seedInput.value.trim() === '') {
+                throw new Error('Ingrese una semilla o desmarque "Semilla fija"');
+            }
+        }
+        const generator = generatorSelect ? generatorSelect.value : GENERADOR_RNG_DEFAULT;
+        
+        // Matriz de correlación definida en la sección de datos (si hay al menos 2 items)
+        const correlationData = window.correlationData;
+        const correlationMatrix = correlationData && correlationData.ids.length >= 2
+            ? correlationData
+            : undefined;
+        
         // Ejecutar simulación con perItemSamples para el tornado
-        const resultado = await runMonteCarlo(iterations, items, {
-            seed: 12345,
+        const inicio = performance.now();
+        actualizarProgresoSimulacion(0, 0, iterations, inicio);
+        
+        const opciones = {
+            seed: seed,
+            generator: generator,
             perItemSamples: true,
-            progressCallback: (progress) => {
-                runSimulationBtn.textContent = `Ejecutando... ${Math.round(progress)}%`;
-            }
+            correlationMatrix: correlationMatrix,
+            samplingMethod: samplingMethod,
+            convergence: convergence,
+            risks: risks.length > 0 ? risks : undefined,
+            riskMitigation: riskMitigation,
+            drivers: drivers.length > 0 ? drivers : undefined,
+            schedule: schedule
+        };
+        simulacionEnCurso = iniciarSimulacionParalela(iterations, items, opciones, (progress, current, total) => {
+            actualizarProgresoSimulacion(progress, current, total, inicio);
         });
         
+        const resultado = await simulacionEnCurso.promesa;
+        simulacionEnCurso = null;
+        ocultarProgresoSimulacion();
+        
+        // Con semilla aleatoria, dejar la usada en el campo para poder repetir la corrida
+        if (seedInput && seed === undefined) {
+            seedInput.value = resultado.seed;
+        }
+        
+        // El análisis de estrés repite esta corrida (misma semilla) con items estresados
+        ultimaCorrida = { items, opciones: { ...opciones, seed: resultado.seed }, iterations: resultado.results.length };
+        
         currentSimulationResult = resultado;
         currentBins = numBins;
         window.currentSimulationResult = resultado; // Sincronizar global
         window.currentBins = numBins; // Sincronizar global
         
-        // Inicializar Izquierda X con percentile5
-        currentLeftX = resultado.stats.percentile5;
-        window.currentLeftX = currentLeftX; // Sincronizar global
-        leftXInput.value = currentLeftX.toFixed(2);
-        
         // Mostrar sección de simulación primero para que el canvas tenga dimensiones
         simulationSection.style.display = 'block';
         
         // Forzar reflow para que el navegador calcule las dimensiones del canvas
         simulationSection.offsetHeight;
         
-        // Obtener suma probable de los totales
-        const sumProbable = window.totalsData ? window.totalsData.sumProbable : null;
+        // Valor de comparación: suma probable de los totales o duración probable del cronograma
+        const plan = obtenerValorPlan(resultado);
         
         // Crear visualizaciones después de que el DOM esté listo
         // Usar setTimeout para asegurar que el canvas tenga dimensiones calculadas
         setTimeout(() => {
-            crearHistograma(resultado.results, resultado.stats, numBins);
-            actualizarPanelEstadistico(resultado.stats, resultado.results.length);
-            calcularIzquierdaP(resultado.results, currentLeftX);
+            // Histograma, estadísticas y métricas finales de todas las iteraciones
+            const finalMetrics = mostrarResultadosTotales(resultado.results, resultado.stats);
             
-            // Calcular y mostrar métricas finales
-            if (sumProbable !== null && !isNaN(sumProbable)) {
-                const finalMetrics = computeFinalMetrics(resultado.results, sumProbable);
-                actualizarResultadosFinales(finalMetrics);
-                
+            if (plan) {
                 // Guardar métricas en el resultado para acceso posterior
                 resultado.finalMetrics = finalMetrics;
-                resultado.sumProbable = sumProbable;
+                resultado.sumProbable = plan.valor;
             }
             
+            // Filtro de iteraciones por el total, los items, los riesgos y los factores
+            configurarFiltroIteraciones(resultado, items, risks, drivers);
+            
+            // Items que se pueden estresar y casos definidos
+            configurarEstres(items);
+            
+            // Guardar la corrida para compararla con las anteriores
+            guardarCorrida(resultado, ultimaCorrida, plan);
+            
+            // Costo directo y montos de los items porcentuales (GG, utilidad, IGV...)
+            crearDesglosePorcentajes(resultado, items);
+            
+            // Gráfico de convergencia (solo en modo "hasta convergencia")
+            crearGraficoConvergencia(resultado.convergence);
+            
+            // Criticidad de las actividades (solo en modo cronograma)
+            crearTablaCriticidad(resultado.schedule, items);
+            
+            // Distribución simulada de cada capítulo (códigos ITEM jerárquicos)
+            crearTablaEDT(resultado, items);
+            
+            // Costo vs duración (modo cronograma con items de costo)
+            crearDispersionCostoDuracion(resultado, true);
+            
             // Crear gráfico Tornado si hay perItemSamples
             if (resultado.perItemSamples && items.length > 0) {
-                crearTornado(resultado.results, resultado.perItemSamples, items);
+                crearTornado(resultado.results, resultado.perItemSamples, items, resultado.correlatedItems,
+                    risks, resultado.riskSamples, resultado.factorItems
+                        ? { items: resultado.factorItems, samples: resultado.factorSamples }
+                        : null,
+                    resultado.driverSamples
+                        ? { drivers, items: resultado.driverItems, samples: resultado.driverSamples }
+                        : null);
             }
             
-            runSimulationBtn.disabled = false;
-            runSimulationBtn.textContent = 'Ejecutar Simulación';
+            finalizarSimulacionUI();
         }, 100);
         
     } catch (error) {
+        finalizarSimulacionUI();
+        
+        if (error.cancelada) return;
+        
         alert('Error al ejecutar simulación: ' + error.message);
         console.error('Error:', error);
-        runSimulationBtn.disabled = false;
-        runSimulationBtn.textContent = 'Ejecutar Simulación';
     }
 }
 
@@ -237,7 +993,7 @@ let histogramMouseLeaveHandler = null;
 
 /**
  * Crea el histograma interactivo con Chart.js (estilo @Risk)
- * @param {number[]} results - Array de resultados de la simulación
+ * @param {ArrayLike<number>} results - Resultados de la simulación
  * @param {Object} stats - Estadísticas calculadas
  * @param {number|null} numBins - Número de bins (null para auto)
  */
@@ -277,27 +1033,15 @@ function crearHistograma(results, stats, numBins = null) {
         binLabels.push((binStart + binEnd) / 2);
     }
     
-    results.forEach(value => {
-        let binIndex = Math.floor((value - min) / binWidth);
+    for (let i = 0; i < results.length; i++) {
+        let binIndex = Math.floor((results[i] - min) / binWidth);
         if (binIndex >= bins) binIndex = bins - 1;
         if (binIndex < 0) binIndex = 0;
         histogram[binIndex]++;
-    });
+    }
     
     // Destruir gráfico anterior si existe
-    if (histogramChart) {
-        // Remover event listeners antes de destruir
-        const oldCanvas = histogramChart.canvas;
-        if (oldCanvas) {
-            if (histogramMouseDownHandler) oldCanvas.removeEventListener('mousedown', histogramMouseDownHandler);
-            if (histogramMouseMoveHandler) oldCanvas.removeEventListener('mousemove', histogramMouseMoveHandler);
-            if (histogramMouseUpHandler) oldCanvas.removeEventListener('mouseup', histogramMouseUpHandler);
-            if (histogramMouseLeaveHandler) oldCanvas.removeEventListener('mouseleave', histogramMouseLeaveHandler);
-        }
-        histogramEventListenersAttached = false; // Resetear flag
-        histogramChart.destroy();
-        histogramChart = null;
-    }
+    destruirHistograma();
     
     // Calcular regiones para colorear
     // Usar currentLeftX si está definido, sino usar percentile5
@@ -305,8 +1049,7 @@ function crearHistograma(results, stats, numBins = null) {
     const rightX = stats.percentile95;
     
     // Calcular porcentajes actuales
-    const sorted = [...results].sort((a, b) => a - b);
-    const leftP = (results.filter(r => r <= leftX).length / results.length) * 100;
+    const leftP = (contarHastaValor(ordenarResultados(results), leftX) / results.length) * 100;
     const rightP = 100 - leftP;
     const centerP = 100 - (leftP + rightP);
     
@@ -534,8 +1277,9 @@ function crearHistograma(results, stats, numBins = null) {
                     }
                     
                     // Dibujar porcentajes centrados en cada región del histograma
-                    const leftP = (currentResults.filter(r => r <= currentLeftX).length / currentResults.length) * 100;
-                    const rightP = (currentResults.filter(r => r >= currentRightX).length / currentResults.length) * 100;
+                    const ordenados = ordenarResultados(currentResults);
+                    const leftP = (contarHastaValor(ordenados, currentLeftX) / currentResults.length) * 100;
+                    const rightP = ((currentResults.length - contarHastaValor(ordenados, currentRightX, false)) / currentResults.length) * 100;
                     const centerP = 100 - leftP - rightP;
                     
                     // Porcentaje izquierdo - centrado en la región izquierda
@@ -613,10 +1357,29 @@ function crearHistograma(results, stats, numBins = null) {
     });
 }
 
+/**
+ * Destruye el histograma y quita sus event listeners del canvas
+ */
+function destruirHistograma() {
+    if (!histogramChart) return;
+    
+    // Remover event listeners antes de destruir
+    const oldCanvas = histogramChart.canvas;
+    if (oldCanvas) {
+        if (histogramMouseDownHandler) oldCanvas.removeEventListener('mousedown', histogramMouseDownHandler);
+        if (histogramMouseMoveHandler) oldCanvas.removeEventListener('mousemove', histogramMouseMoveHandler);
+        if (histogramMouseUpHandler) oldCanvas.removeEventListener('mouseup', histogramMouseUpHandler);
+        if (histogramMouseLeaveHandler) oldCanvas.removeEventListener('mouseleave', histogramMouseLeaveHandler);
+    }
+    histogramEventListenersAttached = false; // Resetear flag
+    histogramChart.destroy();
+    histogramChart = null;
+}
+
 /**
  * Configura la interactividad del histograma (arrastrar líneas)
  * @param {HTMLCanvasElement} canvas - Elemento canvas del gráfico
- * @param {number[]} results - Array de resultados
+ * @param {ArrayLike<number>} results - Resultados de la simulación
  * @param {Object} stats - Estadísticas
  */
 function setupHistogramInteractivity(canvas, results, stats) {
@@ -692,7 +1455,7 @@ function setupHistogramInteractivity(canvas, results, stats) {
         window.currentLeftX = newLeftX;
         
         // Recalcular Izquierda P
-        const leftP = (results.filter(r => r <= newLeftX).length / results.length) * 100;
+        const leftP = (contarHastaValor(ordenarResultados(results), newLeftX) / results.length) * 100;
         
         // Actualizar input de Izquierda X
         const leftXInput = document.getElementById('leftXInput');
@@ -704,9 +1467,10 @@ function setupHistogramInteractivity(canvas, results, stats) {
         calcularIzquierdaP(results, newLeftX);
         
         // Recalcular métricas finales si hay suma probable
-        if (window.totalsData && window.totalsData.sumProbable) {
-            const finalMetrics = computeFinalMetrics(results, window.totalsData.sumProbable);
-            actualizarResultadosFinales(finalMetrics);
+        const plan = obtenerValorPlan(window.currentSimulationResult);
+        if (plan) {
+            const finalMetrics = computeFinalMetrics(results, plan.valor);
+            actualizarResultadosFinales(finalMetrics, plan.etiqueta);
         }
         
         // Redibujar histograma con nuevos colores solo si se solicita
@@ -849,9 +1613,10 @@ function setupHistogramInteractivity(canvas, results, stats) {
             chartCanvas.style.cursor = 'default';
             
             // Recalcular métricas finales y redibujar completamente
-            if (window.totalsData && window.totalsData.sumProbable) {
-                const finalMetrics = computeFinalMetrics(results, window.totalsData.sumProbable);
-                actualizarResultadosFinales(finalMetrics);
+            const plan = obtenerValorPlan(window.currentSimulationResult);
+            if (plan) {
+                const finalMetrics = computeFinalMetrics(results, plan.valor);
+                actualizarResultadosFinales(finalMetrics, plan.etiqueta);
             }
             
             // Redibujar histograma completo con nuevos colores
@@ -888,10 +1653,14 @@ function setupHistogramInteractivity(canvas, results, stats) {
  * Actualiza el panel estadístico lateral
  * @param {Object} stats - Estadísticas
  * @param {number} iterations - Número de iteraciones
+ * @param {Object} corrida - Resultado de la simulación, para mostrar muestreo, generador,
+ *        semilla y convergencia (opcional)
  */
-function actualizarPanelEstadistico(stats, iterations) {
+function actualizarPanelEstadistico(stats, iterations, corrida = {}, filtradas = 0) {
     if (!statsTable) return;
     
+    const { samplingMethod, generator, seed, convergence, riskCount, riskMitigation, schedule } = corrida;
+    
     const formatoNumero = (num, decimals = 2) => {
         if (num === null || num === undefined || isNaN(num)) return '-';
         return num.toLocaleString('es-ES', {
@@ -941,13 +1710,40 @@ function actualizarPanelEstadistico(stats, iterations) {
             <span class="stat-key">Iteraciones</span>
             <span class="stat-val">${iterations.toLocaleString('es-ES')}</span>
         </div>
+        <div class="stat-row">
+            <span class="stat-key">Muestreo</span>
+            <span class="stat-val">${NOMBRES_MUESTREO[samplingMethod] || '-'}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-key">Generador</span>
+            <span class="stat-val">${NOMBRES_GENERADOR[generator] || '-'}</span>
+        </div>
+        <div class="stat-row">
+            <span class="stat-key">Semilla</span>
+            <span class="stat-val">${seed !== undefined ? seed : '-'}</span>
+        </div>
+        ${convergence ? `
+        <div class="stat-row">
+            <span class="stat-key">Convergencia</span>
+            <span class="stat-val">${convergence.converged ? 'Sí' : 'No (máximo alcanzado)'}</span>
+        </div>` : ''}
+        ${schedule ? `
+        <div class="stat-row">
+            <span class="stat-key">Modo</span>
+            <span class="stat-val">Cronograma</span>
+        </div>` : ''}
+        ${riskCount ? `
+        <div class="stat-row">
+            <span class="stat-key">Riesgos</span>
+            <span class="stat-val">${riskCount} (${NOMBRES_MITIGACION[riskMitigation].toLowerCase()})</span>
+        </div>` : ''}
         <div class="stat-row">
             <span class="stat-key">Errores</span>
             <span class="stat-val">0</span>
         </div>
         <div class="stat-row">
             <span class="stat-key">Filtrados</span>
-            <span class="stat-val">0</span>
+            <span class="stat-val">${filtradas.toLocaleString('es-ES')}</span>
         </div>
         <div class="stat-row">
             <span class="stat-key">Derecha X</span>
@@ -960,13 +1756,13 @@ function actualizarPanelEstadistico(stats, iterations) {
 
 /**
  * Calcula y actualiza Izquierda P basado en Izquierda X
- * @param {number[]} results - Array de resultados
+ * @param {ArrayLike<number>} results - Resultados de la simulación
  * @param {number} leftX - Valor de Izquierda X
  */
 function calcularIzquierdaP(results, leftX) {
     if (!results || results.length === 0) return;
     
-    const count = results.filter(r => r <= leftX).length;
+    const count = contarHastaValor(ordenarResultados(results), leftX);
     const percentage = (count / results.length) * 100;
     
     if (leftPValue) {
@@ -980,14 +1776,17 @@ function calcularIzquierdaP(results, leftX) {
 function actualizarIzquierdaX() {
     if (!currentSimulationResult) return;
     
+    // Iteraciones mostradas: las del filtro, si hay uno aplicado
+    const vista = filtroIteraciones || currentSimulationResult;
+    
     const newLeftX = parseFloat(leftXInput.value);
     
     if (isNaN(newLeftX)) return;
     
     // Validar que esté en el rango
-    if (newLeftX < currentSimulationResult.stats.min || 
-        newLeftX > currentSimulationResult.stats.max) {
-        alert(`El valor debe estar entre ${currentSimulationResult.stats.min.toFixed(2)} y ${currentSimulationResult.stats.max.toFixed(2)}`);
+    if (newLeftX < vista.stats.min || 
+        newLeftX > vista.stats.max) {
+        alert(`El valor debe estar entre ${vista.stats.min.toFixed(2)} y ${vista.stats.max.toFixed(2)}`);
         leftXInput.value = currentLeftX.toFixed(2);
         return;
     }
@@ -996,76 +1795,564 @@ function actualizarIzquierdaX() {
     window.currentLeftX = newLeftX; // Sincronizar global
     
     // Recalcular Izquierda P
-    calcularIzquierdaP(currentSimulationResult.results, currentLeftX);
+    calcularIzquierdaP(vista.results, currentLeftX);
     
     // Recalcular métricas finales si hay suma probable
-    if (window.totalsData && window.totalsData.sumProbable) {
-        const finalMetrics = computeFinalMetrics(currentSimulationResult.results, window.totalsData.sumProbable);
-        actualizarResultadosFinales(finalMetrics);
+    const plan = obtenerValorPlan(currentSimulationResult);
+    if (plan) {
+        const finalMetrics = computeFinalMetrics(vista.results, plan.valor);
+        actualizarResultadosFinales(finalMetrics, plan.etiqueta);
     }
     
     // Actualizar histograma (usar resultados cacheados)
-    crearHistograma(currentSimulationResult.results, currentSimulationResult.stats, currentBins);
+    crearHistograma(vista.results, vista.stats, currentBins);
+    
+    // El escenario "bajo Izquierda X" depende del nuevo límite
+    if (ultimoEscenario && scenarioRangeSelect && scenarioRangeSelect.value === RANGOS_ESCENARIO.IZQUIERDA_X) {
+        crearAnalisisEscenarios(...ultimoEscenario);
+    }
 }
 
 /**
- * Calcula la contribución a la varianza para el gráfico Tornado
+ * Muestra el histograma, el panel de estadísticas y las métricas finales de
+ * un conjunto de iteraciones: todas las de la corrida o las del filtro
+ * @param {ArrayLike<number>} results - Totales de las iteraciones
+ * @param {Object} stats - Estadísticas de esos totales (getStatistics)
+ * @param {number} filtradas - Iteraciones que el filtro dejó fuera
+ * @returns {Object|null} Métricas finales, o null si no hay valor de comparación
  */
-function calcularContribucionVarianza(totalSamples, perItemSamples) {
-    const n = totalSamples.length;
-    
-    // Calcular varianza del total
-    const meanTotal = totalSamples.reduce((sum, val) => sum + val, 0) / n;
-    const varTotal = totalSamples.reduce((sum, val) => sum + Math.pow(val - meanTotal, 2), 0) / n;
-    
-    const contributions = [];
-    
-    for (let i = 0; i < perItemSamples.length; i++) {
-        const itemSamples = perItemSamples[i];
-        const meanItem = itemSamples.reduce((sum, val) => sum + val, 0) / n;
-        
-        // Calcular covarianza
-        let covariance = 0;
-        for (let j = 0; j < n; j++) {
-            covariance += (totalSamples[j] - meanTotal) * (itemSamples[j] - meanItem);
+function mostrarResultadosTotales(results, stats, filtradas = 0) {
+    // Izquierda X empieza en el P5 de las iteraciones mostradas
+    currentLeftX = stats.percentile5;
+    window.currentLeftX = currentLeftX; // Sincronizar global
+    leftXInput.value = currentLeftX.toFixed(2);
+    
+    crearHistograma(results, stats, currentBins);
+    actualizarPanelEstadistico(stats, results.length, currentSimulationResult, filtradas);
+    calcularIzquierdaP(results, currentLeftX);
+    
+    const plan = obtenerValorPlan(currentSimulationResult);
+    if (!plan) return null;
+    
+    const finalMetrics = computeFinalMetrics(results, plan.valor);
+    actualizarResultadosFinales(finalMetrics, plan.etiqueta);
+    return finalMetrics;
+}
+
+/**
+ * Índices de las iteraciones cuya muestra cae en [minimo, maximo]
+ * @param {ArrayLike<number>} muestras - Muestras de la entrada (o del total)
+ * @param {number} minimo - Límite inferior (NaN = sin límite)
+ * @param {number} maximo - Límite superior (NaN = sin límite)
+ * @returns {number[]} Índices en orden de iteración
+ */
+function filtrarIteraciones(muestras, minimo, maximo) {
+    const indices = [];
+    for (let i = 0; i < muestras.length; i++) {
+        const valor = muestras[i];
+        if ((isNaN(minimo) || valor >= minimo) && (isNaN(maximo) || valor <= maximo)) {
+            indices.push(i);
         }
-        covariance /= n;
-        
-        // Contribución porcentual
-        const contributionPct = (covariance / varTotal) * 100;
-        
-        contributions.push({
-            index: i,
-            contribution: contributionPct,
-            covariance: covariance,
-            variance: itemSamples.reduce((sum, val) => sum + Math.pow(val - meanItem, 2), 0) / n
-        });
     }
-    
-    return contributions;
+    return indices;
 }
 
 /**
- * Crea el gráfico Tornado
- * @param {number[]} totalSamples - Muestras totales
- * @param {number[][]} perItemSamples - Muestras por item
- * @param {Array} items - Array de items con descripciones
+ * Prepara el filtro de iteraciones para una corrida nueva: el total y cada
+ * item, riesgo y factor común como variable del filtro, y sin filtro aplicado
+ * @param {Object} resultado - Resultado de la simulación
+ * @param {Array} items - Items simulados
+ * @param {Array} risks - Riesgos simulados
+ * @param {Array} drivers - Factores comunes simulados
  */
-function crearTornado(totalSamples, perItemSamples, items) {
-    if (!tornadoArea) return;
-    
-    const contributions = calcularContribucionVarianza(totalSamples, perItemSamples);
+function configurarFiltroIteraciones(resultado, items, risks = [], drivers = []) {
+    if (!iterationFilter || !filterTargetSelect) return;
+    
+    entradasFiltro = [{ nombre: resultado.schedule ? 'Duración total' : 'Total', muestras: resultado.results }];
+    if (resultado.perItemSamples) {
+        items.forEach((item, i) => entradasFiltro.push({
+            nombre: `Item: ${item.descripcion || item.id || i + 1}`,
+            muestras: resultado.perItemSamples[i]
+        }));
+    }
+    (resultado.riskSamples || []).forEach((muestras, r) => entradasFiltro.push({
+        nombre: `Riesgo ${risks[r].id}${risks[r].descripcion ? ': ' + risks[r].descripcion : ''}`,
+        muestras
+    }));
+    (resultado.driverSamples || []).forEach((muestras, d) => entradasFiltro.push({
+        nombre: `Factor ${drivers[d].id}${drivers[d].descripcion ? ': ' + drivers[d].descripcion : ''}`,
+        muestras
+    }));
+    
+    filterTargetSelect.innerHTML = entradasFiltro
+        .map((entrada, k) => `<option value="${k}">${entrada.nombre}</option>`)
+        .join('');
+    filterMinInput.value = '';
+    filterMaxInput.value = '';
+    filtroIteraciones = null;
+    actualizarConteoFiltro(resultado.results.length, resultado.results.length);
+    iterationFilter.style.display = 'flex';
+}
+
+/**
+ * Muestra cuántas iteraciones quedan con el filtro
+ * @param {number} mostradas - Iteraciones que pasan el filtro
+ * @param {number} total - Iteraciones de la corrida
+ * @param {string} descripcion - Condición del filtro (vacía si no hay filtro)
+ */
+function actualizarConteoFiltro(mostradas, total, descripcion = '') {
+    if (!filterCount) return;
+    
+    filterCount.textContent = descripcion
+        ? `${descripcion}: ${mostradas.toLocaleString('es-ES')} de ${total.toLocaleString('es-ES')} iteraciones (${((mostradas / total) * 100).toFixed(1)}%)`
+        : `Sin filtro: ${total.toLocaleString('es-ES')} iteraciones`;
+}
+
+/**
+ * Recalcula estadísticas, histograma y métricas finales solo con las
+ * iteraciones en las que la variable elegida cae entre "Desde" y "Hasta"
+ * (en su valor o en su percentil), sin volver a simular
+ */
+function aplicarFiltroIteraciones() {
+    if (!currentSimulationResult || entradasFiltro.length === 0) return;
+    
+    try {
+        const entrada = entradasFiltro[parseInt(filterTargetSelect.value) || 0];
+        const enPercentil = filterUnitSelect && filterUnitSelect.value === UNIDADES_FILTRO.PERCENTIL;
+        let minimo = parseFloat(filterMinInput.value);
+        let maximo = parseFloat(filterMaxInput.value);
+        
+        if (isNaN(minimo) && isNaN(maximo)) {
+            throw new Error('Ingrese al menos un límite ("Desde" o "Hasta")');
+        }
+        if (!isNaN(minimo) && !isNaN(maximo) && minimo > maximo) {
+            throw new Error('"Desde" no puede ser mayor que "Hasta"');
+        }
+        
+        const formato = valor => (enPercentil ? 'P' : '') + valor.toLocaleString('es-PE', { maximumFractionDigits: 2 });
+        const descripcion = isNaN(maximo)
+            ? `${entrada.nombre} ≥ ${formato(minimo)}`
+            : isNaN(minimo)
+                ? `${entrada.nombre} ≤ ${formato(maximo)}`
+                : `${entrada.nombre} entre ${formato(minimo)} y ${formato(maximo)}`;
+        
+        // Percentiles de la propia variable (p.ej. movimiento de tierras sobre su P80)
+        if (enPercentil) {
+            if ([minimo, maximo].some(p => !isNaN(p) && (p < 0 || p > 100))) {
+                throw new Error('Los percentiles deben estar entre 0 y 100');
+            }
+            const ordenadas = ordenarResultados(entrada.muestras);
+            minimo = isNaN(minimo) ? NaN : percentile(ordenadas, minimo / 100);
+            maximo = isNaN(maximo) ? NaN : percentile(ordenadas, maximo / 100);
+        }
+        
+        const indices = filtrarIteraciones(entrada.muestras, minimo, maximo);
+        if (indices.length === 0) {
+            throw new Error('Ninguna iteración cumple el filtro');
+        }
+        
+        const total = currentSimulationResult.results;
+        const results = Float64Array.from(indices, i => total[i]);
+        filtroIteraciones = { results, stats: getStatistics(results) };
+        
+        mostrarResultadosTotales(results, filtroIteraciones.stats, total.length - results.length);
+        actualizarConteoFiltro(results.length, total.length, descripcion);
+    } catch (error) {
+        alert('Error al filtrar iteraciones: ' + error.message);
+    }
+}
+
+/**
+ * Vuelve a mostrar todas las iteraciones de la corrida
+ */
+function quitarFiltroIteraciones() {
+    if (!currentSimulationResult) return;
+    
+    filterMinInput.value = '';
+    filterMaxInput.value = '';
+    filtroIteraciones = null;
+    mostrarResultadosTotales(currentSimulationResult.results, currentSimulationResult.stats);
+    actualizarConteoFiltro(currentSimulationResult.results.length, currentSimulationResult.results.length);
+}
+
+/**
+ * Calcula la contribución a la varianza para el gráfico Tornado
+ */
+function calcularContribucionVarianza(totalSamples, perItemSamples) {
+    const n = totalSamples.length;
+    
+    // Calcular varianza del total
+    let meanTotal = 0;
+    for (let j = 0; j < n; j++) meanTotal += totalSamples[j];
+    meanTotal /= n;
+    let varTotal = 0;
+    for (let j = 0; j < n; j++) varTotal += (totalSamples[j] - meanTotal) * (totalSamples[j] - meanTotal);
+    varTotal /= n;
+    
+    const contributions = [];
+    
+    for (let i = 0; i < perItemSamples.length; i++) {
+        const itemSamples = perItemSamples[i];
+        let meanItem = 0;
+        for (let j = 0; j < n; j++) meanItem += itemSamples[j];
+        meanItem /= n;
+        
+        // Calcular covarianza y varianza del item en una pasada
+        let covariance = 0;
+        let variance = 0;
+        for (let j = 0; j < n; j++) {
+            const desvioItem = itemSamples[j] - meanItem;
+            covariance += (totalSamples[j] - meanTotal) * desvioItem;
+            variance += desvioItem * desvioItem;
+        }
+        covariance /= n;
+        variance /= n;
+        
+        // Contribución porcentual
+        const contributionPct = (covariance / varTotal) * 100;
+        
+        contributions.push({
+            index: i,
+            contribution: contributionPct,
+            covariance: covariance,
+            variance: variance
+        });
+    }
+    
+    return contributions;
+}
+
+/**
+ * Indica si una columna de muestras es constante salvo por el redondeo
+ * (p.ej. el porcentaje fijo de un item recalculado como monto / base)
+ * @param {ArrayLike<number>} muestras
+ * @returns {boolean}
+ */
+function esColumnaConstante(muestras) {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < muestras.length; i++) {
+        if (muestras[i] < min) min = muestras[i];
+        if (muestras[i] > max) max = muestras[i];
+    }
+    return !(max - min > TOLERANCIA_COLINEALIDAD * Math.max(1, Math.abs(max), Math.abs(min)));
+}
+
+/**
+ * Coeficientes de regresión estandarizados del total sobre las entradas
+ * (items, riesgos, factores), con el operador de barrido sobre la matriz de
+ * correlaciones. Las entradas constantes o que son combinación lineal de las
+ * anteriores (p.ej. un porcentaje fijo de otros items) quedan con coeficiente 0
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {ArrayLike<number>[]} columnas - Muestras de cada entrada
+ * @returns {{coeficientes:number[], r2:number}} Coeficiente de cada entrada y R² de la regresión
+ */
+function calcularCoeficientesRegresion(totalSamples, columnas) {
+    const n = totalSamples.length;
+    
+    // Columnas estandarizadas (media 0, norma √n); null si son constantes
+    const estandarizar = (muestras) => {
+        if (esColumnaConstante(muestras)) return null;
+        let media = 0;
+        for (let i = 0; i < n; i++) media += muestras[i];
+        media /= n;
+        let varianza = 0;
+        for (let i = 0; i < n; i++) varianza += (muestras[i] - media) * (muestras[i] - media);
+        const escala = 1 / Math.sqrt(varianza / n);
+        return Float64Array.from(muestras, valor => (valor - media) * escala);
+    };
+    const z = columnas.map(estandarizar).concat([estandarizar(totalSamples)]);
+    const m = z.length;
+    const y = m - 1;
+    if (!z[y]) {
+        return { coeficientes: columnas.map(() => 0), r2: 0 };
+    }
+    
+    // Matriz de correlaciones de las entradas y el total (el total al final)
+    const A = Array.from({ length: m }, () => new Float64Array(m));
+    for (let a = 0; a < m; a++) {
+        if (!z[a]) continue;
+        for (let b = a; b < m; b++) {
+            if (!z[b]) continue;
+            let producto = 0;
+            for (let i = 0; i < n; i++) producto += z[a][i] * z[b][i];
+            A[a][b] = A[b][a] = producto / n;
+        }
+    }
+    
+    // Barrer cada entrada con varianza residual suficiente: al final la
+    // columna del total tiene los coeficientes y su diagonal, 1 − R²
+    const barridas = [];
+    for (let k = 0; k < y; k++) {
+        const pivote = A[k][k];
+        if (!z[k] || !(pivote > TOLERANCIA_COLINEALIDAD)) continue;
+        for (let j = 0; j < m; j++) A[k][j] /= pivote;
+        for (let i = 0; i < m; i++) {
+            if (i === k) continue;
+            const factor = A[i][k];
+            if (factor === 0) continue;
+            for (let j = 0; j < m; j++) A[i][j] -= factor * A[k][j];
+            A[i][k] = -factor / pivote;
+        }
+        A[k][k] = 1 / pivote;
+        barridas.push(k);
+    }
+    
+    const coeficientes = columnas.map(() => 0);
+    barridas.forEach(k => {
+        coeficientes[k] = A[k][y];
+    });
+    
+    return { coeficientes, r2: Math.max(0, Math.min(1, 1 - A[y][y])) };
+}
+
+/**
+ * Correlación de rangos de Spearman entre el total y cada entrada
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {ArrayLike<number>[]} columnas - Muestras de cada entrada
+ * @returns {number[]} Correlación de cada entrada en [-1, 1]
+ */
+function calcularCorrelacionesRangos(totalSamples, columnas) {
+    const rangosTotal = calcularRangos(totalSamples);
+    return columnas.map(muestras => (esColumnaConstante(muestras) ? 0 : correlacionPearson(calcularRangos(muestras), rangosTotal)));
+}
+
+/**
+ * Reparte la contribución de un item que es el producto de varios factores
+ * (metrado × precio unitario, base × factores comunes) según sus efectos de
+ * primer orden: X·Y − E ≈ Ȳ·(X − X̄) + X̄·(Y − Ȳ), y así con más factores
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {ArrayLike<number>[]} factores - Muestras de cada factor del producto
+ * @returns {{fracciones:number[], varianzas:number[], coeficientes:number[]}}
+ *          fracciones: parte de la contribución de cada factor (suman 1);
+ *          varianzas de los efectos de primer orden; coeficientes: producto de
+ *          las medias de los demás factores (efecto = coeficiente × desvío del factor)
+ */
+function repartirContribucionProducto(totalSamples, factores) {
+    const n = totalSamples.length;
+    
+    let meanTotal = 0;
+    for (let i = 0; i < n; i++) meanTotal += totalSamples[i];
+    meanTotal /= n;
+    
+    const medias = factores.map(muestras => {
+        let suma = 0;
+        for (let i = 0; i < n; i++) suma += muestras[i];
+        return suma / n;
+    });
+    const coeficientes = medias.map((_, k) => medias.reduce((producto, media, l) => (l === k ? producto : producto * media), 1));
+    
+    const covarianzas = factores.map(() => 0);
+    const varianzas = factores.map(() => 0);
+    factores.forEach((muestras, k) => {
+        for (let i = 0; i < n; i++) {
+            const efecto = coeficientes[k] * (muestras[i] - medias[k]);
+            covarianzas[k] += (totalSamples[i] - meanTotal) * efecto;
+            varianzas[k] += efecto * efecto;
+        }
+    });
+    
+    // Sin variación en ningún efecto, repartir por igual
+    const suma = covarianzas.reduce((total, cov) => total + cov, 0);
+    return {
+        fracciones: covarianzas.map(cov => (Math.abs(suma) > 0 ? cov / suma : 1 / factores.length)),
+        varianzas: varianzas.map(varianza => varianza / n),
+        coeficientes
+    };
+}
+
+/**
+ * Crea el gráfico Tornado. Los riesgos del registro se muestran como barras
+ * propias, con otro color, junto a los items. Las partidas metrado × precio
+ * unitario se dividen en una barra por factor, y la parte de cada item que
+ * proviene de un factor común se suma en la barra de ese factor. El selector
+ * de método elige entre la contribución a la varianza, los coeficientes de
+ * regresión estandarizados y la correlación de rangos (barras con signo), y
+ * el de cantidad limita el gráfico a las entradas más influyentes
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {ArrayLike<number>[]} perItemSamples - Muestras por item
+ * @param {Array} items - Array de items con descripciones
+ * @param {number} correlatedItems - Cantidad de items correlacionados en la corrida (opcional)
+ * @param {Array} risks - Riesgos simulados (opcional)
+ * @param {ArrayLike<number>[]} riskSamples - Muestras por riesgo (0 si no ocurre) (opcional)
+ * @param {{items:number[], samples:ArrayLike<number>[]}} factores - Índices de las partidas metrado × precio
+ *        y sus muestras de metrado y precio, en ese orden (resultado.factorItems y factorSamples) (opcional)
+ * @param {{drivers:Array, items:number[][], samples:ArrayLike<number>[]}} impulsores - Factores comunes
+ *        simulados, los items que escala cada uno y sus multiplicadores (resultado.driverItems y
+ *        driverSamples) (opcional)
+ */
+function crearTornado(totalSamples, perItemSamples, items, correlatedItems = 0, risks = [], riskSamples = [], factores = null, impulsores = null) {
+    if (!tornadoArea) return;
+    
+    ultimoTornado = [totalSamples, perItemSamples, items, correlatedItems, risks, riskSamples, factores, impulsores];
+    
+    // Items y riesgos en un solo conjunto de columnas: la suma sigue siendo ~100%
+    // (muestras: la columna de cada entrada para la regresión y los rangos)
+    const entradas = items.map((item, i) => ({
+        nombre: item.descripcion || `Item ${i + 1}`,
+        detalle: `Item: ${item.descripcion || item.id}`,
+        distribucion: item.distribucion,
+        esRiesgo: false,
+        muestras: perItemSamples[i]
+    })).concat(riskSamples.map((_, r) => ({
+        nombre: `Riesgo ${risks[r].id}${risks[r].descripcion ? ': ' + risks[r].descripcion : ''}`,
+        detalle: `Riesgo: ${risks[r].descripcion || risks[r].id}`,
+        distribucion: risks[r].distribucion,
+        esRiesgo: true,
+        muestras: riskSamples[r]
+    })));
+    
+    // Items porcentuales: en la regresión y los rangos cuenta su porcentaje
+    // simulado; su monto es casi proporcional a la base y la desplazaría
+    const porcentajes = prepararPorcentajes(items);
+    if (porcentajes) {
+        porcentajes.orden.forEach(j => {
+            entradas[j].muestras = Float64Array.from(perItemSamples[j], (monto, i) => {
+                const base = porcentajes.bases[j].reduce((suma, k) => suma + perItemSamples[k][i], 0);
+                return base !== 0 ? (monto / base) * 100 : 0;
+            });
+        });
+    }
+    
+    const contributions = calcularContribucionVarianza(totalSamples, perItemSamples.concat(riskSamples));
+    
+    // Partidas metrado × precio e items escalados por factores comunes: la
+    // barra del item se reparte entre los factores de su producto
+    const productoDeItem = new Map(factores ? factores.items.map((j, c) => [j, c]) : []);
+    const impulsoresDeItem = new Map();
+    if (impulsores) {
+        impulsores.items.forEach((indices, d) => indices.forEach(j => {
+            impulsoresDeItem.set(j, (impulsoresDeItem.get(j) || []).concat(d));
+        }));
+    }
+    
+    // Cada factor común tiene una sola barra con lo que aporta a todos sus items
+    const barrasImpulsores = impulsores ? impulsores.drivers.map((driver, d) => {
+        entradas.push({
+            nombre: `Factor ${driver.id}${driver.descripcion ? ': ' + driver.descripcion : ''}`,
+            detalle: `Factor común: ${driver.descripcion || driver.id}`,
+            distribucion: driver.distribucion,
+            esImpulsor: true,
+            muestras: impulsores.samples[d]
+        });
+        return { index: entradas.length - 1, contribution: 0, covariance: 0, variance: 0 };
+    }) : [];
+    const coeficientesImpulsores = barrasImpulsores.map(() => 0);
+    
+    new Set([...productoDeItem.keys(), ...impulsoresDeItem.keys()]).forEach(j => {
+        const posicion = contributions.findIndex(contribucion => contribucion.index === j);
+        const partida = contributions[posicion];
+        const c = productoDeItem.get(j);
+        const propiosImpulsores = impulsoresDeItem.get(j) || [];
+        
+        // Factores propios del item: metrado y precio, o su valor sin los factores comunes
+        let propios;
+        if (c !== undefined) {
+            propios = [
+                { nombre: 'Metrado', muestras: factores.samples[2 * c] },
+                { nombre: 'P.U.', muestras: factores.samples[2 * c + 1] }
+            ];
+        } else {
+            const base = Float64Array.from(perItemSamples[j], (valor, i) => {
+                const multiplicador = propiosImpulsores.reduce((producto, d) => producto * impulsores.samples[d][i], 1);
+                return multiplicador !== 0 ? valor / multiplicador : 0;
+            });
+            propios = [{ nombre: null, muestras: base }];
+        }
+        
+        const reparto = repartirContribucionProducto(totalSamples,
+            propios.map(parte => parte.muestras).concat(propiosImpulsores.map(d => impulsores.samples[d])));
+        
+        propiosImpulsores.forEach((d, k) => {
+            const fraccion = reparto.fracciones[propios.length + k];
+            barrasImpulsores[d].contribution += partida.contribution * fraccion;
+            barrasImpulsores[d].covariance += partida.covariance * fraccion;
+            coeficientesImpulsores[d] += reparto.coeficientes[propios.length + k];
+        });
+        
+        const partes = propios.map((parte, k) => {
+            let index = j;
+            if (parte.nombre) {
+                entradas.push({
+                    ...entradas[j],
+                    nombre: `${entradas[j].nombre} · ${parte.nombre}`,
+                    detalle: `${entradas[j].detalle} (${parte.nombre.toLowerCase()})`,
+                    factor: parte.nombre,
+                    muestras: parte.muestras
+                });
+                index = entradas.length - 1;
+            } else {
+                // Item escalado por factores comunes: su valor sin los factores
+                entradas[j].muestras = parte.muestras;
+            }
+            return {
+                index,
+                contribution: partida.contribution * reparto.fracciones[k],
+                covariance: partida.covariance * reparto.fracciones[k],
+                variance: reparto.varianzas[k]
+            };
+        });
+        
+        contributions.splice(posicion, 1, ...partes);
+    });
     
-    // Ordenar por contribución descendente
-    contributions.sort((a, b) => b.contribution - a.contribution);
+    // Varianza del efecto de primer orden de cada factor común sobre todos sus items
+    barrasImpulsores.forEach((barra, d) => {
+        const muestras = impulsores.samples[d];
+        let media = 0;
+        for (let i = 0; i < muestras.length; i++) media += muestras[i];
+        media /= muestras.length;
+        let varianza = 0;
+        for (let i = 0; i < muestras.length; i++) varianza += (muestras[i] - media) * (muestras[i] - media);
+        barra.variance = (varianza / muestras.length) * coeficientesImpulsores[d] * coeficientesImpulsores[d];
+        contributions.push(barra);
+    });
+    
+    // Valor de cada entrada según el método elegido
+    const metodo = sensitivityMethodSelect ? sensitivityMethodSelect.value : METODOS_SENSIBILIDAD.VARIANZA;
+    let r2 = null;
+    if (metodo === METODOS_SENSIBILIDAD.REGRESION) {
+        const regresion = calcularCoeficientesRegresion(totalSamples, contributions.map(c => entradas[c.index].muestras));
+        contributions.forEach((c, k) => { c.valor = regresion.coeficientes[k]; });
+        r2 = regresion.r2;
+    } else if (metodo === METODOS_SENSIBILIDAD.SPEARMAN) {
+        const correlaciones = calcularCorrelacionesRangos(totalSamples, contributions.map(c => entradas[c.index].muestras));
+        contributions.forEach((c, k) => { c.valor = correlaciones[k]; });
+    } else {
+        contributions.forEach(c => { c.valor = c.contribution; });
+    }
+    
+    // Contribución: de mayor a menor; coeficientes y correlaciones: por valor absoluto
+    if (metodo === METODOS_SENSIBILIDAD.VARIANZA) {
+        contributions.sort((a, b) => b.valor - a.valor);
+    } else {
+        contributions.sort((a, b) => Math.abs(b.valor) - Math.abs(a.valor));
+    }
+    
+    // Solo las N entradas más influyentes (0 = todas)
+    const maximoBarras = tornadoTopSelect ? parseInt(tornadoTopSelect.value) : 0;
+    const mostradas = maximoBarras > 0 ? contributions.slice(0, maximoBarras) : contributions;
+    
+    const tituloEje = {
+        [METODOS_SENSIBILIDAD.VARIANZA]: 'Contribución a la Varianza (%)',
+        [METODOS_SENSIBILIDAD.REGRESION]: 'Coeficiente de regresión estandarizado',
+        [METODOS_SENSIBILIDAD.SPEARMAN]: 'Correlación de rangos (Spearman)'
+    }[metodo];
     
     // Preparar datos para Chart.js
-    const labels = contributions.map(c => items[c.index].descripcion || `Item ${c.index + 1}`);
-    const data = contributions.map(c => c.contribution);
-    const variances = contributions.map(c => c.variance);
+    const labels = mostradas.map(c => entradas[c.index].nombre);
+    const data = mostradas.map(c => c.valor);
+    const colores = mostradas.map(c => {
+        if (entradas[c.index].esRiesgo) return '220, 53, 69';
+        if (entradas[c.index].esImpulsor) return '253, 126, 20';
+        return entradas[c.index].factor === 'P.U.' ? '118, 75, 162' : '102, 126, 234';
+    });
     
     // Calcular suma
     const suma = contributions.reduce((sum, c) => sum + c.contribution, 0);
+    const sumaRiesgos = contributions
+        .filter(c => entradas[c.index].esRiesgo)
+        .reduce((sum, c) => sum + c.contribution, 0);
     
     // Mostrar área del tornado
     tornadoArea.style.display = 'block';
@@ -1074,8 +2361,36 @@ function crearTornado(totalSamples, perItemSamples, items) {
     const summaryDiv = document.getElementById('tornadoSummary');
     if (summaryDiv) {
         summaryDiv.innerHTML = `<strong>Suma de contribuciones:</strong> ${suma.toFixed(2)}%`;
+        if (correlatedItems > 0) {
+            // Con correlación las covarianzas cruzadas se reparten entre los items correlacionados
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Simulación correlacionada:</strong> ${correlatedItems} items`;
+        }
+        if (riskSamples.length > 0) {
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Riesgos (en rojo):</strong> ${sumaRiesgos.toFixed(2)}%`;
+        }
+        if (factores) {
+            const sumaPrecios = contributions
+                .filter(c => entradas[c.index].factor === 'P.U.')
+                .reduce((sum, c) => sum + c.contribution, 0);
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Partidas metrado × P.U.:</strong> ${factores.items.length}` +
+                ` (precios unitarios, en morado: ${sumaPrecios.toFixed(2)}%)`;
+        }
+        if (impulsores) {
+            const sumaImpulsores = barrasImpulsores.reduce((sum, barra) => sum + barra.contribution, 0);
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Factores comunes (en naranja):</strong> ${sumaImpulsores.toFixed(2)}%`;
+        }
+        if (r2 !== null) {
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>R² de la regresión:</strong> ${r2.toFixed(3)}`;
+        }
+        if (mostradas.length < contributions.length) {
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; Se muestran ${mostradas.length} de ${contributions.length} entradas`;
+        }
     }
     
+    // Spider, Tornado por percentiles y escenarios con las mismas entradas
+    crearGraficosImpacto(totalSamples, contributions.map(c => entradas[c.index]));
+    crearAnalisisEscenarios(totalSamples, contributions.map(c => entradas[c.index]));
+    
     // Destruir gráfico anterior si existe
     const ctx = document.getElementById('tornadoChart');
     if (!ctx) return;
@@ -1090,10 +2405,10 @@ function crearTornado(totalSamples, perItemSamples, items) {
         data: {
             labels: labels,
             datasets: [{
-                label: 'Contribución a la Varianza (%)',
+                label: tituloEje,
                 data: data,
-                backgroundColor: 'rgba(102, 126, 234, 0.6)',
-                borderColor: 'rgba(102, 126, 234, 1)',
+                backgroundColor: colores.map(c => `rgba(${c}, 0.6)`),
+                borderColor: colores.map(c => `rgba(${c}, 1)`),
                 borderWidth: 1
             }]
         },
@@ -1109,12 +2424,19 @@ function crearTornado(totalSamples, perItemSamples, items) {
                     callbacks: {
                         label: function(context) {
                             const index = context.dataIndex;
-                            const contribution = contributions[index];
-                            return [
-                                `Item: ${items[contribution.index].descripcion || items[contribution.index].id}`,
+                            const contribution = mostradas[index];
+                            const entrada = entradas[contribution.index];
+                            const lineas = [
+                                entrada.detalle,
+                                `Distribución${entrada.esRiesgo ? ' del impacto' : ''}: ${NOMBRES_DISTRIBUCION[entrada.distribucion || TIPOS_DISTRIBUCION.PERT]}`
+                            ];
+                            if (metodo !== METODOS_SENSIBILIDAD.VARIANZA) {
+                                lineas.push(`${tituloEje}: ${contribution.valor.toFixed(3)}`);
+                            }
+                            return lineas.concat([
                                 `Contribución: ${contribution.contribution.toFixed(2)}%`,
                                 `Varianza: ${contribution.variance.toFixed(4)}`
-                            ];
+                            ]);
                         }
                     }
                 }
@@ -1122,15 +2444,1623 @@ function crearTornado(totalSamples, perItemSamples, items) {
             scales: {
                 x: {
                     beginAtZero: true,
+                    suggestedMin: metodo === METODOS_SENSIBILIDAD.VARIANZA ? undefined : -1,
+                    suggestedMax: metodo === METODOS_SENSIBILIDAD.VARIANZA ? undefined : 1,
                     title: {
                         display: true,
-                        text: 'Contribución a la Varianza (%)'
+                        text: tituloEje
                     }
                 },
                 y: {
                     title: {
                         display: true,
-                        text: 'Items'
+                        text: riskSamples.length > 0 ? 'Items y riesgos' : 'Items'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Agrupa las iteraciones según el percentil de una entrada y calcula en cada
+ * grupo la media o la mediana del total
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {ArrayLike<number>} muestras - Muestras de la entrada
+ * @param {number} numGrupos - Grupos de igual tamaño (10 = deciles)
+ * @param {string} estadistico - 'mean' o 'p50'
+ * @returns {number[]} Valor del total en cada grupo, del percentil más bajo de la entrada al más alto
+ */
+function calcularImpactoPorPercentiles(totalSamples, muestras, numGrupos, estadistico) {
+    const n = totalSamples.length;
+    const indices = Array.from({ length: n }, (_, i) => i);
+    indices.sort((x, y) => muestras[x] - muestras[y]);
+    
+    const valores = [];
+    for (let g = 0; g < numGrupos; g++) {
+        const desde = Math.floor(g * n / numGrupos);
+        const hasta = Math.floor((g + 1) * n / numGrupos);
+        const grupo = new Float64Array(hasta - desde);
+        for (let k = desde; k < hasta; k++) grupo[k - desde] = totalSamples[indices[k]];
+        
+        if (estadistico === 'p50') {
+            valores.push(percentile(grupo.sort(), 0.5));
+        } else {
+            valores.push(grupo.reduce((suma, valor) => suma + valor, 0) / grupo.length);
+        }
+    }
+    
+    return valores;
+}
+
+/**
+ * Crea el Tornado por percentiles (cuánto se mueve la media o la mediana del
+ * total cuando cada entrada está en su 10% más bajo o más alto) y el Spider
+ * (el mismo estadístico en cada decil de la entrada), en unidades del total
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {Array<{nombre:string, muestras:ArrayLike<number>}>} entradas - Items, riesgos y factores del Tornado
+ */
+function crearGraficosImpacto(totalSamples, entradas) {
+    if (!impactArea) return;
+    
+    ultimoImpacto = [totalSamples, entradas];
+    
+    const estadistico = impactStatisticSelect ? impactStatisticSelect.value : 'mean';
+    const nombreEstadistico = estadistico === 'p50' ? 'P50' : 'Media';
+    const base = estadistico === 'p50'
+        ? percentile(ordenarResultados(totalSamples), 0.5)
+        : totalSamples.reduce((suma, valor) => suma + valor, 0) / totalSamples.length;
+    
+    // Las entradas con mayor recorrido primero; solo las N elegidas en el Tornado.
+    // Las constantes no tienen percentiles: sus grupos serían arbitrarios
+    const impactos = entradas.filter(entrada => !esColumnaConstante(entrada.muestras)).map(entrada => {
+        const valores = calcularImpactoPorPercentiles(totalSamples, entrada.muestras, NUM_GRUPOS_IMPACTO, estadistico);
+        return { entrada, valores, bajo: valores[0], alto: valores[valores.length - 1] };
+    }).sort((a, b) => Math.abs(b.alto - b.bajo) - Math.abs(a.alto - a.bajo));
+    const maximoBarras = tornadoTopSelect ? parseInt(tornadoTopSelect.value) : 0;
+    const mostrados = maximoBarras > 0 ? impactos.slice(0, maximoBarras) : impactos;
+    
+    impactArea.style.display = 'block';
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    const summaryDiv = document.getElementById('impactSummary');
+    if (summaryDiv) {
+        summaryDiv.innerHTML = `<strong>${nombreEstadistico} del total:</strong> ${formatoNumero(base)} &nbsp;|&nbsp; ` +
+            `Barras: ${nombreEstadistico} del total con la entrada en su 10% más bajo (≤ P10, en azul) ` +
+            'y en su 10% más alto (≥ P90, en naranja)';
+        if (mostrados.length > 0) {
+            const mayor = mostrados[0];
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Mayor impacto:</strong> ${mayor.entrada.nombre} ` +
+                `(${formatoNumero(mayor.alto - mayor.bajo)})`;
+        }
+    }
+    
+    // Línea de referencia en el estadístico del total (vertical en el Tornado, horizontal en el Spider)
+    const lineaBase = (eje) => ({
+        id: 'lineaBase',
+        afterDraw: (chart) => {
+            const escala = chart.scales[eje];
+            if (!escala) return;
+            const ctx = chart.ctx;
+            const posicion = escala.getPixelForValue(base);
+            ctx.save();
+            ctx.strokeStyle = 'rgba(51, 51, 51, 0.8)';
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            if (eje === 'x') {
+                ctx.moveTo(posicion, chart.chartArea.top);
+                ctx.lineTo(posicion, chart.chartArea.bottom);
+            } else {
+                ctx.moveTo(chart.chartArea.left, posicion);
+                ctx.lineTo(chart.chartArea.right, posicion);
+            }
+            ctx.stroke();
+            ctx.restore();
+        }
+    });
+    
+    const ctxTornado = document.getElementById('rangeTornadoChart');
+    if (ctxTornado) {
+        if (rangeTornadoChart) {
+            rangeTornadoChart.destroy();
+        }
+        
+        rangeTornadoChart = new Chart(ctxTornado, {
+            type: 'bar',
+            data: {
+                labels: mostrados.map(impacto => impacto.entrada.nombre),
+                datasets: [
+                    {
+                        label: 'Entrada ≤ P10',
+                        data: mostrados.map(impacto => [base, impacto.bajo]),
+                        backgroundColor: 'rgba(102, 126, 234, 0.6)',
+                        borderColor: 'rgba(102, 126, 234, 1)',
+                        borderWidth: 1,
+                        grouped: false
+                    },
+                    {
+                        label: 'Entrada ≥ P90',
+                        data: mostrados.map(impacto => [base, impacto.alto]),
+                        backgroundColor: 'rgba(253, 126, 20, 0.6)',
+                        borderColor: 'rgba(253, 126, 20, 1)',
+                        borderWidth: 1,
+                        grouped: false
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => {
+                                const valor = context.raw[1];
+                                const signo = valor >= base ? '+' : '−';
+                                return `${context.dataset.label}: ${formatoNumero(valor)} (${signo}${formatoNumero(Math.abs(valor - base))})`;
+                            }
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: `${nombreEstadistico} del total`
+                        }
+                    }
+                }
+            },
+            plugins: [lineaBase('x')]
+        });
+    }
+    
+    const ctxSpider = document.getElementById('spiderChart');
+    if (ctxSpider) {
+        if (spiderChart) {
+            spiderChart.destroy();
+        }
+        
+        // Centro de cada decil de la entrada: 5%, 15%, ..., 95%
+        const centros = Array.from({ length: NUM_GRUPOS_IMPACTO }, (_, g) => (g + 0.5) * 100 / NUM_GRUPOS_IMPACTO);
+        
+        spiderChart = new Chart(ctxSpider, {
+            type: 'line',
+            data: {
+                labels: centros.map(centro => `P${centro}`),
+                datasets: mostrados.map((impacto, k) => {
+                    const color = COLORES_SPIDER[k % COLORES_SPIDER.length];
+                    return {
+                        label: impacto.entrada.nombre,
+                        data: impacto.valores,
+                        borderColor: `rgba(${color}, 1)`,
+                        backgroundColor: `rgba(${color}, 0.2)`,
+                        borderWidth: 2,
+                        pointRadius: 3,
+                        tension: 0.2
+                    };
+                })
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            title: (items) => `Entrada en el decil centrado en ${items[0].label}`,
+                            label: (context) => `${context.dataset.label}: ${formatoNumero(context.parsed.y)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Percentil de la entrada'
+                        }
+                    },
+                    y: {
+                        title: {
+                            display: true,
+                            text: `${nombreEstadistico} del total`
+                        }
+                    }
+                }
+            },
+            plugins: [lineaBase('y')]
+        });
+    }
+}
+
+/**
+ * Compara, para cada entrada, su mediana en las iteraciones del escenario con
+ * su mediana en todas las iteraciones, en desviaciones estándar de la entrada
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {Array<{muestras:ArrayLike<number>}>} entradas - Items, riesgos y factores
+ * @param {Function} enEscenario - Recibe el total de una iteración y dice si pertenece al escenario
+ * @returns {{iteraciones:number, filas:Array<{entrada:Object, mediana:number, medianaEscenario:number,
+ *          diferencia:number, percentil:number}>}} diferencia: (mediana del escenario − mediana) / desviación;
+ *          percentil: posición de la mediana del escenario en la distribución de la entrada (0-100)
+ */
+function calcularEscenario(totalSamples, entradas, enEscenario) {
+    const n = totalSamples.length;
+    const seleccionadas = [];
+    for (let i = 0; i < n; i++) {
+        if (enEscenario(totalSamples[i])) seleccionadas.push(i);
+    }
+    if (seleccionadas.length === 0) {
+        return { iteraciones: 0, filas: [] };
+    }
+    
+    const filas = entradas.filter(entrada => !esColumnaConstante(entrada.muestras)).map(entrada => {
+        const muestras = entrada.muestras;
+        const ordenadas = ordenarResultados(muestras);
+        
+        let media = 0;
+        for (let i = 0; i < n; i++) media += muestras[i];
+        media /= n;
+        let varianza = 0;
+        for (let i = 0; i < n; i++) varianza += (muestras[i] - media) * (muestras[i] - media);
+        const desviacion = Math.sqrt(varianza / n);
+        
+        const enRango = Float64Array.from(seleccionadas, i => muestras[i]).sort();
+        const mediana = percentile(ordenadas, 0.5);
+        const medianaEscenario = percentile(enRango, 0.5);
+        
+        return {
+            entrada,
+            mediana,
+            medianaEscenario,
+            diferencia: (medianaEscenario - mediana) / desviacion,
+            percentil: (contarHastaValor(ordenadas, medianaEscenario) / n) * 100
+        };
+    });
+    
+    return { iteraciones: seleccionadas.length, filas };
+}
+
+/**
+ * Análisis de escenarios: qué entradas explican las iteraciones del total en
+ * el rango elegido (p.ej. sobre Derecha X). Lista las entradas cuya mediana en
+ * esas iteraciones se aleja de su mediana general más que el umbral
+ * @param {ArrayLike<number>} totalSamples - Muestras totales
+ * @param {Array<{nombre:string, muestras:ArrayLike<number>}>} entradas - Items, riesgos y factores del Tornado
+ */
+function crearAnalisisEscenarios(totalSamples, entradas) {
+    if (!scenarioArea) return;
+    
+    ultimoEscenario = [totalSamples, entradas];
+    scenarioArea.style.display = 'block';
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    // Límite del rango según el selector (Derecha X es el P95 del histograma)
+    const ordenados = ordenarResultados(totalSamples);
+    const rango = scenarioRangeSelect ? scenarioRangeSelect.value : RANGOS_ESCENARIO.DERECHA_X;
+    if (scenarioValueInput) {
+        scenarioValueInput.disabled = rango !== RANGOS_ESCENARIO.SOBRE_VALOR;
+    }
+    
+    let limite;
+    let descripcion;
+    let enEscenario;
+    if (rango === RANGOS_ESCENARIO.IZQUIERDA_X) {
+        limite = window.currentLeftX !== null && window.currentLeftX !== undefined
+            ? window.currentLeftX
+            : percentile(ordenados, 0.05);
+        descripcion = `total ≤ Izquierda X (${formatoNumero(limite)})`;
+        enEscenario = valor => valor <= limite;
+    } else {
+        if (rango === RANGOS_ESCENARIO.SOBRE_VALOR) {
+            limite = parseFloat(scenarioValueInput ? scenarioValueInput.value : '');
+            if (isNaN(limite)) {
+                limite = percentile(ordenados, 0.95);
+                if (scenarioValueInput) scenarioValueInput.value = limite.toFixed(2);
+            }
+            descripcion = `total > ${formatoNumero(limite)}`;
+        } else {
+            const p = { [RANGOS_ESCENARIO.P90]: 0.9, [RANGOS_ESCENARIO.P75]: 0.75 }[rango] || 0.95;
+            limite = percentile(ordenados, p);
+            descripcion = rango === RANGOS_ESCENARIO.DERECHA_X
+                ? `total > Derecha X (${formatoNumero(limite)})`
+                : `total > P${Math.round(p * 100)} (${formatoNumero(limite)})`;
+        }
+        enEscenario = valor => valor > limite;
+    }
+    
+    let umbral = parseFloat(scenarioThresholdInput ? scenarioThresholdInput.value : '');
+    if (isNaN(umbral) || umbral < 0) {
+        umbral = UMBRAL_ESCENARIO_DEFAULT;
+        if (scenarioThresholdInput) scenarioThresholdInput.value = umbral;
+    }
+    
+    const escenario = calcularEscenario(totalSamples, entradas, enEscenario);
+    const significativas = escenario.filas
+        .filter(fila => Math.abs(fila.diferencia) >= umbral)
+        .sort((a, b) => Math.abs(b.diferencia) - Math.abs(a.diferencia));
+    
+    let html = '<thead><tr><th>ENTRADA</th><th>Mediana</th><th>Mediana en el escenario</th>' +
+        '<th>Diferencia (desv. est.)</th><th>Percentil en el escenario</th></tr></thead><tbody>';
+    if (escenario.iteraciones === 0) {
+        html += '<tr><td colspan="5">Ninguna iteración cae en el rango elegido</td></tr>';
+    } else if (significativas.length === 0) {
+        html += `<tr><td colspan="5">Ninguna entrada se aleja de su mediana más de ${umbral} desviaciones estándar</td></tr>`;
+    }
+    significativas.forEach(fila => {
+        html += `<tr>
+            <td>${fila.entrada.nombre}</td>
+            <td class="number">${formatoNumero(fila.mediana)}</td>
+            <td class="number">${formatoNumero(fila.medianaEscenario)}</td>
+            <td class="number">${fila.diferencia >= 0 ? '+' : ''}${fila.diferencia.toFixed(2)}</td>
+            <td class="number">P${fila.percentil.toFixed(0)}</td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    
+    const table = document.getElementById('scenarioTable');
+    if (table) {
+        table.innerHTML = html;
+    }
+    
+    const summaryDiv = document.getElementById('scenarioSummary');
+    if (summaryDiv) {
+        const porcentaje = (escenario.iteraciones / totalSamples.length) * 100;
+        summaryDiv.innerHTML = `<strong>Escenario:</strong> ${descripcion}, ` +
+            `${escenario.iteraciones.toLocaleString('es-ES')} iteraciones (${porcentaje.toFixed(1)}%) &nbsp;|&nbsp; ` +
+            `<strong>Entradas significativas:</strong> ${significativas.length} de ${escenario.filas.length} ` +
+            `(|diferencia| ≥ ${umbral} desviaciones estándar)`;
+    }
+}
+
+/**
+ * Histogramas de varias corridas con las mismas clases, para superponerlos
+ * @param {Array<ArrayLike<number>>} listaResultados - Totales de cada corrida
+ * @param {number} numBins - Número de clases entre el mínimo y el máximo de todas
+ * @returns {{minimo:number, ancho:number, frecuencias:number[][]}} Frecuencia (%) de cada clase por corrida
+ */
+function calcularFrecuenciasComunes(listaResultados, numBins) {
+    let minimo = Infinity;
+    let maximo = -Infinity;
+    listaResultados.forEach(results => {
+        const ordenados = ordenarResultados(results);
+        minimo = Math.min(minimo, ordenados[0]);
+        maximo = Math.max(maximo, ordenados[ordenados.length - 1]);
+    });
+    
+    const ancho = (maximo - minimo) / numBins || 1;
+    const frecuencias = listaResultados.map(results => {
+        const conteo = new Float64Array(numBins);
+        for (let i = 0; i < results.length; i++) {
+            conteo[Math.min(numBins - 1, Math.floor((results[i] - minimo) / ancho))]++;
+        }
+        return Array.from(conteo, c => (c / results.length) * 100);
+    });
+    
+    return { minimo, ancho, frecuencias };
+}
+
+/**
+ * Prepara el análisis de estrés para una corrida nueva: los items que se
+ * pueden estresar (se conserva la selección) y la tabla de casos
+ * @param {Array} items - Items simulados
+ */
+function configurarEstres(items) {
+    if (!stressArea || !stressItemSelect) return;
+    
+    const seleccionados = new Set(Array.from(stressItemSelect.selectedOptions, opcion => opcion.value));
+    stressItemSelect.innerHTML = items.map(item => {
+        const id = String(item.id);
+        const seleccionado = seleccionados.has(id) ? ' selected' : '';
+        return `<option value="${id}"${seleccionado}>${id}${item.descripcion ? ' - ' + item.descripcion : ''}</option>`;
+    }).join('');
+    
+    // Los resultados anteriores se compararon con otra corrida base
+    resultadosEstres = null;
+    [stressChart, stressBoxChart].forEach(chart => {
+        if (chart) chart.destroy();
+    });
+    stressChart = null;
+    stressBoxChart = null;
+    const summaryDiv = document.getElementById('stressSummary');
+    if (summaryDiv) {
+        summaryDiv.innerHTML = '';
+    }
+    
+    stressArea.style.display = 'block';
+    if (runStressBtn) runStressBtn.disabled = false;
+    mostrarCasosEstres();
+}
+
+/**
+ * Agrega un caso de estrés con los items seleccionados y el rango de
+ * percentiles o el valor fijo de los controles
+ */
+function agregarCasoEstres() {
+    const ids = Array.from(stressItemSelect.selectedOptions, opcion => opcion.value);
+    if (ids.length === 0) {
+        alert('Seleccione uno o más items para el caso de estrés.');
+        return;
+    }
+    
+    let ajustes;
+    if (stressModeSelect.value === MODOS_ESTRES.VALOR) {
+        const valor = parseFloat(stressValueInput.value);
+        if (isNaN(valor)) {
+            alert('Ingrese el valor fijo de los items estresados.');
+            return;
+        }
+        ajustes = ids.map(id => ({ id, value: valor }));
+    } else {
+        const desde = parseFloat(stressFromInput.value);
+        const hasta = parseFloat(stressToInput.value);
+        if (!(desde >= 0 && desde <= hasta && hasta <= 100)) {
+            alert('Los percentiles deben cumplir 0 ≤ desde ≤ hasta ≤ 100.');
+            return;
+        }
+        
+        // P0 y P100 de una distribución no acotada (Normal, Lognormal...) son infinitos
+        if (ultimaCorrida && desde === hasta && (desde === 0 || desde === 100)) {
+            const noAcotados = ids.filter(id => {
+                const item = ultimaCorrida.items.find(candidato => String(candidato.id) === id);
+                if (!item) return false;
+                const rango = rangoDistribucion(prepararDistribucion(item));
+                return !Number.isFinite(desde === 0 ? rango.min : rango.max);
+            });
+            if (noAcotados.length > 0) {
+                alert(`El P${desde} de ${noAcotados.join(', ')} es infinito (distribución no acotada). Use un rango de percentiles o un valor fijo.`);
+                return;
+            }
+        }
+        ajustes = ids.map(id => ({ id, from: desde, to: hasta }));
+    }
+    
+    window.stressCases.push({ ajustes });
+    mostrarCasosEstres();
+}
+
+/**
+ * Quita un caso de estrés
+ * @param {number} index - Posición del caso
+ */
+function quitarCasoEstres(index) {
+    window.stressCases.splice(index, 1);
+    mostrarCasosEstres();
+}
+
+/**
+ * Percentiles y media de una corrida para la tabla y el diagrama de caja
+ * @param {ArrayLike<number>} results - Totales de la corrida
+ * @returns {{media:number, p5:number, p25:number, p50:number, p75:number, p90:number, p95:number}}
+ */
+function resumirCorridaEstres(results) {
+    const ordenados = ordenarResultados(results);
+    let media = 0;
+    for (let i = 0; i < results.length; i++) media += results[i];
+    
+    return {
+        media: media / results.length,
+        p5: percentile(ordenados, 0.05),
+        p25: percentile(ordenados, 0.25),
+        p50: percentile(ordenados, 0.5),
+        p75: percentile(ordenados, 0.75),
+        p90: percentile(ordenados, 0.9),
+        p95: percentile(ordenados, 0.95)
+    };
+}
+
+/**
+ * Muestra la tabla de casos de estrés con los resultados de la última
+ * ejecución (los casos agregados después quedan sin resultados)
+ */
+function mostrarCasosEstres() {
+    const table = document.getElementById('stressTable');
+    if (!table) return;
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    const resumenes = resultadosEstres ? new Map(resultadosEstres.casos.map(corrida => [corrida.caso, corrida.resumen])) : new Map();
+    const base = resultadosEstres ? resultadosEstres.base.resumen : null;
+    
+    const celdas = (resumen) => (resumen
+        ? `<td class="number">${formatoNumero(resumen.media)}</td>
+            <td class="number">${formatoNumero(resumen.p50)}</td>
+            <td class="number">${formatoNumero(resumen.p90)}</td>
+            <td class="number">${base && resumen !== base ? (resumen.media >= base.media ? '+' : '') + formatoNumero(resumen.media - base.media) : '-'}</td>`
+        : '<td class="number">-</td><td class="number">-</td><td class="number">-</td><td class="number">-</td>');
+    
+    let html = '<thead><tr><th>CASO</th><th>Estrés</th><th>Media</th><th>P50</th><th>P90</th><th>Δ Media</th><th></th></tr></thead><tbody>';
+    if (base) {
+        html += `<tr><td>Base</td><td>Sin estrés</td>${celdas(base)}<td></td></tr>`;
+    }
+    window.stressCases.forEach((caso, index) => {
+        html += `<tr>
+            <td>Caso ${index + 1}</td>
+            <td>${caso.ajustes.map(describirEstres).join('; ')}</td>
+            ${celdas(resumenes.get(caso))}
+            <td><button type="button" class="btn-remove" data-index="${index}" title="Quitar caso">×</button></td>
+        </tr>`;
+    });
+    if (window.stressCases.length === 0) {
+        html += '<tr><td colspan="7">Seleccione items y agregue un caso de estrés</td></tr>';
+    }
+    html += '</tbody>';
+    table.innerHTML = html;
+    
+    table.querySelectorAll('.btn-remove').forEach(button => {
+        button.addEventListener('click', () => quitarCasoEstres(parseInt(button.dataset.index)));
+    });
+}
+
+/**
+ * Repite la última simulación (misma semilla, iteraciones y opciones) una vez
+ * por caso de estrés y compara los totales con los de la corrida base
+ */
+async function ejecutarAnalisisEstres() {
+    if (!ultimaCorrida || simulacionEnCurso) return;
+    
+    const casos = window.stressCases.slice();
+    if (casos.length === 0) {
+        alert('Agregue al menos un caso de estrés.');
+        return;
+    }
+    
+    const corridaBase = ultimaCorrida;
+    const { items, opciones, iterations } = corridaBase;
+    
+    // Sin convergencia: todas las corridas con las mismas iteraciones. Si la
+    // corrida base fue por lotes, también se repite para comparar lo mismo
+    const opcionesEstres = { ...opciones, convergence: undefined, perItemSamples: false };
+    const repetirBase = Boolean(opciones.convergence);
+    const corridas = (repetirBase ? [null] : []).concat(casos);
+    
+    runStressBtn.disabled = true;
+    runSimulationBtn.disabled = true;
+    const inicio = performance.now();
+    
+    try {
+        const totales = [];
+        for (let k = 0; k < corridas.length; k++) {
+            const caso = corridas[k];
+            simulacionEnCurso = iniciarSimulacionParalela(iterations, items,
+                caso ? { ...opcionesEstres, stress: caso.ajustes } : opcionesEstres,
+                (progress, current) => {
+                    actualizarProgresoSimulacion((k * 100 + progress) / corridas.length,
+                        k * iterations + current, corridas.length * iterations, inicio);
+                });
+            
+            try {
+                totales.push((await simulacionEnCurso.promesa).results);
+            } catch (error) {
+                if (!error.cancelada && caso) {
+                    error.message = `Caso ${casos.indexOf(caso) + 1}: ${error.message}`;
+                }
+                throw error;
+            }
+        }
+        
+        // Los datos se reemplazaron mientras se simulaba (sin worker no se cancela)
+        if (ultimaCorrida !== corridaBase) return;
+        
+        const resultadosBase = repetirBase ? totales.shift() : currentSimulationResult.results;
+        crearGraficosEstres(resultadosBase, casos.map((caso, k) => ({ caso, results: totales[k] })));
+    } catch (error) {
+        if (error.cancelada) return;
+        
+        alert('Error en el análisis de estrés: ' + error.message);
+        console.error('Error:', error);
+    } finally {
+        simulacionEnCurso = null;
+        ocultarProgresoSimulacion();
+        // Sin corrida base si los datos se reemplazaron durante el análisis
+        runStressBtn.disabled = !ultimaCorrida;
+        runSimulationBtn.disabled = false;
+    }
+}
+
+/**
+ * Superpone la distribución del total de cada caso de estrés a la de la
+ * corrida base (histogramas con las mismas clases) y los compara en un
+ * diagrama de caja: bigotes P5-P95, caja P25-P75 y línea en la mediana
+ * @param {ArrayLike<number>} baseResults - Totales de la corrida base
+ * @param {Array<{caso:Object, results:ArrayLike<number>}>} corridas - Totales de cada caso
+ */
+function crearGraficosEstres(baseResults, corridas) {
+    if (!stressArea) return;
+    
+    resultadosEstres = {
+        base: { resumen: resumirCorridaEstres(baseResults) },
+        casos: corridas.map(corrida => ({ caso: corrida.caso, resumen: resumirCorridaEstres(corrida.results) }))
+    };
+    mostrarCasosEstres();
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    const series = [{ nombre: 'Base', results: baseResults, resumen: resultadosEstres.base.resumen }]
+        .concat(corridas.map((corrida, k) => ({
+            nombre: `Caso ${window.stressCases.indexOf(corrida.caso) + 1}`,
+            results: corrida.results,
+            resumen: resultadosEstres.casos[k].resumen
+        })));
+    const color = (k) => (k === 0 ? '108, 117, 125' : COLORES_SPIDER[(k - 1) % COLORES_SPIDER.length]);
+    
+    const { minimo, ancho, frecuencias } = calcularFrecuenciasComunes(series.map(serie => serie.results), NUM_BINS_COMPARACION);
+    
+    const ctxDistribucion = document.getElementById('stressChart');
+    if (ctxDistribucion) {
+        if (stressChart) {
+            stressChart.destroy();
+        }
+        
+        stressChart = new Chart(ctxDistribucion, {
+            type: 'line',
+            data: {
+                labels: Array.from({ length: NUM_BINS_COMPARACION }, (_, b) => formatoNumero(minimo + (b + 0.5) * ancho)),
+                datasets: series.map((serie, k) => ({
+                    label: serie.nombre,
+                    data: frecuencias[k],
+                    borderColor: `rgba(${color(k)}, 1)`,
+                    backgroundColor: `rgba(${color(k)}, 0.15)`,
+                    borderWidth: 2,
+                    pointRadius: 0,
+                    fill: k === 0,
+                    tension: 0.3
+                }))
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: {
+                    mode: 'index',
+                    intersect: false
+                },
+                plugins: {
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Total'
+                        }
+                    },
+                    y: {
+                        beginAtZero: true,
+                        title: {
+                            display: true,
+                            text: 'Frecuencia (%)'
+                        }
+                    }
+                }
+            }
+        });
+    }
+    
+    // Mediana de cada corrida: una línea vertical sobre su caja
+    const lineaMediana = {
+        id: 'lineaMediana',
+        afterDraw: (chart) => {
+            const escala = chart.scales.x;
+            const cajas = chart.getDatasetMeta(1).data;
+            if (!escala || !cajas) return;
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.strokeStyle = 'rgba(51, 51, 51, 1)';
+            ctx.lineWidth = 2;
+            series.forEach((serie, k) => {
+                if (!cajas[k]) return;
+                const x = escala.getPixelForValue(serie.resumen.p50);
+                ctx.beginPath();
+                ctx.moveTo(x, cajas[k].y - cajas[k].height / 2);
+                ctx.lineTo(x, cajas[k].y + cajas[k].height / 2);
+                ctx.stroke();
+            });
+            ctx.restore();
+        }
+    };
+    
+    const ctxCajas = document.getElementById('stressBoxChart');
+    if (ctxCajas) {
+        if (stressBoxChart) {
+            stressBoxChart.destroy();
+        }
+        
+        stressBoxChart = new Chart(ctxCajas, {
+            type: 'bar',
+            data: {
+                labels: series.map(serie => serie.nombre),
+                datasets: [
+                    {
+                        label: 'P5 - P95',
+                        data: series.map(serie => [serie.resumen.p5, serie.resumen.p95]),
+                        backgroundColor: series.map((_, k) => `rgba(${color(k)}, 0.8)`),
+                        barPercentage: 0.08,
+                        grouped: false
+                    },
+                    {
+                        label: 'P25 - P75',
+                        data: series.map(serie => [serie.resumen.p25, serie.resumen.p75]),
+                        backgroundColor: series.map((_, k) => `rgba(${color(k)}, 0.4)`),
+                        borderColor: series.map((_, k) => `rgba(${color(k)}, 1)`),
+                        borderWidth: 1,
+                        barPercentage: 0.6,
+                        grouped: false
+                    }
+                ]
+            },
+            options: {
+                indexAxis: 'y',
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                plugins: {
+                    legend: {
+                        display: false
+                    },
+                    tooltip: {
+                        callbacks: {
+                            label: (context) => `${context.dataset.label}: ${formatoNumero(context.raw[0])} - ${formatoNumero(context.raw[1])}`,
+                            afterBody: (items) => `P50: ${formatoNumero(series[items[0].dataIndex].resumen.p50)}`
+                        }
+                    }
+                },
+                scales: {
+                    x: {
+                        title: {
+                            display: true,
+                            text: 'Total (bigotes P5-P95, caja P25-P75, línea en P50)'
+                        }
+                    }
+                }
+            },
+            plugins: [lineaMediana]
+        });
+    }
+    
+    const summaryDiv = document.getElementById('stressSummary');
+    if (summaryDiv) {
+        const desplazamiento = serie => Math.abs(serie.resumen.media - series[0].resumen.media);
+        const mayor = series.slice(1).reduce((actual, serie) => (!actual || desplazamiento(serie) > desplazamiento(actual) ? serie : actual), null);
+        summaryDiv.innerHTML = `<strong>Iteraciones por caso:</strong> ${baseResults.length.toLocaleString('es-ES')} (misma semilla que la base)`;
+        if (mayor) {
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>Mayor desplazamiento:</strong> ${mayor.nombre} ` +
+                `(media ${formatoNumero(mayor.resumen.media)}, ${mayor.resumen.media >= series[0].resumen.media ? '+' : ''}` +
+                `${formatoNumero(mayor.resumen.media - series[0].resumen.media)} sobre la base)`;
+        }
+    }
+}
+
+/**
+ * Guarda una corrida (datos, semilla, configuración y resultados) en la lista
+ * de comparación; se conservan las últimas MAXIMO_CORRIDAS_GUARDADAS
+ * @param {Object} resultado - Resultado de la simulación (con finalMetrics si hay plan)
+ * @param {{items:Array, opciones:Object}} corrida - Items y opciones con que se simuló
+ * @param {{valor:number, etiqueta:string}|null} plan - Valor de comparación de las métricas finales
+ */
+function guardarCorrida(resultado, corrida, plan) {
+    contadorCorridas++;
+    window.savedRuns.push({
+        id: contadorCorridas,
+        nombre: `Corrida ${contadorCorridas}`,
+        fecha: new Date(),
+        items: corrida.items,
+        opciones: corrida.opciones,
+        seed: resultado.seed,
+        samplingMethod: resultado.samplingMethod,
+        iterations: resultado.results.length,
+        results: resultado.results,
+        percentiles: calcularPercentilesCorrida(resultado.results),
+        stats: resultado.stats,
+        finalMetrics: resultado.finalMetrics || null,
+        plan,
+        incluir: true
+    });
+    
+    if (window.savedRuns.length > MAXIMO_CORRIDAS_GUARDADAS) {
+        window.savedRuns.shift();
+    }
+    
+    mostrarCorridas();
+    programarAutoguardado();
+}
+
+/**
+ * Percentiles 0, 1, ..., 100 de los totales de una corrida: la curva
+ * acumulada que se conserva cuando el proyecto se guarda sin las muestras
+ * @param {number[]} results - Totales simulados
+ * @returns {number[]} 101 valores
+ */
+function calcularPercentilesCorrida(results) {
+    const ordenados = ordenarResultados(results);
+    return Array.from({ length: 101 }, (_, p) => percentile(ordenados, p / 100));
+}
+
+/**
+ * Resumen de las corridas guardadas para el proyecto: todo menos las muestras
+ * @returns {Array<Object>}
+ */
+function resumirCorridasGuardadas() {
+    return window.savedRuns.map(({ results, ...resumen }) => resumen);
+}
+
+/**
+ * Reemplaza las corridas guardadas por las de un proyecto (sin muestras: en
+ * la comparación solo aparecen en las curvas acumuladas)
+ * @param {Array<Object>} corridas - Resultado de resumirCorridasGuardadas, leído del proyecto
+ */
+function restaurarCorridas(corridas) {
+    window.savedRuns = corridas.map(corrida => ({ ...corrida, fecha: new Date(corrida.fecha), results: null }));
+    contadorCorridas = window.savedRuns.reduce((maximo, corrida) => Math.max(maximo, corrida.id), 0);
+    mostrarCorridas();
+}
+
+/**
+ * Muestra la tabla de corridas guardadas (estadísticas, certeza y
+ * contingencia de cada una) y el gráfico de las marcadas
+ */
+function mostrarCorridas() {
+    if (!runsArea) return;
+    
+    const table = document.getElementById('runsTable');
+    if (!table) return;
+    
+    runsArea.style.display = window.savedRuns.length > 0 ? 'block' : 'none';
+    
+    const formatoNumero = (num) => {
+        if (num === null || num === undefined || isNaN(num)) return '-';
+        return num.toLocaleString('es-PE', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    };
+    
+    let html = '<thead><tr><th></th><th>CORRIDA</th><th>Fecha</th><th>Items</th><th>Iteraciones</th><th>Semilla</th>' +
+        '<th>Muestreo</th><th>Media</th><th>Desv. Est.</th><th>P5</th><th>P50</th><th>P95</th>' +
+        '<th>Certeza 95%</th><th>Prob. Cumplimiento</th><th>Contingencia</th><th></th></tr></thead><tbody>';
+    window.savedRuns.forEach((corrida, index) => {
+        const metricas = corrida.finalMetrics || {};
+        html += `<tr>
+            <td><input type="checkbox" class="run-include" data-index="${index}"${corrida.incluir ? ' checked' : ''} title="Incluir en el gráfico"></td>
+            <td><input type="text" class="run-name" data-index="${index}" value="${corrida.nombre.replace(/"/g, '&quot;')}"></td>
+            <td>${corrida.fecha.toLocaleString('es-PE')}</td>
+            <td class="number">${corrida.items.length}</td>
+            <td class="number">${corrida.iterations.toLocaleString('es-ES')}</td>
+            <td class="number">${corrida.seed}</td>
+            <td>${NOMBRES_MUESTREO[corrida.samplingMethod] || '-'}</td>
+            <td class="number">${formatoNumero(corrida.stats.mean)}</td>
+            <td class="number">${formatoNumero(corrida.stats.sd)}</td>
+            <td class="number">${formatoNumero(corrida.stats.percentile5)}</td>
+            <td class="number">${formatoNumero(corrida.stats.median)}</td>
+            <td class="number">${formatoNumero(corrida.stats.percentile95)}</td>
+            <td class="number">${formatoNumero(metricas.certeza95)}</td>
+            <td class="number">${metricas.probCumplimientoPct !== undefined ? formatoNumero(metricas.probCumplimientoPct) + '%' : '-'}</td>
+            <td class="number">${formatoNumero(metricas.contingencia)}</td>
+            <td><button type="button" class="btn-remove" data-index="${index}" title="Quitar corrida">×</button></td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    table.innerHTML = html;
+    
+    table.querySelectorAll('.run-include').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            window.savedRuns[parseInt(checkbox.dataset.index)].incluir = checkbox.checked;
+            crearGraficoCorridas();
+        });
+    });
+    table.querySelectorAll('.run-name').forEach(input => {
+        input.addEventListener('change', () => {
+            window.savedRuns[parseInt(input.dataset.index)].nombre = input.value.trim() || `Corrida ${window.savedRuns[parseInt(input.dataset.index)].id}`;
+            mostrarCorridas();
+        });
+    });
+    table.querySelectorAll('.btn-remove').forEach(button => {
+        button.addEventListener('click', () => {
+            window.savedRuns.splice(parseInt(button.dataset.index), 1);
+            mostrarCorridas();
+        });
+    });
+    
+    crearGraficoCorridas();
+}
+
+/**
+ * Superpone los histogramas (con las mismas clases) o las curvas acumuladas
+ * de las corridas marcadas y resume la diferencia entre la primera y la última
+ */
+function crearGraficoCorridas() {
+    const ctx = document.getElementById('runsChart');
+    if (!ctx) return;
+    
+    if (runsChart) {
+        runsChart.destroy();
+        runsChart = null;
+    }
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    // Color fijo por posición en la lista, para que no cambie al marcar o desmarcar
+    const color = (corrida) => COLORES_SPIDER[window.savedRuns.indexOf(corrida) % COLORES_SPIDER.length];
+    const marcadas = window.savedRuns.filter(corrida => corrida.incluir);
+    
+    const summaryDiv = document.getElementById('runsSummary');
+    if (summaryDiv) {
+        summaryDiv.innerHTML = `<strong>Corridas guardadas:</strong> ${window.savedRuns.length} de ${MAXIMO_CORRIDAS_GUARDADAS} ` +
+            `&nbsp;|&nbsp; <strong>En el gráfico:</strong> ${marcadas.length}`;
+        if (marcadas.length >= 2) {
+            const primera = marcadas[0];
+            const ultima = marcadas[marcadas.length - 1];
+            const diferencia = (a, b) => (a >= b ? '+' : '−') + formatoNumero(Math.abs(a - b));
+            summaryDiv.innerHTML += ` &nbsp;|&nbsp; <strong>${ultima.nombre} vs ${primera.nombre}:</strong> ` +
+                `media ${diferencia(ultima.stats.mean, primera.stats.mean)}, P95 ${diferencia(ultima.stats.percentile95, primera.stats.percentile95)}`;
+            if (ultima.finalMetrics && primera.finalMetrics) {
+                summaryDiv.innerHTML += `, contingencia ${diferencia(ultima.finalMetrics.contingencia, primera.finalMetrics.contingencia)}`;
+            }
+        }
+    }
+    
+    const acumulada = runsChartSelect && runsChartSelect.value === 'cdf';
+    
+    // Las corridas de un proyecto guardado no traen muestras: solo su curva acumulada
+    const graficadas = acumulada ? marcadas : marcadas.filter(corrida => corrida.results);
+    if (summaryDiv && graficadas.length < marcadas.length) {
+        summaryDiv.innerHTML += ' &nbsp;|&nbsp; Las corridas abiertas de un proyecto solo se comparan en las curvas acumuladas';
+    }
+    
+    if (graficadas.length === 0) return;
+    
+    let labels;
+    let datos;
+    if (acumulada) {
+        // Percentiles 0, 1, ..., 100 de cada corrida
+        datos = graficadas.map(corrida => corrida.percentiles.map((x, p) => ({ x, y: p })));
+    } else {
+        const { minimo, ancho, frecuencias } = calcularFrecuenciasComunes(graficadas.map(corrida => corrida.results), NUM_BINS_COMPARACION);
+        labels = Array.from({ length: NUM_BINS_COMPARACION }, (_, b) => formatoNumero(minimo + (b + 0.5) * ancho));
+        datos = frecuencias;
+    }
+    
+    runsChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels,
+            datasets: graficadas.map((corrida, k) => ({
+                label: corrida.nombre,
+                data: datos[k],
+                borderColor: `rgba(${color(corrida)}, 1)`,
+                backgroundColor: `rgba(${color(corrida)}, 0.15)`,
+                borderWidth: 2,
+                pointRadius: 0,
+                tension: acumulada ? 0 : 0.3
+            }))
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: {
+                mode: acumulada ? 'nearest' : 'index',
+                intersect: false
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => (acumulada
+                            ? `${context.dataset.label}: P${context.parsed.y} = ${formatoNumero(context.parsed.x)}`
+                            : `${context.dataset.label}: ${context.parsed.y.toFixed(2)}%`)
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: acumulada ? 'linear' : 'category',
+                    title: {
+                        display: true,
+                        text: 'Total'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    max: acumulada ? 100 : undefined,
+                    title: {
+                        display: true,
+                        text: acumulada ? 'Probabilidad acumulada (%)' : 'Frecuencia (%)'
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Crea el gráfico de convergencia: error relativo de cada estadística
+ * monitoreada frente a las iteraciones, con la tolerancia como referencia
+ * @param {Object} convergence - Resumen de convergencia (resultado.convergence)
+ */
+function crearGraficoConvergencia(convergence) {
+    if (!convergenceArea) return;
+    
+    if (!convergence || convergence.history.length === 0) {
+        convergenceArea.style.display = 'none';
+        return;
+    }
+    
+    convergenceArea.style.display = 'block';
+    
+    const history = convergence.history;
+    const ultimo = history[history.length - 1];
+    const etiquetas = history.map(h => h.iterations);
+    
+    const series = [
+        { clave: 'mean', nombre: 'Media', color: '102, 126, 234' },
+        { clave: 'sd', nombre: 'Desv. Estándar', color: '118, 75, 162' }
+    ].concat(convergence.percentiles.map((p, i) => ({
+        clave: `p${p}`,
+        nombre: `P${p}`,
+        color: ['40, 167, 69', '255, 152, 0', '23, 162, 184', '220, 53, 69'][i % 4]
+    })));
+    
+    // Resumen con los valores finales
+    const summaryDiv = document.getElementById('convergenceSummary');
+    if (summaryDiv) {
+        const estado = convergence.converged
+            ? `convergió en ${ultimo.iterations.toLocaleString('es-ES')} iteraciones`
+            : `no convergió en ${ultimo.iterations.toLocaleString('es-ES')} iteraciones (máximo)`;
+        summaryDiv.innerHTML = `<strong>La simulación ${estado}</strong> &nbsp;|&nbsp; ` +
+            `Tolerancia ±${convergence.tolerance}% con ${convergence.confidence}% de confianza &nbsp;|&nbsp; ` +
+            series.map(s => `${s.nombre}: ±${ultimo.errors[s.clave].toFixed(2)}%`).join(', ');
+    }
+    
+    const ctx = document.getElementById('convergenceChart');
+    if (!ctx) return;
+    
+    if (convergenceChart) {
+        convergenceChart.destroy();
+    }
+    
+    const datasets = series.map(s => ({
+        label: s.nombre,
+        data: history.map(h => (isFinite(h.errors[s.clave]) ? h.errors[s.clave] : null)),
+        borderColor: `rgba(${s.color}, 1)`,
+        backgroundColor: `rgba(${s.color}, 0.2)`,
+        borderWidth: 2,
+        pointRadius: 0,
+        tension: 0.2
+    }));
+    
+    datasets.push({
+        label: 'Tolerancia',
+        data: history.map(() => convergence.tolerance),
+        borderColor: 'rgba(220, 53, 69, 1)',
+        borderWidth: 1,
+        borderDash: [6, 4],
+        pointRadius: 0,
+        fill: false
+    });
+    
+    convergenceChart = new Chart(ctx, {
+        type: 'line',
+        data: {
+            labels: etiquetas,
+            datasets: datasets
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            interaction: {
+                mode: 'index',
+                intersect: false
+            },
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        title: (items) => `${Number(items[0].label).toLocaleString('es-ES')} iteraciones`,
+                        label: (context) => `${context.dataset.label}: ±${context.parsed.y.toFixed(2)}%`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Iteraciones'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: `Error relativo (% con ${convergence.confidence}% de confianza)`
+                    }
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Muestra la criticidad y las fechas de fin de cada actividad (modo cronograma)
+ * @param {Object|undefined} schedule - resultado.schedule de runMonteCarlo
+ * @param {Array<Object>} items - Actividades simuladas (mismo orden)
+ */
+function crearTablaCriticidad(schedule, items) {
+    if (!scheduleArea) return;
+    
+    if (!schedule) {
+        scheduleArea.style.display = 'none';
+        return;
+    }
+    
+    scheduleArea.style.display = 'block';
+    
+    // Las diferencias de redondeo no deben mostrarse como "-0.00"
+    const formatoNumero = (num) => {
+        if (num === null || num === undefined || isNaN(num)) return '-';
+        return (Math.abs(num) < 0.005 ? 0 : num).toLocaleString('es-PE', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    };
+    
+    // Sesgo de fusión: la duración media simulada supera a la ruta crítica con
+    // valores esperados porque las rutas paralelas se combinan con un máximo
+    const summaryDiv = document.getElementById('scheduleSummary');
+    if (summaryDiv) {
+        const sesgo = schedule.meanDuration - schedule.deterministicDuration;
+        summaryDiv.innerHTML = `<strong>Duración determinista</strong> (valores esperados): ${formatoNumero(schedule.deterministicDuration)}` +
+            ` &nbsp;|&nbsp; (valores probables): ${formatoNumero(schedule.probableDuration)}` +
+            ` &nbsp;|&nbsp; <strong>Duración media de la red:</strong> ${formatoNumero(schedule.meanDuration)}` +
+            ` &nbsp;|&nbsp; <strong>Sesgo de fusión:</strong> ${sesgo >= 0 ? '+' : ''}${formatoNumero(sesgo)}`;
+    }
+    
+    // Actividades de mayor a menor índice de criticidad (los costos no tienen)
+    const filas = items.map((item, j) => ({
+        id: item.id,
+        descripcion: item.descripcion,
+        criticidad: schedule.criticality[j],
+        finDeterminista: schedule.deterministicFinish[j],
+        finMedio: schedule.meanFinish[j]
+    })).filter(fila => fila.criticidad !== null).sort((x, y) => y.criticidad - x.criticidad);
+    
+    const table = document.getElementById('criticalityTable');
+    if (!table) return;
+    
+    let html = '<thead><tr><th>ITEM</th><th>DESCRIPCIÓN</th><th>Índice de criticidad</th>' +
+        '<th>Fin determinista</th><th>Fin medio simulado</th><th>Diferencia</th></tr></thead><tbody>';
+    filas.forEach(fila => {
+        const porcentaje = fila.criticidad * 100;
+        html += `<tr>
+            <td>${fila.id}</td>
+            <td>${fila.descripcion || '-'}</td>
+            <td class="criticality-cell">
+                <span class="criticality-bar" style="width: ${porcentaje.toFixed(1)}%"></span>
+                <span class="criticality-value">${porcentaje.toFixed(1)}%</span>
+            </td>
+            <td class="number">${formatoNumero(fila.finDeterminista)}</td>
+            <td class="number">${formatoNumero(fila.finMedio)}</td>
+            <td class="number">${formatoNumero(fila.finMedio - fila.finDeterminista)}</td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    
+    table.innerHTML = html;
+}
+
+/**
+ * Muestra la media, P50, P95 y contingencia de cada capítulo y subcapítulo,
+ * sumando por iteración las muestras de sus items
+ * @param {Object} resultado - Resultado de la simulación (con perItemSamples)
+ * @param {Array<Object>} items - Items simulados (mismo orden que perItemSamples)
+ */
+function crearTablaEDT(resultado, items) {
+    if (!wbsArea) return;
+    
+    // En modo cronograma los valores son duraciones, que no se suman por capítulo.
+    // Los items porcentuales quedan fuera de los capítulos (sin código no forman grupo)
+    const itemsEDT = items.map(item => (esItemPorcentual(item) ? { id: '' } : item));
+    const grupos = resultado.perItemSamples && !resultado.schedule ? construirEDT(itemsEDT, obtenerTitulosEDT()) : [];
+    if (grupos.length === 0) {
+        wbsArea.style.display = 'none';
+        return;
+    }
+    
+    wbsArea.style.display = 'block';
+    
+    const formatoNumero = (num) => {
+        if (num === null || num === undefined || isNaN(num)) return '-';
+        return num.toLocaleString('es-PE', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    };
+    
+    const subtotales = sumarPorGrupo(grupos, resultado.perItemSamples);
+    
+    let html = '<thead><tr><th>CÓDIGO</th><th>DESCRIPCIÓN</th><th>Media</th><th>P50</th><th>P95</th>' +
+        '<th>Suma Probable</th><th>Contingencia</th></tr></thead><tbody>';
+    grupos.forEach((grupo, g) => {
+        const subtotal = subtotales[g];
+        const sorted = subtotal.slice().sort();
+        let media = 0;
+        for (let i = 0; i < subtotal.length; i++) {
+            media += (subtotal[i] - media) / (i + 1);
+        }
+        const p95 = percentile(sorted, 0.95);
+        const sumaProbable = grupo.indices.reduce((suma, j) => suma + (isNaN(items[j].m) ? 0 : items[j].m), 0);
+        
+        html += `<tr class="wbs-level-${grupo.nivel}">
+            <td style="padding-left: ${12 + 16 * (grupo.nivel - 1)}px">${grupo.codigo}</td>
+            <td>${grupo.descripcion || '-'}</td>
+            <td class="number">${formatoNumero(media)}</td>
+            <td class="number">${formatoNumero(percentile(sorted, 0.5))}</td>
+            <td class="number">${formatoNumero(p95)}</td>
+            <td class="number">${formatoNumero(sumaProbable)}</td>
+            <td class="number">${formatoNumero(p95 - sumaProbable)}</td>
+        </tr>`;
+    });
+    html += '</tbody>';
+    
+    const table = document.getElementById('wbsTable');
+    if (table) {
+        table.innerHTML = html;
+    }
+    
+    // La contingencia de cada capítulo se calcula con su propio P95: la suma de
+    // las contingencias por capítulo suele superar a la del proyecto
+    const summaryDiv = document.getElementById('wbsSummary');
+    if (summaryDiv) {
+        summaryDiv.innerHTML = '<strong>Contingencia = P95 del capítulo - Suma Probable.</strong> ' +
+            'Los percentiles no se suman: la suma de las contingencias de los capítulos suele ser mayor que la del proyecto' +
+            (resultado.riskCount ? '. Los riesgos del registro no se asignan a capítulos.' : '.');
+    }
+}
+
+/**
+ * Muestra en los resultados finales el costo directo y el monto simulado de
+ * cada item porcentual, junto a su monto con los valores probables
+ * @param {Object} resultado - Resultado de la simulación (con markups)
+ * @param {Array<Object>} items - Items simulados
+ */
+function crearDesglosePorcentajes(resultado, items) {
+    const desglose = document.getElementById('markupBreakdown');
+    if (!desglose) return;
+    
+    if (!resultado.markups) {
+        desglose.style.display = 'none';
+        return;
+    }
+    
+    desglose.style.display = 'block';
+    
+    const formatoNumero = (num) => {
+        if (num === null || num === undefined || isNaN(num)) return '-';
+        return num.toLocaleString('es-PE', {
+            minimumFractionDigits: 2,
+            maximumFractionDigits: 2
+        });
+    };
+    
+    // Montos con todos los valores probables (la Suma Probable de cada concepto)
+    const porcentajes = prepararPorcentajes(items);
+    const probables = evaluarPorcentajes(porcentajes, items.map(item => (isNaN(item.m) ? 0 : item.m)));
+    const directoProbable = porcentajes.directos.reduce((suma, j) => suma + probables[j], 0);
+    const indicePorId = new Map(porcentajes.orden.map(j => [items[j].id, j]));
+    
+    const fila = (concepto, base, probable, stats, clase = '') => `<tr${clase ? ` class="${clase}"` : ''}>
+            <td>${concepto}</td>
+            <td>${base}</td>
+            <td class="number">${formatoNumero(probable)}</td>
+            <td class="number">${formatoNumero(stats.mean)}</td>
+            <td class="number">${formatoNumero(stats.median)}</td>
+            <td class="number">${formatoNumero(stats.percentile95)}</td>
+        </tr>`;
+    
+    let html = '<thead><tr><th>Concepto</th><th>Base</th><th>Probable</th><th>Media</th><th>P50</th><th>P95</th></tr></thead><tbody>';
+    html += fila('Costo directo', '-', directoProbable, resultado.markups.directCost);
+    resultado.markups.items.forEach(({ id, stats }) => {
+        const item = items[indicePorId.get(id)];
+        const concepto = item.descripcion ? `${id} - ${item.descripcion}` : id;
+        html += fila(concepto, `${formatoNumero(item.m)}% de ${item.porcentajeSobre}`, probables[indicePorId.get(id)], stats);
+    });
+    html += fila(resultado.riskCount ? 'Total (con riesgos)' : 'Total', '-', probables.reduce((suma, monto) => suma + monto, 0), resultado.stats, 'totals-row');
+    html += '</tbody>';
+    
+    const table = document.getElementById('markupTable');
+    if (table) {
+        table.innerHTML = html;
+    }
+}
+
+// Máximo de puntos del gráfico de dispersión (se toma una iteración de cada k)
+const MAXIMO_PUNTOS_DISPERSION = 3000;
+
+/**
+ * Muestra la dispersión costo vs duración del modelo integrado y la
+ * probabilidad conjunta P(costo ≤ X y duración ≤ Y)
+ * @param {Object|null} resultado - Resultado de la simulación
+ * @param {boolean} reiniciarLimites - Si true, los límites vuelven a los P80 de costo y duración
+ */
+function crearDispersionCostoDuracion(resultado, reiniciarLimites) {
+    if (!costScheduleArea) return;
+    
+    if (!resultado || !resultado.costResults) {
+        costScheduleArea.style.display = 'none';
+        return;
+    }
+    
+    costScheduleArea.style.display = 'block';
+    
+    const duraciones = resultado.results;
+    const costos = resultado.costResults;
+    
+    if (reiniciarLimites || jointDurationInput.value === '' || jointCostInput.value === '') {
+        jointDurationInput.value = percentile(ordenarResultados(duraciones), 0.8).toFixed(2);
+        jointCostInput.value = percentile(ordenarResultados(costos), 0.8).toFixed(2);
+    }
+    
+    const duracionMaxima = parseFloat(jointDurationInput.value);
+    const costoMaximo = parseFloat(jointCostInput.value);
+    if (isNaN(duracionMaxima) || isNaN(costoMaximo)) {
+        alert('Ingrese límites numéricos de costo y duración');
+        return;
+    }
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    const formatoPct = (p) => `${(p * 100).toFixed(1)}%`;
+    
+    const prob = probabilidadConjunta(costos, duraciones, costoMaximo, duracionMaxima);
+    const jointProbability = document.getElementById('jointProbability');
+    if (jointProbability) {
+        jointProbability.innerHTML = `<strong>P(ambos) = ${formatoPct(prob.conjunta)}</strong> &nbsp;|&nbsp; ` +
+            `P(duración) = ${formatoPct(prob.duracion)} &nbsp;|&nbsp; P(costo) = ${formatoPct(prob.costo)}`;
+    }
+    
+    const summaryDiv = document.getElementById('costScheduleSummary');
+    if (summaryDiv) {
+        const sortedCostos = ordenarResultados(costos);
+        summaryDiv.innerHTML = `<strong>Costo:</strong> media ${formatoNumero(resultado.costStats.mean)}` +
+            ` &nbsp;|&nbsp; P50 ${formatoNumero(percentile(sortedCostos, 0.5))}` +
+            ` &nbsp;|&nbsp; P80 ${formatoNumero(percentile(sortedCostos, 0.8))}` +
+            ` &nbsp;|&nbsp; P95 ${formatoNumero(percentile(sortedCostos, 0.95))}` +
+            ` &nbsp;|&nbsp; con valores esperados ${formatoNumero(resultado.schedule.deterministicCost)}`;
+    }
+    
+    // Puntos dentro de ambos límites en verde; el resto en gris
+    const paso = Math.max(1, Math.ceil(duraciones.length / MAXIMO_PUNTOS_DISPERSION));
+    const dentro = [];
+    const fuera = [];
+    for (let i = 0; i < duraciones.length; i += paso) {
+        const punto = { x: duraciones[i], y: costos[i] };
+        (duraciones[i] <= duracionMaxima && costos[i] <= costoMaximo ? dentro : fuera).push(punto);
+    }
+    
+    const ctx = document.getElementById('costScheduleChart');
+    if (!ctx) return;
+    
+    if (costScheduleChart) {
+        costScheduleChart.destroy();
+    }
+    
+    const { min: minDuracion, max: maxDuracion } = resultado.stats;
+    const { min: minCosto, max: maxCosto } = resultado.costStats;
+    
+    costScheduleChart = new Chart(ctx, {
+        type: 'scatter',
+        data: {
+            datasets: [
+                {
+                    label: 'Dentro de ambos límites',
+                    data: dentro,
+                    backgroundColor: 'rgba(40, 167, 69, 0.45)',
+                    pointRadius: 2
+                },
+                {
+                    label: 'Fuera',
+                    data: fuera,
+                    backgroundColor: 'rgba(108, 117, 125, 0.35)',
+                    pointRadius: 2
+                },
+                {
+                    label: 'Límite de duración',
+                    data: [{ x: duracionMaxima, y: minCosto }, { x: duracionMaxima, y: maxCosto }],
+                    showLine: true,
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    borderDash: [6, 4],
+                    borderWidth: 1,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Límite de costo',
+                    data: [{ x: minDuracion, y: costoMaximo }, { x: maxDuracion, y: costoMaximo }],
+                    showLine: true,
+                    borderColor: 'rgba(220, 53, 69, 1)',
+                    borderDash: [6, 4],
+                    borderWidth: 1,
+                    pointRadius: 0
+                },
+                {
+                    label: 'Valores esperados',
+                    data: [{ x: resultado.schedule.deterministicDuration, y: resultado.schedule.deterministicCost }],
+                    backgroundColor: 'rgba(102, 126, 234, 1)',
+                    pointStyle: 'rectRot',
+                    pointRadius: 7
+                }
+            ]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `Duración ${formatoNumero(context.parsed.x)}, costo ${formatoNumero(context.parsed.y)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Duración del proyecto'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Costo total'
+                    }
+                }
+            }
+        }
+    });
+}
+
+// Puntos de cada curva de densidad del gráfico de ajuste
+const PUNTOS_CURVA_AJUSTE = 120;
+
+// Colores de las curvas ajustadas (Normal, Lognormal, Beta, Triangular)
+const COLORES_AJUSTE = {
+    normal: '102, 126, 234',
+    lognormal: '40, 167, 69',
+    beta: '253, 126, 20',
+    triangular: '220, 53, 69'
+};
+
+let fitChart = null;
+
+/**
+ * Superpone el histograma de los datos históricos (como densidad) y la
+ * densidad de cada distribución ajustada; la elegida se dibuja más gruesa
+ * @param {number[]} observaciones - Datos históricos del item
+ * @param {Array<{tipo:string, dist:Object}>} candidatos - Resultado de ajustarCandidatos
+ * @param {string} tipoElegido - Ajuste que usa la simulación
+ */
+function crearGraficoAjuste(observaciones, candidatos, tipoElegido) {
+    const ctx = document.getElementById('fitChart');
+    if (!ctx) return;
+    
+    if (fitChart) {
+        fitChart.destroy();
+        fitChart = null;
+    }
+    if (!observaciones || observaciones.length === 0) return;
+    
+    const ordenadas = observaciones.slice().sort((x, y) => x - y);
+    const min = ordenadas[0];
+    const max = ordenadas[ordenadas.length - 1];
+    const rango = max - min || Math.abs(min) || 1;
+    
+    // Histograma con la regla de Sturges, escalado para que su área sea 1
+    const numBins = Math.ceil(Math.log2(ordenadas.length)) + 1;
+    const ancho = rango / numBins;
+    const conteos = new Array(numBins).fill(0);
+    ordenadas.forEach(x => {
+        conteos[Math.min(numBins - 1, Math.floor((x - min) / ancho))]++;
+    });
+    const escalones = [{ x: min, y: 0 }];
+    conteos.forEach((conteo, k) => {
+        const densidad = conteo / (ordenadas.length * ancho);
+        escalones.push({ x: min + k * ancho, y: densidad }, { x: min + (k + 1) * ancho, y: densidad });
+    });
+    escalones.push({ x: min + numBins * ancho, y: 0 });
+    
+    const datasets = [{
+        label: `Datos (${ordenadas.length})`,
+        data: escalones,
+        showLine: true,
+        fill: true,
+        borderColor: 'rgba(108, 117, 125, 0.8)',
+        backgroundColor: 'rgba(108, 117, 125, 0.25)',
+        borderWidth: 1,
+        pointRadius: 0
+    }];
+    
+    // La empírica es el propio histograma: solo se dibujan las continuas
+    const desde = min - 0.2 * rango;
+    const hasta = max + 0.2 * rango;
+    candidatos.filter(candidato => COLORES_AJUSTE[candidato.tipo]).forEach(candidato => {
+        const curva = [];
+        for (let k = 0; k <= PUNTOS_CURVA_AJUSTE; k++) {
+            const x = desde + (hasta - desde) * k / PUNTOS_CURVA_AJUSTE;
+            const y = densidadDistribucion(candidato.dist, x);
+            curva.push({ x, y: isFinite(y) ? y : null });
+        }
+        const elegido = candidato.tipo === tipoElegido;
+        datasets.push({
+            label: NOMBRES_AJUSTE[candidato.tipo] + (elegido ? ' (en uso)' : ''),
+            data: curva,
+            showLine: true,
+            fill: false,
+            borderColor: `rgba(${COLORES_AJUSTE[candidato.tipo]}, ${elegido ? 1 : 0.6})`,
+            borderWidth: elegido ? 3 : 1.5,
+            borderDash: elegido ? [] : [5, 3],
+            pointRadius: 0
+        });
+    });
+    
+    const formatoNumero = (num) => num.toLocaleString('es-PE', {
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+    
+    fitChart = new Chart(ctx, {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            plugins: {
+                tooltip: {
+                    callbacks: {
+                        label: (context) => `${context.dataset.label}: ${formatoNumero(context.parsed.x)}`
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: desde,
+                    max: hasta,
+                    title: {
+                        display: true,
+                        text: 'Valor'
+                    }
+                },
+                y: {
+                    beginAtZero: true,
+                    title: {
+                        display: true,
+                        text: 'Densidad'
                     }
                 }
             }
@@ -1145,6 +4075,8 @@ window.crearHistograma = crearHistograma;
 window.actualizarPanelEstadistico = actualizarPanelEstadistico;
 window.calcularIzquierdaP = calcularIzquierdaP;
 window.crearTornado = crearTornado;
+window.crearGraficoConvergencia = crearGraficoConvergencia;
+window.crearGraficoAjuste = crearGraficoAjuste;
 window.percentile = percentile;
 window.computeFinalMetrics = computeFinalMetrics;
 window.actualizarResultadosFinales = actualizarResultadosFinales;
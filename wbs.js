@@ -0,0 +1,86 @@
+// SIM-RISK Web - Módulo 10: Estructura de Desglose del Trabajo (EDT)
+// Agrupa los items por los niveles de su código ITEM (01 → 01.01 → 01.01.01)
+// en capítulos y subcapítulos, y suma sus muestras simuladas por grupo
+
+// Separador de los niveles del código ITEM
+const SEPARADOR_EDT = '.';
+
+/**
+ * Devuelve los códigos de los niveles superiores de un código ITEM
+ * @param {string|number} codigo - Código como "01.01.01"
+ * @returns {string[]} Ancestros del más general al más cercano, p.ej. ["01", "01.01"]
+ */
+function ancestrosCodigo(codigo) {
+    const segmentos = String(codigo).trim().split(SEPARADOR_EDT);
+    const ancestros = [];
+
+    for (let k = 1; k < segmentos.length; k++) {
+        if (segmentos.slice(0, k).some(segmento => segmento === '')) break;
+        ancestros.push(segmentos.slice(0, k).join(SEPARADOR_EDT));
+    }
+
+    return ancestros;
+}
+
+/**
+ * Construye los grupos (capítulos y subcapítulos) de la EDT a partir de los
+ * códigos de los items. Un grupo existe si algún código lo tiene como nivel
+ * superior; si un item tiene el mismo código que un grupo, pertenece a él
+ * @param {Array<{id:string}>} items - Items en el orden del archivo
+ * @param {Map<string, string>} titulos - Descripción de cada grupo por código (opcional)
+ * @returns {Array<{codigo:string, nivel:number, descripcion:string, indices:number[]}>}
+ *          Grupos en orden de aparición (cada grupo antes que sus subgrupos);
+ *          vacío si los códigos no son jerárquicos
+ */
+function construirEDT(items, titulos = new Map()) {
+    const codigos = items.map(item => String(item.id).trim());
+
+    const codigosGrupo = new Set();
+    codigos.forEach(codigo => ancestrosCodigo(codigo).forEach(ancestro => codigosGrupo.add(ancestro)));
+
+    const grupos = [];
+    const grupoPorCodigo = new Map();
+
+    codigos.forEach((codigo, j) => {
+        const pertenece = ancestrosCodigo(codigo);
+        if (codigosGrupo.has(codigo)) pertenece.push(codigo);
+
+        pertenece.forEach(codigoGrupo => {
+            let grupo = grupoPorCodigo.get(codigoGrupo);
+            if (!grupo) {
+                grupo = {
+                    codigo: codigoGrupo,
+                    nivel: codigoGrupo.split(SEPARADOR_EDT).length,
+                    descripcion: titulos.get(codigoGrupo) || '',
+                    indices: []
+                };
+                grupoPorCodigo.set(codigoGrupo, grupo);
+                grupos.push(grupo);
+            }
+            grupo.indices.push(j);
+        });
+    });
+
+    return grupos;
+}
+
+/**
+ * Suma las muestras de los items de cada grupo, iteración por iteración
+ * @param {Array<{indices:number[]}>} grupos - Resultado de construirEDT
+ * @param {ArrayLike<number>[]} perItemSamples - Muestras por item (mismo orden que los items)
+ * @returns {Float64Array[]} Subtotal simulado de cada grupo
+ */
+function sumarPorGrupo(grupos, perItemSamples) {
+    const iteraciones = perItemSamples.length > 0 ? perItemSamples[0].length : 0;
+
+    return grupos.map(grupo => {
+        const subtotal = new Float64Array(iteraciones);
+        grupo.indices.forEach(j => {
+            const muestras = perItemSamples[j];
+            for (let i = 0; i < iteraciones; i++) {
+                subtotal[i] += muestras[i];
+            }
+        });
+        return subtotal;
+    });
+}